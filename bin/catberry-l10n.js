@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const events = require('events');
+const LocalizationLoader = require('../lib/LocalizationLoader');
+const LocalizationChecker = require('../lib/LocalizationChecker');
+const KeyExtractor = require('../lib/KeyExtractor');
+const GettextConverter = require('../lib/GettextConverter');
+const XliffConverter = require('../lib/XliffConverter');
+const fs = require('../lib/promises/fs');
+
+const DEFAULT_CONFIG_PATH = path.join('config', 'environment.json');
+const DEFAULT_PO_OUTPUT_PATH = 'po';
+const DEFAULT_XLIFF_OUTPUT_PATH = 'xliff';
+const DEFAULT_XLIFF_VERSION = '2.0';
+const TEMPLATE_FILENAME = 'messages.pot';
+const OPTIONS_WITH_VALUES = ['--config', '--output', '--xliff-version'];
+const USAGE = `Usage: catberry-l10n <command> [<file>...] [options]
+
+Commands:
+  check      Checks consistency of localization files of the application
+             and its components
+  extract    Adds keys used by components to their default locale files
+             and lists keys which are not used
+  export-po  Exports localizations to gettext template ${TEMPLATE_FILENAME}
+             and PO files of all locales except the default one
+  import-po  Imports translations of the PO files to localization files
+  export-xliff
+             Exports localizations to XLIFF files of all locales
+             except the default one
+  import-xliff
+             Imports translations of the XLIFF files to localization files
+
+Options:
+  --config   Path to the application config with the "l10n" section
+             (${DEFAULT_CONFIG_PATH} by default)
+  --output   Directory for files of export commands
+             (${DEFAULT_PO_OUTPUT_PATH} or ${DEFAULT_XLIFF_OUTPUT_PATH} by default)
+  --xliff-version
+             XLIFF version of the "export-xliff" command, 1.2 or 2.0
+             (${DEFAULT_XLIFF_VERSION} by default)
+  --dry-run  Lists new keys of the "extract" command without adding them
+`;
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+/**
+ * Commands by names, each one gets the config and command line arguments
+ * and returns a promise for the exit code.
+ */
+const COMMANDS = {
+	check,
+	extract,
+	'export-po': exportPo,
+	'import-po': importPo,
+	'export-xliff': exportXliff,
+	'import-xliff': importXliff
+};
+
+const args = process.argv.slice(2);
+const command = args[0];
+const configPath = getOption(args, '--config', DEFAULT_CONFIG_PATH);
+
+if (!(command in COMMANDS) || !configPath) {
+	process.stderr.write(USAGE);
+	process.exitCode = 2;
+} else {
+	Promise.resolve()
+		.then(() => COMMANDS[command](require(path.resolve(configPath)), args))
+		.then(code => {
+			process.exitCode = code;
+		})
+		.catch(reason => {
+			process.stderr.write(`${reason.stack || reason}\n`);
+			process.exitCode = 2;
+		});
+}
+
+/**
+ * Checks localization files and prints found problems.
+ * @param {Object} config Application config.
+ * @returns {Promise<number>} Promise for the exit code,
+ * it is 1 if there are problems.
+ */
+function check(config) {
+	const locator = createLocator(config);
+	const errors = [];
+	locator.resolve('eventBus').on('error', error => errors.push(error));
+
+	return new LocalizationChecker(locator).check()
+		.then(problems => {
+			if (errors.length > 0) {
+				throw errors[0];
+			}
+			problems.forEach(problem => process.stdout.write(`${problem.message}\n`));
+			process.stdout.write(problems.length > 0 ?
+				`${problems.length} localization problems found\n` :
+				'No localization problems found\n');
+			return problems.length > 0 ? 1 : 0;
+		});
+}
+
+/**
+ * Extracts localization keys from components and prints
+ * added and not used keys.
+ * @param {Object} config Application config.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Promise<number>} Promise for the exit code.
+ */
+function extract(config, commandArgs) {
+	const locator = createLocator(config);
+	const dryRun = commandArgs.indexOf('--dry-run') !== -1;
+
+	return new KeyExtractor(locator).extract({dryRun})
+		.then(result => {
+			result.added.forEach(entry => process.stdout.write(dryRun ?
+				`New key "${entry.key}" of component "${entry.component}" for ${entry.file}\n` :
+				`Added key "${entry.key}" to ${entry.file}\n`));
+			result.unused.forEach(entry => process.stdout.write(
+				`Key "${entry.key}" is not used (${entry.files.join(', ')})\n`
+			));
+			return 0;
+		});
+}
+
+/**
+ * Exports localizations to gettext template and PO files.
+ * @param {Object} config Application config.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Promise<number>} Promise for the exit code.
+ */
+function exportPo(config, commandArgs) {
+	const output = getOption(commandArgs, '--output', DEFAULT_PO_OUTPUT_PATH);
+	const locator = createLocator(config);
+
+	return new GettextConverter(locator).exportCatalogs()
+		.then(result => {
+			const files = {};
+			files[TEMPLATE_FILENAME] = result.template;
+			Object.keys(result.catalogs)
+				.forEach(locale => {
+					files[`${locale}.po`] = result.catalogs[locale];
+				});
+			return writeExportedFiles(output, files, result.skipped);
+		})
+		.then(() => 0);
+}
+
+/**
+ * Imports translations of PO files to localization files.
+ * @param {Object} config Application config.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Promise<number>} Promise for the exit code,
+ * it is 2 if there are no PO files in arguments.
+ */
+function importPo(config, commandArgs) {
+	const files = getArguments(commandArgs);
+	if (files.length === 0) {
+		process.stderr.write(USAGE);
+		return Promise.resolve(2);
+	}
+
+	const converter = new GettextConverter(createLocator(config));
+	return importFiles(files, (content, file) => converter.importCatalog(content, {
+		locale: path.basename(file, path.extname(file))
+	}));
+}
+
+/**
+ * Exports localizations to XLIFF files.
+ * @param {Object} config Application config.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Promise<number>} Promise for the exit code.
+ */
+function exportXliff(config, commandArgs) {
+	const output = getOption(commandArgs, '--output', DEFAULT_XLIFF_OUTPUT_PATH);
+	const version = getOption(commandArgs, '--xliff-version', DEFAULT_XLIFF_VERSION);
+	const locator = createLocator(config);
+
+	return new XliffConverter(locator).exportDocuments({version})
+		.then(result => {
+			const files = {};
+			Object.keys(result.documents)
+				.forEach(locale => {
+					files[`${locale}.xlf`] = result.documents[locale];
+				});
+			return writeExportedFiles(output, files, result.skipped);
+		})
+		.then(() => 0);
+}
+
+/**
+ * Imports translations of XLIFF files to localization files.
+ * @param {Object} config Application config.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Promise<number>} Promise for the exit code,
+ * it is 2 if there are no XLIFF files in arguments.
+ */
+function importXliff(config, commandArgs) {
+	const files = getArguments(commandArgs);
+	if (files.length === 0) {
+		process.stderr.write(USAGE);
+		return Promise.resolve(2);
+	}
+
+	const converter = new XliffConverter(createLocator(config));
+	return importFiles(files, content => converter.importDocument(content));
+}
+
+/**
+ * Writes exported files to the output directory and prints skipped keys.
+ * @param {string} output Output directory.
+ * @param {Object} files Contents of files by names.
+ * @param {Array<string>} skipped Keys which are not exported.
+ * @returns {Promise} Promise for files are written.
+ */
+function writeExportedFiles(output, files, skipped) {
+	skipped.forEach(key => process.stdout.write(
+		`Key "${key}" is skipped, only strings and plural forms can be exported\n`
+	));
+
+	return fs.exists(output)
+		.then(isExists => (isExists ? null : fs.mkdir(output)))
+		.then(() => Promise.all(Object.keys(files)
+			.map(filename => {
+				const file = path.join(output, filename);
+				return fs.writeFile(file, files[filename])
+					.then(() => process.stdout.write(`Exported ${file}\n`));
+			})));
+}
+
+/**
+ * Imports translation files one by one because they can change
+ * the same localization files and prints results.
+ * @param {Array<string>} files Paths to translation files.
+ * @param {Function} importer Function that receives content and path
+ * of the file and returns a promise for the import result.
+ * @returns {Promise<number>} Promise for the exit code.
+ */
+function importFiles(files, importer) {
+	return files.reduce((promise, file) => promise
+		.then(() => fs.readFile(file, 'utf8'))
+		.then(content => importer(content, file))
+		.then(result => {
+			result.skipped.forEach(key => process.stdout.write(
+				`Key "${key}" of ${file} is skipped, it is absent in the default locale\n`
+			));
+			process.stdout.write(
+				`Imported ${result.imported.length} translations of locale "${result.locale}" from ${file}\n`
+			);
+		}), Promise.resolve())
+		.then(() => 0);
+}
+
+/**
+ * Gets value of the command line option.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @param {string} name Option name like "--config".
+ * @param {string} defaultValue Value if there is no such option.
+ * @returns {string|undefined} Option value.
+ */
+function getOption(commandArgs, name, defaultValue) {
+	const index = commandArgs.indexOf(name);
+	return index === -1 ? defaultValue : commandArgs[index + 1];
+}
+
+/**
+ * Gets command line arguments after the command which are not options.
+ * @param {Array<string>} commandArgs Command line arguments.
+ * @returns {Array<string>} List of arguments.
+ */
+function getArguments(commandArgs) {
+	return commandArgs
+		.slice(1)
+		.filter((arg, index, list) => arg.indexOf('--') !== 0 &&
+			(index === 0 || OPTIONS_WITH_VALUES.indexOf(list[index - 1]) === -1));
+}
+
+/**
+ * Creates service locator with services the localization loader needs,
+ * components are found the same way as Catberry does.
+ * @param {Object} config Application config.
+ * @returns {{resolve: Function}} Service locator.
+ */
+function createLocator(config) {
+	// Catberry is a peer dependency of the plugin
+	const ComponentFinder = require('catberry/lib/finders/ComponentFinder');
+	const services = {
+		config,
+		eventBus: new events.EventEmitter()
+	};
+	const locator = {
+		resolve: name => services[name]
+	};
+	services.componentFinder = new ComponentFinder(locator);
+	services.localizationLoader = new LocalizationLoader(locator);
+	return locator;
+}
@@ -1,5 +1,13 @@
 'use strict';
 
+const localizationHelper = require('../lib/helpers/localizationHelper');
+const localeHelper = require('../lib/helpers/localeHelper');
+
+const DEFAULT_ENDPOINT = '/l10n';
+const DEFAULT_GLOBAL_NAME = 'localization';
+const HOT_RELOAD_PATH = 'events';
+const HOT_RELOAD_EVENT = 'l10nUpdate';
+
 class LocalizationLoader {
 
 	/**
@@ -7,17 +15,337 @@ class LocalizationLoader {
 	 * @param {ServiceLocator} locator Locator to resolve dependencies.
 	 */
 	constructor(locator) {
-		const window = locator.resolve('window');
-		this._localization = window.localization &&
-			typeof (window.localization) === 'object' ? window.localization : {};
+		this._locator = locator;
+		this._window = locator.resolve('window');
+		const l10n = locator.has('config') ? locator.resolve('config').l10n || {} : {};
+		this._globalName = l10n.globalName || DEFAULT_GLOBAL_NAME;
+		this._defaultLocale = localeHelper.canonicalize(l10n.defaultLocale);
+		this._fallbacks = localeHelper.prepareFallbacks(l10n.fallbacks);
+		const localization = this._window[this._globalName];
+		this._localization = localization &&
+			typeof (localization) === 'object' ? localization : {};
+
+		const chunks = this._window[`${this._globalName}Chunks`];
+		this._chunks = chunks && typeof (chunks) === 'object' &&
+			Array.isArray(chunks.components) ? chunks : null;
+		this._chunkLoading = Object.create(null);
+
+		// without the locale name the page localization is used for all locales
+		this._locale = localeHelper.canonicalize(
+			this._window[`${this._globalName}Locale`] ||
+			(this._chunks ? this._chunks.locale : null)
+		);
+		this._localizations = Object.create(null);
+		if (this._locale) {
+			this._localizations[this._locale] = this._localization;
+		}
+		this._localeLoading = Object.create(null);
+		this._failedLocales = Object.create(null);
+		// locales of localizations the server responded with by requested locales
+		this._resolvedLocales = Object.create(null);
+
+		this._prepareAvailableLocales();
+		this._prepareEndpoint(l10n);
+
+		if (l10n.hotReload && typeof (this._window.EventSource) === 'function') {
+			this._watchHotReload();
+		}
 	}
 
 	/**
-	 * Loads localization by locale.
+	 * Loads localization by locale. If the locale is not loaded yet
+	 * it starts loading and the localization of the closest loaded locale
+	 * from its fallback chain, the default or the current one is returned.
+	 * If the component is specified its localization chunk starts loading.
+	 * @param {string} locale Locale name.
+	 * @param {string?} component Name of the component that needs localization.
 	 * @returns {Object} Object with localization.
 	 */
-	load() {
-		return this._localization;
+	load(locale, component) {
+		const localization = this._findLocalization(locale);
+		if (component && this._chunks &&
+			this._localizations[this._chunks.locale] === localization) {
+			this.loadComponent(component);
+		}
+		return localization;
+	}
+
+	/**
+	 * Loads complete localization of the locale from the server,
+	 * every locale is loaded only once. The locale is resolved to the locale
+	 * of its localization on the server first, so the localization is not
+	 * requested if it is already loaded for another locale.
+	 * @param {string} locale Locale name.
+	 * @returns {Promise<Object>} Promise for the localization object.
+	 */
+	loadLocale(locale) {
+		const canonical = localeHelper.canonicalize(locale);
+		if (!canonical) {
+			return Promise.reject(localeHelper.createWrongLocaleError(locale));
+		}
+		const resolved = this._resolveLocale(canonical);
+		if (resolved in this._localizations) {
+			return Promise.resolve(this._localizations[resolved]);
+		}
+
+		if (!(resolved in this._localeLoading)) {
+			this._localeLoading[resolved] = this._requestLocale(resolved)
+				.then(localization => {
+					delete this._localeLoading[resolved];
+					delete this._failedLocales[resolved];
+					return this._addLocalization(resolved, localization);
+				})
+				.catch(reason => {
+					delete this._localeLoading[resolved];
+					this._failedLocales[resolved] = true;
+					throw reason;
+				});
+		}
+		return this._localeLoading[resolved];
+	}
+
+	/**
+	 * Loads localization chunk of the component and merges it into
+	 * the localization, every chunk is loaded only once.
+	 * @param {string} component Component name.
+	 * @returns {Promise<Object>} Promise for the localization object.
+	 */
+	loadComponent(component) {
+		if (!this._chunks || this._chunks.components.indexOf(component) === -1) {
+			return Promise.resolve(this._localization);
+		}
+
+		if (!(component in this._chunkLoading)) {
+			const eventBus = this._locator.resolve('eventBus');
+			const locale = this._chunks.locale;
+			const localization = this._localizations[locale];
+
+			this._chunkLoading[component] = this._requestChunk(locale, component)
+				.then(chunk => {
+					localizationHelper.forEachLeaf(chunk, (keyPath, value) =>
+						localizationHelper.setValue(localization, keyPath, value));
+					eventBus.emit('l10nChunkLoaded', {locale, component});
+					return localization;
+				})
+				.catch(reason => {
+					// allow loading the chunk again next time
+					delete this._chunkLoading[component];
+					eventBus.emit('error', reason);
+					return localization;
+				});
+		}
+		return this._chunkLoading[component];
+	}
+
+	/**
+	 * Loads complete localization of the locale in background if it is not
+	 * loaded yet and makes it current, then emits the "l10nChanged" event.
+	 * @param {string} locale Locale name.
+	 * @returns {Promise<Object>} Promise for the new localization object.
+	 */
+	changeLocale(locale) {
+		return this.loadLocale(locale)
+			.then(localization => {
+				this._locale = this._resolveLocale(localeHelper.canonicalize(locale));
+				this._localization = localization;
+				this._window[this._globalName] = localization;
+				this._window[`${this._globalName}Locale`] = this._locale;
+				this._locator.resolve('eventBus').emit('l10nChanged', {locale: this._locale});
+				return localization;
+			});
+	}
+
+	/**
+	 * Finds localization of the locale or the closest loaded one
+	 * and starts loading the locale if it is not loaded yet.
+	 * @param {string} locale Locale name.
+	 * @returns {Object} Object with localization.
+	 * @private
+	 */
+	_findLocalization(locale) {
+		const canonical = localeHelper.canonicalize(locale);
+		if (!this._locale || !canonical) {
+			return this._localization;
+		}
+
+		const resolved = this._resolveLocale(canonical);
+		if (!(resolved in this._localizations) && !(resolved in this._failedLocales)) {
+			this.loadLocale(resolved)
+				.catch(reason => this._locator.resolve('eventBus').emit('error', reason));
+		}
+
+		const found = localeHelper.getFallbackChain(resolved, this._fallbacks)
+			.find(current => current in this._localizations);
+		if (found) {
+			return this._localizations[found];
+		}
+		return this._defaultLocale && this._localizations[this._defaultLocale] ?
+			this._localizations[this._defaultLocale] : this._localization;
+	}
+
+	/**
+	 * Resolves the locale to the locale of its localization on the server
+	 * using the fallback chain the same way as the server does it.
+	 * @param {string} locale Canonical locale name.
+	 * @returns {string} Locale name of the localization.
+	 * @private
+	 */
+	_resolveLocale(locale) {
+		if (locale in this._resolvedLocales) {
+			return this._resolvedLocales[locale];
+		}
+		if (!this._availableLocales) {
+			return locale;
+		}
+		const found = localeHelper.getFallbackChain(locale, this._fallbacks)
+			.find(current => this._availableLocales.indexOf(current) !== -1);
+		return found || this._defaultLocale || this._locale;
+	}
+
+	/**
+	 * Adds loaded localization unless the localization of its locale is
+	 * already loaded and emits the "l10nLocaleLoaded" event.
+	 * @param {string} locale Requested locale name.
+	 * @param {Object} localization Localization the server responded with.
+	 * @returns {Object} Localization object.
+	 * @private
+	 */
+	_addLocalization(locale, localization) {
+		const pluralization = localization.$pluralization;
+		const loadedLocale = pluralization && localeHelper.canonicalize(pluralization.locale) || locale;
+		if (loadedLocale !== locale) {
+			this._resolvedLocales[locale] = loadedLocale;
+		}
+		if (!(loadedLocale in this._localizations)) {
+			this._localizations[loadedLocale] = localization;
+			this._locator.resolve('eventBus')
+				.emit('l10nLocaleLoaded', {locale: loadedLocale});
+		}
+		return this._localizations[loadedLocale];
+	}
+
+	/**
+	 * Listens to the server for changed localizations.
+	 * @private
+	 */
+	_watchHotReload() {
+		const source = new this._window.EventSource(`${this._endpoint}/${HOT_RELOAD_PATH}`);
+		source.addEventListener(HOT_RELOAD_EVENT, event => {
+			let locales;
+			try {
+				locales = JSON.parse(event.data).locales;
+			} catch (e) {
+				this._locator.resolve('eventBus').emit('error', e);
+				return;
+			}
+			if (Array.isArray(locales)) {
+				this._reloadLocales(locales);
+			}
+		});
+	}
+
+	/**
+	 * Loads again all loaded localizations affected by changes
+	 * of the locales and replaces them emitting the "l10nReloaded" event.
+	 * @param {Array<string>} locales Changed locale names.
+	 * @returns {Promise} Promise for the localizations are replaced.
+	 * @private
+	 */
+	_reloadLocales(locales) {
+		const eventBus = this._locator.resolve('eventBus');
+		const isAffected = locale => localeHelper.getFallbackChain(locale, this._fallbacks)
+			.concat(this._defaultLocale)
+			.some(current => locales.indexOf(current) !== -1);
+
+		return Promise.all(Object.keys(this._localizations)
+			.filter(isAffected)
+			.map(locale => this._requestLocale(locale)
+				.then(localization => {
+					this._localizations[locale] = localization;
+					// the complete localization already has keys of all components
+					if (this._chunks && this._chunks.locale === locale) {
+						this._chunks = null;
+					}
+					if (this._locale === locale) {
+						this._localization = localization;
+						this._window[this._globalName] = localization;
+					}
+					eventBus.emit('l10nReloaded', {locale});
+				})
+				.catch(reason => eventBus.emit('error', reason))
+			));
+	}
+
+	/**
+	 * Prepares the list of locales which have localizations on the server,
+	 * pages of old versions have no list.
+	 * @private
+	 */
+	_prepareAvailableLocales() {
+		const locales = this._window[`${this._globalName}Locales`];
+		this._availableLocales = Array.isArray(locales) ?
+			locales
+				.map(locale => localeHelper.canonicalize(locale))
+				.filter(Boolean) :
+			null;
+	}
+
+	/**
+	 * Prepares URL path of the localization endpoint
+	 * from the config or the chunks info.
+	 * @param {Object} l10n Localization config.
+	 * @private
+	 */
+	_prepareEndpoint(l10n) {
+		if (typeof (l10n.endpoint) === 'string' && l10n.endpoint.length > 0) {
+			this._endpoint = `/${l10n.endpoint.replace(/^\/+|\/+$/g, '')}`;
+		} else {
+			this._endpoint = this._chunks && this._chunks.endpoint ?
+				this._chunks.endpoint : DEFAULT_ENDPOINT;
+		}
+	}
+
+	/**
+	 * Requests complete localization of the locale from the server.
+	 * @param {string} locale Locale name.
+	 * @returns {Promise<Object>} Promise for the localization.
+	 * @private
+	 */
+	_requestLocale(locale) {
+		const url = `${this._endpoint}/${encodeURIComponent(locale)}.json`;
+		return this._requestJSON(url, `Can not load localization of locale "${locale}"`);
+	}
+
+	/**
+	 * Requests localization chunk of the component from the server.
+	 * @param {string} locale Locale name.
+	 * @param {string} component Component name.
+	 * @returns {Promise<Object>} Promise for the chunk.
+	 * @private
+	 */
+	_requestChunk(locale, component) {
+		const url = `${this._endpoint}/${encodeURIComponent(locale)}/` +
+			`${encodeURIComponent(component)}.json`;
+		return this._requestJSON(url,
+			`Can not load localization chunk of component "${component}"`);
+	}
+
+	/**
+	 * Requests JSON object from the server.
+	 * @param {string} url URL of the JSON object.
+	 * @param {string} errorMessage Message of the error if the request failed.
+	 * @returns {Promise<Object>} Promise for the object.
+	 * @private
+	 */
+	_requestJSON(url, errorMessage) {
+		return this._locator.resolve('uhr').get(url)
+			.then(result => {
+				if (result.status.code !== 200) {
+					throw new Error(`${errorMessage} (status ${result.status.code})`);
+				}
+				return typeof (result.content) === 'string' ?
+					JSON.parse(result.content) : result.content;
+			});
 	}
 }
 
@@ -0,0 +1,202 @@
+'use strict';
+
+const configHelper = require('./helpers/configHelper');
+const localeHelper = require('./helpers/localeHelper');
+const localizationHelper = require('./helpers/localizationHelper');
+const localizationFileHelper = require('./helpers/localizationFileHelper');
+const pluralFormHelper = require('./helpers/pluralFormHelper');
+const poHelper = require('./helpers/poHelper');
+
+const FUZZY_FLAG = 'fuzzy';
+const TEMPLATE_HEADERS = {
+	'Content-Type': 'text/plain; charset=UTF-8',
+	'Content-Transfer-Encoding': '8bit'
+};
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+class GettextConverter {
+
+	/**
+	 * Creates new instance of gettext PO/POT converter.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		const l10n = configHelper.getL10nConfig(locator);
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
+		this._componentNamespaces = Boolean(l10n.componentNamespaces);
+		this._loader = locator.resolve('localizationLoader');
+	}
+
+	/**
+	 * Exports localizations of the application and its components merged
+	 * by locales to gettext files. Every message has the dotted key as
+	 * "msgctxt", the default locale value as "msgid" and a reference to the
+	 * file the key comes from, arrays of plural forms are exported as
+	 * "msgid_plural" and "msgstr[n]".
+	 * @returns {Promise<Object>} Promise for the result with "template"
+	 * (content of POT file), "catalogs" (contents of PO files by locales
+	 * except the default one) and "skipped" (keys with values which are
+	 * neither strings nor arrays of plural forms).
+	 */
+	exportCatalogs() {
+		return this._loader.loadFiles()
+			.then(loaded => {
+				const locales = localizationFileHelper.mergeFiles(loaded.files);
+				const defaultKeys = locales[this._defaultLocale] || Object.create(null);
+				const skipped = [];
+				const keys = Object.keys(defaultKeys)
+					.sort()
+					.filter(key => {
+						const value = defaultKeys[key].value;
+						if (typeof (value) === 'string' || localizationFileHelper.isPluralForms(value)) {
+							return true;
+						}
+						skipped.push(key);
+						return false;
+					});
+
+				const catalogs = {};
+				Object.keys(locales)
+					.sort()
+					.filter(locale => locale !== this._defaultLocale)
+					.forEach(locale => {
+						catalogs[locale] = poHelper.stringify(
+							this._createCatalog(keys, defaultKeys, locale, locales[locale])
+						);
+					});
+
+				return {
+					template: poHelper.stringify(this._createCatalog(keys, defaultKeys)),
+					catalogs,
+					skipped
+				};
+			});
+	}
+
+	/**
+	 * Imports translations of the PO file to localization files of the
+	 * locale. Every translation is saved to the file of the locale which
+	 * already has the key or to the locale file next to the file of the
+	 * default locale the key comes from. Fuzzy and empty translations
+	 * are not imported.
+	 * @param {string} content Content of PO file.
+	 * @param {Object?} options Options with "locale" used when the PO file
+	 * has no "Language" header.
+	 * @returns {Promise<Object>} Promise for the result with "locale",
+	 * "imported" (list of imported keys with "key" and "file")
+	 * and "skipped" (keys which are absent in the default locale).
+	 */
+	importCatalog(content, options) {
+		let catalog;
+		try {
+			catalog = poHelper.parse(content);
+		} catch (e) {
+			return Promise.reject(e);
+		}
+
+		const name = catalog.headers.Language || (options && options.locale);
+		const locale = localeHelper.canonicalize(name);
+		if (!locale) {
+			return Promise.reject(localeHelper.createWrongLocaleError(name));
+		}
+
+		return this._loader.loadFiles()
+			.then(loaded => {
+				const locales = localizationFileHelper.mergeFiles(loaded.files);
+				const defaultKeys = locales[this._defaultLocale] || Object.create(null);
+				const localeKeys = locales[locale] || Object.create(null);
+				const result = {
+					locale,
+					imported: [],
+					skipped: []
+				};
+				const byFiles = Object.create(null);
+
+				catalog.entries
+					.filter(entry => entry.flags.indexOf(FUZZY_FLAG) === -1 &&
+						entry.strings.some(string => string))
+					.forEach(entry => {
+						const key = entry.context;
+						if (!key || !(key in defaultKeys)) {
+							result.skipped.push(key || entry.id);
+							return;
+						}
+						const file = localizationFileHelper.getTargetFile(
+							locale, defaultKeys[key], localeKeys[key], loaded.files
+						);
+						if (!(file.path in byFiles)) {
+							byFiles[file.path] = [];
+						}
+						byFiles[file.path].push({
+							path: localizationFileHelper.getKeyPath(
+								key, file.source, this._componentNamespaces
+							),
+							value: entry.idPlural === null ? entry.strings[0] : entry.strings
+						});
+						result.imported.push({key, file: file.path});
+					});
+
+				return Promise.all(Object.keys(byFiles)
+					.map(file => this._loader.readFile(file)
+						.then(localization => {
+							byFiles[file].forEach(value => localizationHelper.setValue(
+								localization, value.path, value.value
+							));
+							return this._loader.writeFile(file, localization);
+						})))
+					.then(() => result);
+			});
+	}
+
+	/**
+	 * Creates gettext catalog of the locale or the template.
+	 * @param {Array<string>} keys Exported dotted keys.
+	 * @param {Object} defaultKeys Values of the default locale with their
+	 * files by keys.
+	 * @param {string?} locale Locale name or nothing for the template.
+	 * @param {Object?} localeKeys Values of the locale with their files by keys.
+	 * @returns {Object} Catalog for PO helper.
+	 * @private
+	 */
+	_createCatalog(keys, defaultKeys, locale, localeKeys) {
+		const rule = locale ? pluralFormHelper.getRule(locale) : null;
+		const formCount = locale ? pluralFormHelper.getFormCount(locale) : 2;
+		const headers = Object.assign({}, TEMPLATE_HEADERS, {
+			Language: locale || '',
+			'Plural-Forms': rule ?
+				`nplurals=${formCount}; plural=${rule};` :
+				'nplurals=INTEGER; plural=EXPRESSION;'
+		});
+
+		return {
+			headers,
+			entries: keys.map(key => {
+				const value = defaultKeys[key].value;
+				const translation = localeKeys && localeKeys[key] ?
+					localeKeys[key].value : null;
+				const entry = {
+					context: key,
+					// an empty "msgid" is reserved for the header
+					id: (Array.isArray(value) ? value[0] : value) || key,
+					idPlural: null,
+					strings: [typeof (translation) === 'string' ? translation : ''],
+					references: [defaultKeys[key].file.path],
+					flags: []
+				};
+				if (!Array.isArray(value)) {
+					return entry;
+				}
+
+				const forms = localizationFileHelper.isPluralForms(translation) ? translation : [];
+				entry.idPlural = value[1] || entry.id;
+				entry.strings = new Array(formCount || Math.max(forms.length, 1))
+					.fill('')
+					.map((empty, index) => forms[index] || empty);
+				return entry;
+			})
+		};
+	}
+}
+
+module.exports = GettextConverter;
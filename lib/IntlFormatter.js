@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Built-in styles of ICU message arguments by types, they are used
+ * when the localization has no format preset with the same name.
+ */
+const STYLES = {
+	number: {
+		integer: {maximumFractionDigits: 0},
+		percent: {style: 'percent'}
+	},
+	date: {
+		short: {year: '2-digit', month: 'numeric', day: 'numeric'},
+		medium: {year: 'numeric', month: 'short', day: 'numeric'},
+		long: {year: 'numeric', month: 'long', day: 'numeric'},
+		full: {year: 'numeric', month: 'long', day: 'numeric', weekday: 'long'}
+	},
+	time: {
+		// Intl formats only the date if no date or time fields are specified
+		default: {hour: 'numeric', minute: 'numeric'},
+		short: {hour: 'numeric', minute: 'numeric'},
+		medium: {hour: 'numeric', minute: 'numeric', second: 'numeric'},
+		long: {hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'},
+		full: {hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'}
+	}
+};
+
+/**
+ * Units of relative time, Intl.RelativeTimeFormat also accepts them
+ * in plural.
+ */
+const RELATIVE_TIME_UNITS = [
+	'second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'
+];
+
+class IntlFormatter {
+
+	/**
+	 * Creates new instance of formatter of numbers and dates
+	 * using the Intl API.
+	 */
+	constructor() {
+		this._cache = Object.create(null);
+	}
+
+	/**
+	 * Gets built-in style of ICU message argument.
+	 * @param {string} type Argument type (number, date or time).
+	 * @param {string} name Style name like "percent" or "short".
+	 * @returns {Object|undefined} Intl options of the style.
+	 */
+	getStyle(type, name) {
+		const styles = STYLES[type];
+		return styles && Object.prototype.hasOwnProperty.call(styles, name) ?
+			styles[name] : undefined;
+	}
+
+	/**
+	 * Formats number.
+	 * @param {Array<string>} locales Locale names from the most preferred.
+	 * @param {number|string} value Number to format.
+	 * @param {Object?} options Options of Intl.NumberFormat.
+	 * @returns {string} Formatted number.
+	 */
+	formatNumber(locales, value, options) {
+		return this._getFormat('NumberFormat', locales, options)
+			.format(Number(value));
+	}
+
+	/**
+	 * Formats date or time.
+	 * @param {Array<string>} locales Locale names from the most preferred.
+	 * @param {Date|number|string} value Date, timestamp or date string.
+	 * @param {Object?} options Options of Intl.DateTimeFormat.
+	 * @returns {string} Formatted date.
+	 */
+	formatDate(locales, value, options) {
+		return this._getFormat('DateTimeFormat', locales, options)
+			.format(value instanceof Date ? value : new Date(value));
+	}
+
+	/**
+	 * Formats relative time like "in 3 days" or "yesterday".
+	 * Environments without Intl.RelativeTimeFormat (Node.js before 12 and
+	 * old browsers) get English relative time with the localized number.
+	 * @param {Array<string>} locales Locale names from the most preferred.
+	 * @param {number|string} value Number of units, negative for the past.
+	 * @param {string} unit Unit like "day", "hour" or "month".
+	 * @param {Object?} options Options of Intl.RelativeTimeFormat.
+	 * @returns {string} Formatted relative time.
+	 */
+	formatRelativeTime(locales, value, unit, options) {
+		if (!isSupported('RelativeTimeFormat')) {
+			return this._formatEnglishRelativeTime(locales, Number(value), unit);
+		}
+		return this._getFormat('RelativeTimeFormat', locales, options)
+			.format(Number(value), unit);
+	}
+
+	/**
+	 * Formats relative time in English like "in 3 days" or "3 days ago".
+	 * @param {Array<string>} locales Locale names to format the number.
+	 * @param {number} value Number of units, negative for the past.
+	 * @param {string} unit Unit like "day" or "days".
+	 * @returns {string} Formatted relative time.
+	 * @private
+	 */
+	_formatEnglishRelativeTime(locales, value, unit) {
+		const singular = String(unit).replace(/s$/, '');
+		if (!isFinite(value) || RELATIVE_TIME_UNITS.indexOf(singular) === -1) {
+			throw new RangeError(`Invalid relative time ${value} ${unit}`);
+		}
+		const count = Math.abs(value);
+		const units = `${this.formatNumber(locales, count)} ${count === 1 ? singular : `${singular}s`}`;
+		return value < 0 || Object.is(value, -0) ? `${units} ago` : `in ${units}`;
+	}
+
+	/**
+	 * Gets Intl formatter from the cache or creates it.
+	 * @param {string} name Name of the Intl constructor.
+	 * @param {Array<string>} locales Locale names.
+	 * @param {Object?} options Formatter options.
+	 * @returns {Object} Intl formatter.
+	 * @private
+	 */
+	_getFormat(name, locales, options) {
+		if (!isSupported(name)) {
+			throw new Error(`Intl.${name} is not supported in this environment`);
+		}
+
+		const cacheKey = `${name}:${locales.join(',')}:${JSON.stringify(options || {})}`;
+		if (!(cacheKey in this._cache)) {
+			this._cache[cacheKey] = new Intl[name](locales, options);
+		}
+		return this._cache[cacheKey];
+	}
+}
+
+/**
+ * Determines if the environment has the Intl constructor.
+ * @param {string} name Name of the Intl constructor.
+ * @returns {boolean} true if the constructor is supported.
+ */
+function isSupported(name) {
+	return typeof (Intl) === 'object' && typeof (Intl[name]) === 'function';
+}
+
+module.exports = IntlFormatter;
@@ -0,0 +1,388 @@
+'use strict';
+
+const path = require('path');
+const fs = require('./promises/fs');
+const configHelper = require('./helpers/configHelper');
+const localizationHelper = require('./helpers/localizationHelper');
+const pluralFormHelper = require('./helpers/pluralFormHelper');
+
+const LOCALIZATIONS_FOLDER_NAME = 'l10n';
+const SKIPPED_DIRECTORIES = [LOCALIZATIONS_FOLDER_NAME, 'node_modules'];
+const SOURCE_EXTENSIONS = [
+	'.js', '.jsx', '.mjs', '.hbs', '.handlebars', '.jade', '.pug', '.dust', '.ejs', '.html'
+];
+
+const DEFAULT_RECEIVERS = ['l10n', '_l10n', 'localizationProvider'];
+const RECEIVER_REGEXP = /^[A-Za-z_$][\w$]*$/;
+const METHODS = 'get|format|pluralize|select';
+
+/**
+ * Provider resolved in place like
+ * "locator.resolve('localizationProvider').get(locale, 'TITLE')".
+ */
+const RESOLVED_PROVIDER = '\\.resolve\\(\\s*(?:\'localizationProvider\'|"localizationProvider")\\s*\\)';
+
+/**
+ * Literal key of the call, the second argument of provider methods.
+ */
+const KEY_ARGUMENT_REGEXP = /\s*(['"`])([^'"`\s]+)\1/y;
+const QUOTES = '\'"`';
+const OPENING_BRACKETS = '([{';
+const CLOSING_BRACKETS = ')]}';
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+class KeyExtractor {
+
+	/**
+	 * Creates new instance of localization key extractor.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		const l10n = configHelper.getL10nConfig(locator);
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
+		this._componentNamespaces = Boolean(l10n.componentNamespaces);
+		this._patterns = (Array.isArray(l10n.extractPatterns) ? l10n.extractPatterns : [])
+			.map(pattern => new RegExp(pattern, 'g'));
+		this._callRegExp = createCallRegExp(Array.isArray(l10n.extractReceivers) ?
+			l10n.extractReceivers : DEFAULT_RECEIVERS);
+		this._componentFinder = locator.resolve('componentFinder');
+		this._loader = locator.resolve('localizationLoader');
+	}
+
+	/**
+	 * Finds localization keys used in source code and templates of components,
+	 * adds keys absent in the default locale to the default locale file
+	 * of the component which uses them and finds keys which are not used.
+	 * @param {Object?} options Options with "dryRun" flag
+	 * to find keys without changing files.
+	 * @returns {Promise<Object>} Promise for the result with "added" (list of
+	 * new keys with "component", "key" and "file" the key is added to)
+	 * and "unused" (list of not referenced keys with "key" and "files").
+	 */
+	extract(options) {
+		const dryRun = Boolean(options && options.dryRun);
+
+		return Promise.all([
+			this._loader.loadFiles(),
+			this._componentFinder.find()
+		])
+			.then(results => {
+				const files = results[0].files;
+				const defined = collectDefaultKeys(files, this._defaultLocale);
+				const components = results[1];
+				const directories = Object.keys(components)
+					.map(name => path.resolve(path.dirname(components[name].path)));
+
+				return Promise.all(Object.keys(components)
+					.sort()
+					.map(name => {
+						const directory = path.dirname(components[name].path);
+						const file = getDefaultFile(directory, files, this._defaultLocale);
+						return this._scanDirectory(path.resolve(directory), directories)
+							.then(references => ({name, file, references}));
+					}))
+					.then(found => this._compare(found, defined));
+			})
+			.then(result => (dryRun ? result : this._addKeys(result.added).then(() => result)));
+	}
+
+	/**
+	 * Compares referenced keys with defined ones.
+	 * @param {Array<Object>} found Components with their "name", default
+	 * locale "file" and "references" to localization keys.
+	 * @param {Object} defined Files of the default locale by defined keys.
+	 * @returns {{added: Array<Object>, unused: Array<Object>}} New and
+	 * not referenced keys.
+	 * @private
+	 */
+	_compare(found, defined) {
+		const referenced = Object.create(null);
+		const added = [];
+		const seen = Object.create(null);
+
+		found.forEach(component => component.references.forEach(reference => {
+			const ownKey = this._componentNamespaces ?
+				`${component.name}.${reference.key}` : reference.key;
+			const existing = [ownKey, reference.key]
+				.map(key => findDefinedKeys(defined, key, reference.select))
+				.reduce((keys, current) => keys.concat(current), []);
+			existing.forEach(key => {
+				referenced[key] = true;
+			});
+			if (existing.length > 0 || ownKey in seen) {
+				return;
+			}
+			seen[ownKey] = true;
+			added.push({
+				component: component.name,
+				key: reference.key,
+				plural: reference.plural,
+				select: reference.select,
+				file: component.file
+			});
+		}));
+
+		return {
+			added,
+			unused: Object.keys(defined)
+				.sort()
+				.filter(key => !(key in referenced))
+				.map(key => ({key, files: defined[key]}))
+		};
+	}
+
+	/**
+	 * Finds references to localization keys in all source files
+	 * of the directory including nested ones.
+	 * @param {string} directory Absolute path of the directory.
+	 * @param {Array<string>} componentDirectories Absolute paths of component
+	 * directories which are scanned separately.
+	 * @returns {Promise<Array<{key: string, plural: boolean, select: boolean}>>}
+	 * Promise for the list of references.
+	 * @private
+	 */
+	_scanDirectory(directory, componentDirectories) {
+		return fs.readdir(directory)
+			.then(names => Promise.all(names.sort().map(name => {
+				const fullPath = path.join(directory, name);
+				return fs.stat(fullPath)
+					.then(stat => {
+						if (stat.isDirectory()) {
+							return SKIPPED_DIRECTORIES.indexOf(name) !== -1 ||
+								componentDirectories.indexOf(fullPath) !== -1 ?
+								[] : this._scanDirectory(fullPath, componentDirectories);
+						}
+						if (SOURCE_EXTENSIONS.indexOf(path.extname(name)) === -1) {
+							return [];
+						}
+						return fs.readFile(fullPath, 'utf8')
+							.then(source => this._findReferences(source));
+					});
+			})))
+			.then(lists => [].concat(...lists));
+	}
+
+	/**
+	 * Finds references to localization keys in the source code.
+	 * @param {string} source Source code or template.
+	 * @returns {Array<{key: string, plural: boolean, select: boolean}>}
+	 * List of references.
+	 * @private
+	 */
+	_findReferences(source) {
+		const references = [];
+		forEachMatch(this._callRegExp, source, match => references.push({
+			key: getKeyArgument(source, match.index + match[0].length),
+			plural: match[1] === 'pluralize',
+			select: match[1] === 'select'
+		}));
+		this._patterns.forEach(pattern => forEachMatch(pattern, source, match => references.push({
+			key: match[1],
+			plural: false,
+			select: false
+		})));
+		// keys built from template literals are not known
+		return references.filter(reference => reference.key &&
+			reference.key.indexOf('${') === -1);
+	}
+
+	/**
+	 * Adds new keys with empty values to default locale files.
+	 * @param {Array<Object>} added New keys with files to add them to.
+	 * @returns {Promise} Promise for the files are saved.
+	 * @private
+	 */
+	_addKeys(added) {
+		const byFiles = Object.create(null);
+		added.forEach(entry => {
+			if (!(entry.file in byFiles)) {
+				byFiles[entry.file] = [];
+			}
+			byFiles[entry.file].push(entry);
+		});
+
+		const formCount = pluralFormHelper.getFormCount(this._defaultLocale) || 1;
+		return Promise.all(Object.keys(byFiles)
+			.map(file => this._loader.readFile(file)
+				.then(localization => {
+					byFiles[file].forEach(entry => localizationHelper.setValue(
+						localization, entry.key.split('.'), createEmptyValue(entry, formCount)
+					));
+					return ensureDirectory(path.dirname(file))
+						.then(() => this._loader.writeFile(file, localization));
+				})));
+	}
+}
+
+/**
+ * Collects keys of the default locale with files they are defined in.
+ * @param {Array<Object>} files Loaded localization files.
+ * @param {string} defaultLocale Default locale name.
+ * @returns {Object} Lists of files by dotted keys.
+ */
+function collectDefaultKeys(files, defaultLocale) {
+	const keys = Object.create(null);
+	files
+		.filter(file => file.locale === defaultLocale)
+		.forEach(file => Object.keys(file.values)
+			.forEach(key => {
+				if (!(key in keys)) {
+					keys[key] = [];
+				}
+				keys[key].push(file.path);
+			}));
+	return keys;
+}
+
+/**
+ * Gets the default locale file of the component new keys are added to:
+ * the existing one or the new file in the format of the application's
+ * default locale file.
+ * @param {string} directory Directory of the component.
+ * @param {Array<Object>} files Loaded localization files.
+ * @param {string} defaultLocale Default locale name.
+ * @returns {string} Path to the file.
+ */
+function getDefaultFile(directory, files, defaultLocale) {
+	const l10nDirectory = path.join(directory, LOCALIZATIONS_FOLDER_NAME);
+	const defaultFiles = files.filter(file => file.locale === defaultLocale);
+	const existing = defaultFiles.find(file =>
+		path.resolve(path.dirname(file.path)) === path.resolve(l10nDirectory));
+	if (existing) {
+		return path.join(l10nDirectory, path.basename(existing.path));
+	}
+	const application = defaultFiles.find(file => !file.component);
+	const extension = application ? path.extname(application.path) : '.json';
+	return path.join(l10nDirectory, `${defaultLocale}${extension}`);
+}
+
+/**
+ * Finds defined keys of the referenced key, variants of select values
+ * are nested keys like "GREETING.female".
+ * @param {Object} defined Files of the default locale by defined keys.
+ * @param {string} key Referenced key.
+ * @param {boolean} isSelect Is the key referenced by the "select" method.
+ * @returns {Array<string>} List of defined keys.
+ */
+function findDefinedKeys(defined, key, isSelect) {
+	if (!isSelect) {
+		return key in defined ? [key] : [];
+	}
+	const prefix = `${key}.`;
+	return Object.keys(defined)
+		.filter(current => current === key || current.indexOf(prefix) === 0);
+}
+
+/**
+ * Creates empty value of the new key.
+ * @param {Object} entry New key with "plural" and "select" flags.
+ * @param {number} formCount Number of plural forms in the default locale.
+ * @returns {string|Array|Object} Empty value.
+ */
+function createEmptyValue(entry, formCount) {
+	if (entry.plural) {
+		return new Array(formCount).fill('');
+	}
+	return entry.select ? {other: ''} : '';
+}
+
+/**
+ * Creates regular expression for calls of localization provider methods
+ * like "this._l10n.get(" on the receivers which hold the provider.
+ * @param {Array<string>} receivers Names of variables and properties
+ * which hold the localization provider.
+ * @returns {RegExp} Regular expression with the method name in the first group.
+ */
+function createCallRegExp(receivers) {
+	receivers.forEach(receiver => {
+		if (!RECEIVER_REGEXP.test(receiver)) {
+			throw new Error(`Wrong extract receiver ${receiver} (JavaScript identifier expected)`);
+		}
+	});
+	const providers = [RESOLVED_PROVIDER];
+	if (receivers.length > 0) {
+		const names = receivers
+			.map(receiver => receiver.replace(/\$/g, '\\$'))
+			.join('|');
+		providers.push(`(?:^|[^\\w$])(?:${names})`);
+	}
+	return new RegExp(`(?:${providers.join('|')})\\s*\\.\\s*(${METHODS})\\s*\\(`, 'g');
+}
+
+/**
+ * Gets the literal key of the call, it is the argument after the first one.
+ * @param {string} source Source code.
+ * @param {number} start Index of the first argument of the call.
+ * @returns {string|null} Key or null if it is not a literal.
+ */
+function getKeyArgument(source, start) {
+	let depth = 0;
+	let index = start;
+	while (index < source.length) {
+		const char = source[index];
+		if (QUOTES.indexOf(char) !== -1) {
+			index = skipString(source, index);
+			continue;
+		}
+		if (char === ',' && depth === 0) {
+			KEY_ARGUMENT_REGEXP.lastIndex = index + 1;
+			const match = KEY_ARGUMENT_REGEXP.exec(source);
+			return match ? match[2] : null;
+		}
+		if (OPENING_BRACKETS.indexOf(char) !== -1) {
+			depth++;
+		} else if (CLOSING_BRACKETS.indexOf(char) !== -1 && --depth < 0) {
+			// the call has only one argument
+			return null;
+		}
+		index++;
+	}
+	return null;
+}
+
+/**
+ * Skips the string literal.
+ * @param {string} source Source code.
+ * @param {number} start Index of the opening quote.
+ * @returns {number} Index after the closing quote.
+ */
+function skipString(source, start) {
+	const quote = source[start];
+	let index = start + 1;
+	while (index < source.length && source[index] !== quote) {
+		index += source[index] === '\\' ? 2 : 1;
+	}
+	return index + 1;
+}
+
+/**
+ * Calls the handler for every match of the global regular expression.
+ * @param {RegExp} regexp Regular expression with the "g" flag.
+ * @param {string} source Source to search in.
+ * @param {Function} handler Handler of the match.
+ */
+function forEachMatch(regexp, source, handler) {
+	let match;
+	regexp.lastIndex = 0;
+	while ((match = regexp.exec(source))) {
+		// skip empty matches to avoid an infinite loop
+		if (match[0].length === 0) {
+			regexp.lastIndex++;
+			continue;
+		}
+		handler(match);
+	}
+}
+
+/**
+ * Creates the directory if it does not exist.
+ * @param {string} directory Path to the directory.
+ * @returns {Promise} Promise for the directory exists.
+ */
+function ensureDirectory(directory) {
+	return fs.exists(directory)
+		.then(isExists => (isExists ? null : fs.mkdir(directory)));
+}
+
+module.exports = KeyExtractor;
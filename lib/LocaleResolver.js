@@ -0,0 +1,166 @@
+'use strict';
+
+const localeHelper = require('./helpers/localeHelper');
+
+const DEFAULT_RESOLVERS = ['cookie', 'header'];
+const DEFAULT_QUERY_PARAMETER = 'lang';
+const CUSTOM_RESOLVER_NAME = 'custom';
+const PATH_SEPARATOR = '/';
+
+/**
+ * Built-in resolvers, each one gets a raw locale name from the locale source
+ * using options with "locales" (supported locales) and "queryParameter".
+ */
+const RESOLVERS = {
+	path: (source, options) => getSupported(getPathPrefix(source.path), options.locales),
+	subdomain: (source, options) => getSupported(getSubdomain(source.host), options.locales),
+	query: (source, options) => getQueryValue(source.query, options.queryParameter),
+	cookie: source => source.cookie,
+	header: source => source.browserLocale
+};
+
+/**
+ * Resolvers which match only supported locales.
+ */
+const SUPPORTED_ONLY_RESOLVERS = ['path', 'subdomain'];
+
+class LocaleResolver {
+
+	/**
+	 * Creates new instance of locale resolver.
+	 * @param {Object} l10n Localization config section with "resolvers"
+	 * (list of resolver names and functions), "locales" (list of supported
+	 * locales) and "queryParameter" (name of query parameter).
+	 * @throws {Error} If the configuration is wrong.
+	 */
+	constructor(l10n) {
+		this._options = {
+			queryParameter: typeof (l10n.queryParameter) === 'string' &&
+				l10n.queryParameter.length > 0 ?
+				l10n.queryParameter : DEFAULT_QUERY_PARAMETER,
+			locales: (Array.isArray(l10n.locales) ? l10n.locales : [])
+				.map(locale => {
+					const canonical = localeHelper.canonicalize(locale);
+					if (!canonical) {
+						throw localeHelper.createWrongLocaleError(locale);
+					}
+					return canonical;
+				})
+		};
+
+		const resolvers = Array.isArray(l10n.resolvers) ?
+			l10n.resolvers : DEFAULT_RESOLVERS;
+		this._resolvers = resolvers.map(resolver => this._createResolver(resolver));
+	}
+
+	/**
+	 * Resolves locale from the source using configured resolvers in order.
+	 * @param {Object} source Locale source with "path", "host", "query"
+	 * (parameters by names), "cookie" (raw locale cookie value)
+	 * and "browserLocale" (locale negotiated using "Accept-Language").
+	 * @returns {{locale: string, resolver: string}|null} Canonical locale
+	 * with the name of the resolver that found it or null if not found.
+	 */
+	resolve(source) {
+		for (let i = 0; i < this._resolvers.length; i++) {
+			const locale = localeHelper.canonicalize(
+				this._resolvers[i].resolve(source, this._options)
+			);
+			if (locale) {
+				return {locale, resolver: this._resolvers[i].name};
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Removes the locale prefix like "/de" from the URL if there is one.
+	 * @param {string} url URL to remove prefix from.
+	 * @returns {string} URL without the locale prefix.
+	 */
+	removePathPrefix(url) {
+		const prefix = getPathPrefix(url);
+		if (!getSupported(prefix, this._options.locales)) {
+			return url;
+		}
+		const rest = url.substring(prefix.length + 1);
+		return rest.charAt(0) === PATH_SEPARATOR ? rest : `${PATH_SEPARATOR}${rest}`;
+	}
+
+	/**
+	 * Creates resolver from its configuration.
+	 * @param {string|Function} resolver Resolver name or custom function.
+	 * @returns {{name: string, resolve: Function}} Resolver.
+	 * @private
+	 */
+	_createResolver(resolver) {
+		if (typeof (resolver) === 'function') {
+			return {
+				name: CUSTOM_RESOLVER_NAME,
+				resolve: source => resolver(source)
+			};
+		}
+		if (!(resolver in RESOLVERS)) {
+			throw new Error(`Unknown locale resolver "${resolver}"`);
+		}
+		if (SUPPORTED_ONLY_RESOLVERS.indexOf(resolver) !== -1 &&
+			this._options.locales.length === 0) {
+			throw new Error(`"l10n.locales" config is required for "${resolver}" locale resolver`);
+		}
+		return {
+			name: resolver,
+			resolve: RESOLVERS[resolver]
+		};
+	}
+}
+
+/**
+ * Gets canonical locale name if it is one of supported locales.
+ * @param {string?} locale Locale name.
+ * @param {Array<string>} locales Supported locales.
+ * @returns {string|null} Supported locale or null.
+ */
+function getSupported(locale, locales) {
+	const canonical = localeHelper.canonicalize(locale);
+	return canonical && locales.indexOf(canonical) !== -1 ? canonical : null;
+}
+
+/**
+ * Gets the first segment of the URL path.
+ * @param {string?} path URL path.
+ * @returns {string} The first segment.
+ */
+function getPathPrefix(path) {
+	const segments = String(path || '')
+		.split(/[?#]/)[0]
+		.split(PATH_SEPARATOR);
+	return segments[0] === '' && segments.length > 1 ? segments[1] : '';
+}
+
+/**
+ * Gets the lowest level subdomain of the host like "de" in "de.example.com".
+ * @param {string?} host Host name with optional port.
+ * @returns {string} Subdomain or an empty string.
+ */
+function getSubdomain(host) {
+	const labels = String(host || '')
+		.split(':')[0]
+		.split('.');
+	return labels.length > 2 ? labels[0] : '';
+}
+
+/**
+ * Gets the first value of the query parameter.
+ * @param {Object?} query Query parameters by names.
+ * @param {string} name Parameter name.
+ * @returns {string|null} Parameter value.
+ */
+function getQueryValue(query, name) {
+	if (!query || typeof (query) !== 'object') {
+		return null;
+	}
+	const value = Array.isArray(query[name]) ? query[name][0] : query[name];
+	return typeof (value) === 'string' ? value : null;
+}
+
+module.exports = LocaleResolver;
@@ -0,0 +1,167 @@
+'use strict';
+
+const configHelper = require('./helpers/configHelper');
+const localeHelper = require('./helpers/localeHelper');
+const pluralFormHelper = require('./helpers/pluralFormHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+class LocalizationChecker {
+
+	/**
+	 * Creates new instance of localization checker.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		const l10n = configHelper.getL10nConfig(locator);
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
+		this._fallbacks = localeHelper.prepareFallbacks(l10n.fallbacks);
+		this._loader = locator.resolve('localizationLoader');
+	}
+
+	/**
+	 * Checks consistency of localization files of the application and its
+	 * components. A key is missing in a locale if the locale itself does not
+	 * have it while the default locale does.
+	 * @returns {Promise<Array<Object>>} Promise for the list of problems with
+	 * "type" (wrongFilename, duplicateKey, missingKey, extraKey or pluralForms),
+	 * "locale", "key", "files" (paths of files the problem is found in)
+	 * and "message", missing keys also have "fallback" (the locale of the
+	 * fallback chain or the default locale which value is used instead).
+	 */
+	check() {
+		return this._loader.loadFiles()
+			.then(loaded => {
+				const problems = loaded.wrongFiles.map(file => ({
+					type: 'wrongFilename',
+					locale: null,
+					key: null,
+					files: [file],
+					message: `Wrong localization filename "${file}" (${localeHelper.WRONG_LOCALE_HINT})`
+				}));
+
+				const locales = collectKeys(loaded.files);
+				const defaultKeys = locales[this._defaultLocale] || Object.create(null);
+
+				Object.keys(locales)
+					.sort()
+					.forEach(locale => {
+						const keys = locales[locale];
+						Object.keys(keys)
+							.sort()
+							.forEach(key => problems.push(
+								...this._checkKey(locale, key, keys[key], defaultKeys)
+							));
+
+						if (locale !== this._defaultLocale) {
+							problems.push(...this._findMissingKeys(locale, locales, defaultKeys));
+						}
+					});
+				return problems;
+			});
+	}
+
+	/**
+	 * Checks the key of the locale for duplicates, absence in the default
+	 * locale and wrong number of plural forms.
+	 * @param {string} locale Locale name.
+	 * @param {string} key Dotted localization key.
+	 * @param {{value: *, files: Array<string>}} entry Value of the key
+	 * with files it is defined in.
+	 * @param {Object} defaultKeys Keys of the default locale.
+	 * @returns {Array<Object>} List of problems.
+	 * @private
+	 */
+	_checkKey(locale, key, entry, defaultKeys) {
+		const problems = [];
+		if (entry.files.length > 1) {
+			problems.push({
+				type: 'duplicateKey',
+				locale,
+				key,
+				files: entry.files,
+				message: `Localization key "${key}" is defined in several files of locale "${locale}": ${entry.files.join(', ')}`
+			});
+		}
+
+		if (locale !== this._defaultLocale && !(key in defaultKeys)) {
+			problems.push({
+				type: 'extraKey',
+				locale,
+				key,
+				files: entry.files,
+				message: `Localization key "${key}" of locale "${locale}" is absent in default locale "${this._defaultLocale}"`
+			});
+		}
+
+		const expected = pluralFormHelper.getFormCount(locale);
+		if (Array.isArray(entry.value) && expected && entry.value.length !== expected) {
+			problems.push({
+				type: 'pluralForms',
+				locale,
+				key,
+				files: entry.files,
+				message: `Localization key "${key}" has ${entry.value.length} plural forms in locale "${locale}" but ${expected} expected`
+			});
+		}
+		return problems;
+	}
+
+	/**
+	 * Finds keys of the default locale which are absent in the locale
+	 * with locales which values are used instead.
+	 * @param {string} locale Locale name.
+	 * @param {Object} locales Keys by locales.
+	 * @param {Object} defaultKeys Keys of the default locale.
+	 * @returns {Array<Object>} List of problems.
+	 * @private
+	 */
+	_findMissingKeys(locale, locales, defaultKeys) {
+		const keys = locales[locale];
+		const chain = localeHelper.getFallbackChain(locale, this._fallbacks)
+			.filter(current => current !== locale && current in locales);
+
+		return Object.keys(defaultKeys)
+			.sort()
+			.filter(key => !(key in keys))
+			.map(key => {
+				const fallback = chain.find(current => key in locales[current]) ||
+					this._defaultLocale;
+				return {
+					type: 'missingKey',
+					locale,
+					key,
+					fallback,
+					files: defaultKeys[key].files,
+					message: `Localization key "${key}" is missing in locale "${locale}", the value of locale "${fallback}" is used`
+				};
+			});
+	}
+}
+
+/**
+ * Collects values of all keys by locales with files they are defined in.
+ * @param {Array<Object>} files Loaded localization files.
+ * @returns {Object} Maps of keys to {value, files} by locales.
+ */
+function collectKeys(files) {
+	const locales = Object.create(null);
+	files.forEach(file => {
+		if (!(file.locale in locales)) {
+			locales[file.locale] = Object.create(null);
+		}
+		const keys = locales[file.locale];
+		Object.keys(file.values)
+			.forEach(key => {
+				if (!(key in keys)) {
+					keys[key] = {value: file.values[key], files: []};
+				}
+				// the last loaded value wins the same way as in the loader
+				keys[key].value = file.values[key];
+				keys[key].files.push(file.path);
+			});
+	});
+	return locales;
+}
+
+module.exports = LocalizationChecker;
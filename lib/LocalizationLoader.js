@@ -1,19 +1,84 @@
 'use strict';
 
 const path = require('path');
-const fs = require('./promises/fs');
+const crypto = require('crypto');
+const zlib = require('./promises/zlib');
+const configHelper = require('./helpers/configHelper');
+const localizationHelper = require('./helpers/localizationHelper');
+const localeHelper = require('./helpers/localeHelper');
+const pluralFormHelper = require('./helpers/pluralFormHelper');
 const url = require('url');
-const pluralizationRules = require('./pluralizationRules.json');
-
-const LOCALIZATIONS_FOLDER_NAME = 'l10n';
-const BROWSER_LOCALE_REGEXP = /[a-z]{2}(-[a-z]{2})?/i;
-const LOCALE_REGEXP = /^[a-z]{2}(-[a-z]{2})?$/;
+const querystring = require('querystring');
+const LocaleResolver = require('./LocaleResolver');
+const FileSystemSource = require('./sources/FileSystemSource');
 
 const DEFAULT_LOCALE_COOKIE_MAX_AGE = 3155692600; // 100 years
 const LOCALE_COOKIE_PATH = '/';
 const DEFAULT_LOCALE_COOKIE_KEY = 'locale';
-const LOCALE_COOKIE_REGEXP = new RegExp(`${DEFAULT_LOCALE_COOKIE_KEY}=${BROWSER_LOCALE_REGEXP.source}`, 'i');
-const LOCALE_URL = '/l10n.js';
+const DEFAULT_ENDPOINT = '/l10n';
+const DEFAULT_GLOBAL_NAME = 'localization';
+const DEFAULT_FORMATS = ['js', 'json', 'mjs'];
+// the browser loader loads locales as JSON whatever formats are served
+const BROWSER_FORMAT = 'json';
+const GLOBAL_NAME_REGEXP = /^[A-Za-z_$][\w$]*$/;
+const FINGERPRINT_LENGTH = 16;
+const HOT_RELOAD_PATH = 'events';
+const HOT_RELOAD_EVENT = 'l10nUpdate';
+const MISSING_KEYS_PATH = 'missing-keys.json';
+// RFC 4329 section 10 (http://tools.ietf.org/html/rfc4329#page-10)
+const SCRIPT_CONTENT_TYPE = 'application/javascript; charset=utf-8';
+const JSON_CONTENT_TYPE = 'application/json; charset=utf-8';
+
+/**
+ * Output formats of localization file, each one creates file content
+ * from the localization, its chunks info, the global variable name
+ * and the locale name.
+ */
+const FORMATS = {
+	js: {
+		contentType: SCRIPT_CONTENT_TYPE,
+		create: (localization, script) => {
+			const globalName = script.globalName;
+			const lines = [
+				`window.${globalName} = ${JSON.stringify(localization)}`,
+				`window.${globalName}Locale = ${JSON.stringify(script.locale)}`,
+				// lets the browser request only locales which have localizations
+				`window.${globalName}Locales = ${JSON.stringify(script.locales)}`
+			];
+			if (script.chunks) {
+				lines.push(`window.${globalName}Chunks = ${JSON.stringify(script.chunks)}`);
+			}
+			return lines.join(';\n');
+		}
+	},
+	json: {
+		contentType: JSON_CONTENT_TYPE,
+		create: localization => JSON.stringify(localization)
+	},
+	mjs: {
+		contentType: SCRIPT_CONTENT_TYPE,
+		create: localization => `export default ${JSON.stringify(localization)};\n`
+	}
+};
+// localization file depends on the locale cookie, so it is revalidated every time
+const LOCALE_FILE_CACHE = {
+	control: 'private, no-cache',
+	vary: 'Accept-Encoding, Cookie'
+};
+// files with the locale in URL
+const PUBLIC_FILE_CACHE = {
+	control: 'public, no-cache',
+	vary: 'Accept-Encoding'
+};
+const FINGERPRINT_FILE_CACHE = {
+	control: 'public, max-age=31536000, immutable',
+	vary: 'Accept-Encoding'
+};
+// preferred encodings first
+const ENCODINGS = ['br', 'gzip'];
+const PLURALIZATION_KEY = '$pluralization';
+const FORMATS_KEY = '$formats';
+const QUALITY_REGEXP = /^\s*q\s*=\s*([01](?:\.\d{0,3})?)\s*$/i;
 
 /* eslint max-nested-callbacks: [2, 4]*/
 
@@ -24,29 +89,30 @@ class LocalizationLoader {
 	 * @param {ServiceLocator} locator Locator to resolve dependencies.
 	 */
 	constructor(locator) {
-		const l10n = locator.resolve('config').l10n;
-		if (!l10n) {
-			throw new Error('"l10n" config section is required');
-		}
-		this._localizationsPath = String(l10n.path ||
-			path.join(process.cwd(), LOCALIZATIONS_FOLDER_NAME));
-		this._componentFinder = locator.resolve('componentFinder');
-
-		this._defaultLocale = l10n.defaultLocale ?
-			String(l10n.defaultLocale) : '';
-		if (!LOCALE_REGEXP.test(this._defaultLocale)) {
-			throw new Error(`Wrong locale name ${this._defaultLocale} (${LOCALE_REGEXP.toString()})`);
-		}
+		const l10n = configHelper.getL10nConfig(locator);
+		this._componentNamespaces = Boolean(l10n.componentNamespaces);
+		this._componentChunks = Boolean(l10n.componentChunks);
+		this._locator = locator;
+		this._hotReload = Boolean(l10n.hotReload);
+		this._missingKeysReport = Boolean(l10n.missingKeysReport);
+		this._hotReloadClients = [];
+		this._prepareEndpoint(l10n);
+
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
+		this._fallbacks = localeHelper.prepareFallbacks(l10n.fallbacks);
+		this._localeResolver = new LocaleResolver(l10n);
 
 		this._prepareCookieConfig(l10n.cookie || {});
-		this._initPluralizationMap();
 		this._objectCache = Object.create(null);
 		this._fileCache = Object.create(null);
-		this._loadingCache = Object.create(null);
+		this._chunkCache = Object.create(null);
+		this._fingerprintCache = Object.create(null);
 
 		this._eventBus = locator.resolve('eventBus');
 		this._eventBus.on('allComponentsLoaded', () => this._init());
-		this._watchChanges();
+		this._fileSystemSource = new FileSystemSource(locator);
+		this._sources = [];
+		this.addSource(this._fileSystemSource);
 	}
 
 	/**
@@ -54,27 +120,96 @@ class LocalizationLoader {
 	 * @param {string} locale Locale to load.
 	 */
 	load(locale) {
-		if (!locale) {
-			locale = this._defaultLocale;
-		}
-		locale = locale.toLowerCase();
-		if (!LOCALE_REGEXP.test(locale)) {
-			throw new Error(`Wrong locale name ${locale} (${LOCALE_REGEXP.toString()})`);
+		const canonical = locale ?
+			localeHelper.canonicalize(locale) : this._defaultLocale;
+		if (!canonical) {
+			throw localeHelper.createWrongLocaleError(locale);
 		}
 
-		if (this._objectCache[locale] &&
-			typeof (this._objectCache[locale]) === 'object') {
-			return this._objectCache[locale];
+		const found = findCachedLocale(this._objectCache, canonical, this._fallbacks);
+		if (found) {
+			return this._objectCache[found];
 		}
 
-		const firstLocaleComponent = locale.split('-')[0];
-		if (firstLocaleComponent !== locale &&
-			this._objectCache[firstLocaleComponent] &&
-			typeof (this._objectCache[firstLocaleComponent]) === 'object') {
-			return this._objectCache[firstLocaleComponent];
+		return this._objectCache[this._defaultLocale] || {};
+	}
+
+	/**
+	 * Registers parser of localization files with the extension,
+	 * files are loaded by the parser since next loading.
+	 * @param {string} extension File extension like ".toml".
+	 * @param {Function} parse Function that receives the file content
+	 * and returns the localization object.
+	 * @param {Function?} stringify Function that receives the localization
+	 * object and returns the file content, without it command line tools
+	 * can not change files of the format.
+	 */
+	registerParser(extension, parse, stringify) {
+		this._fileSystemSource.registerParser(extension, parse, stringify);
+	}
+
+	/**
+	 * Reads localization file using the parser of its extension.
+	 * @param {string} filename Path to the file.
+	 * @returns {Promise<Object>} Promise for the localization object,
+	 * it is empty if there is no file.
+	 */
+	readFile(filename) {
+		return this._fileSystemSource.readFile(filename);
+	}
+
+	/**
+	 * Writes localization file in the format of its extension,
+	 * i.e. for command line tools.
+	 * @param {string} filename Path to the file.
+	 * @param {Object} localization Localization object.
+	 * @returns {Promise} Promise for the file is saved.
+	 */
+	writeFile(filename, localization) {
+		return this._fileSystemSource.writeFile(filename, localization);
+	}
+
+	/**
+	 * Adds the source of localizations, localizations of sources are merged
+	 * in order of adding after the localization files which always go first.
+	 * A source is an object with the "load" method that returns a promise
+	 * for the list of localizations with "path" (identifier used in messages),
+	 * "locale" name, "component" name or null and localization "object".
+	 * The source can also emit the "change" event to reload localizations,
+	 * the "error" event which is emitted on the event bus and have
+	 * the "clearCache" method if it caches localizations.
+	 * @param {Object} source Source of localizations.
+	 */
+	addSource(source) {
+		if (!source || typeof (source.load) !== 'function') {
+			throw new Error('Localization source must have the "load" method');
+		}
+		this._sources.push(source);
+		if (typeof (source.on) === 'function') {
+			source
+				.on('change', () => this._init())
+				.on('error', reason => this._eventBus.emit('error', reason));
 		}
+	}
 
-		return this._objectCache[this._defaultLocale] || {};
+	/**
+	 * Loads all localization files of the application and its components
+	 * without merging them, i.e. to check their consistency. Files are read
+	 * again because tools can change them.
+	 * @returns {Promise<{files: Array<Object>, wrongFiles: Array<string>}>}
+	 * Promise for the list of loaded files with their "path", "locale",
+	 * "component" name and "values" by dotted keys and the list of paths
+	 * of files with wrong names.
+	 */
+	loadFiles() {
+		this._sources
+			.filter(source => typeof (source.clearCache) === 'function')
+			.forEach(source => source.clearCache());
+		return this._loadLocalizations()
+			.then(loaded => ({
+				files: loaded.files,
+				wrongFiles: loaded.wrongFiles
+			}));
 	}
 
 	/**
@@ -84,68 +219,199 @@ class LocalizationLoader {
 	 */
 	getMiddleware() {
 		return (request, response, next) => {
-			// try to get locale from cookies
-			let locale = getLocaleFromRequest(request);
-			if (!locale) {
-				// then try to get browser locale
-				locale = getBrowserLocale(request);
-				if (!locale) {
-					// if so sad and we did not get locale already then use default
-					locale = this._defaultLocale;
-				}
+			const cookieLocale = getLocaleFromRequest(request, this._cookieRegExp);
+			const resolved = this._localeResolver.resolve(
+				this._getLocaleSource(request, cookieLocale)
+			);
+			// if so sad and we did not resolve locale then use default
+			const locale = resolved ? resolved.locale : this._defaultLocale;
+
+			if (resolved && resolved.resolver === 'path') {
+				request.url = this._localeResolver.removePathPrefix(request.url);
+			}
+
+			// save the locale if there is no cookie or another resolver found a different locale
+			if (cookieLocale === null || (resolved && resolved.resolver !== 'cookie' &&
+				resolved.locale !== localeHelper.canonicalize(cookieLocale))) {
 				this._setLocaleToResponse(request, response, locale);
 			}
 
 			this._eventBus.emit('trace', `Incoming request with locale ${locale}`);
 
-			const urlInfo = url.parse(request.url);
-			if (urlInfo.path === LOCALE_URL) {
-				response.writeHead(200, {
-					// RFC 4329 section 10
-					// (http://tools.ietf.org/html/rfc4329#page-10)
-					'Content-Type': 'application/javascript; charset=utf-8'
-				});
-				response.end(this._getLocalizationFile(locale));
-			} else {
+			if (!this._serveFile(request, response, locale)) {
 				next();
 			}
 		};
 	}
 
 	/**
-	 * Watches all localization files for changes.
+	 * Serves localization file if it is requested.
+	 * @param {http.IncomingMessage} request HTTP request.
+	 * @param {http.ServerResponse} response HTTP response.
+	 * @param {string} locale Current locale.
+	 * @returns {boolean} Was the localization file requested.
 	 * @private
 	 */
-	_watchChanges() {
-		this._componentFinder
-			.on('change', args => {
-				const componentDirectory = path.dirname(args.component.path);
-				const l10nDirectory = path.join(
-					componentDirectory, LOCALIZATIONS_FOLDER_NAME
-				);
-				const fileDirectory = path.dirname(args.filename);
-				if (fileDirectory !== l10nDirectory) {
-					return;
-				}
-				delete this._loadingCache[args.filename];
-				this._init();
-			})
-			.on('add', () => this._init())
-			.on('unlink', component => {
-				const componentDirectory = path.dirname(component.path);
-				const l10nDirectory = path.join(
-					componentDirectory, LOCALIZATIONS_FOLDER_NAME
-				);
-				Object.keys(this._loadingCache)
-					.forEach(filename => {
-						const directory = path.dirname(filename);
-						if (directory !== l10nDirectory) {
-							return;
-						}
-						delete this._loadingCache[filename];
-					});
-				this._init();
-			});
+	_serveFile(request, response, locale) {
+		const pathname = url.parse(request.url).pathname;
+		if (this._hotReload && pathname === this._hotReloadPath) {
+			this._addHotReloadClient(response);
+			return true;
+		}
+		if (this._missingKeysReport && pathname === this._missingKeysPath) {
+			this._sendMissingKeysReport(response);
+			return true;
+		}
+
+		const format = this._endpointFormats[pathname];
+		if (format) {
+			sendFile(request, response, this._getLocalizationFile(locale, format),
+				LOCALE_FILE_CACHE);
+			return true;
+		}
+
+		const fingerprintMatch = pathname.match(this._fingerprintRegExp);
+		if (fingerprintMatch) {
+			sendFile(request, response, this._fingerprintCache[fingerprintMatch[1]],
+				FINGERPRINT_FILE_CACHE);
+			return true;
+		}
+
+		const localeMatch = pathname.match(this._localeFileRegExp);
+		if (localeMatch && localeMatch[2] in FORMATS) {
+			const urlLocale = localeHelper.canonicalize(decodeURLPart(localeMatch[1]));
+			const served = localeMatch[2] === BROWSER_FORMAT ||
+				this._formats.indexOf(localeMatch[2]) !== -1;
+			const file = urlLocale && served ?
+				this._getLocalizationFile(urlLocale, localeMatch[2]) : undefined;
+			sendFile(request, response, file, PUBLIC_FILE_CACHE);
+			return true;
+		}
+
+		if (this._componentChunks && this._chunkRegExp.test(pathname)) {
+			sendFile(request, response, this._getChunkFile(pathname), PUBLIC_FILE_CACHE);
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Prepares URLs, global variable name and formats of localization files.
+	 * @param {Object} l10n Localization config section.
+	 * @private
+	 */
+	_prepareEndpoint(l10n) {
+		this._endpoint = typeof (l10n.endpoint) === 'string' && l10n.endpoint.length > 0 ?
+			`/${l10n.endpoint.replace(/^\/+|\/+$/g, '')}` : DEFAULT_ENDPOINT;
+
+		this._globalName = l10n.globalName || DEFAULT_GLOBAL_NAME;
+		if (!GLOBAL_NAME_REGEXP.test(this._globalName)) {
+			throw new Error(`Wrong global name ${this._globalName} (JavaScript identifier expected)`);
+		}
+
+		this._formats = Array.isArray(l10n.formats) ? l10n.formats : DEFAULT_FORMATS;
+		this._endpointFormats = Object.create(null);
+		this._formats.forEach(format => {
+			if (!(format in FORMATS)) {
+				throw new Error(`Unknown localization format "${format}"`);
+			}
+			this._endpointFormats[`${this._endpoint}.${format}`] = format;
+		});
+		this._cachedFormats = this._formats.indexOf(BROWSER_FORMAT) === -1 ?
+			this._formats.concat(BROWSER_FORMAT) : this._formats;
+
+		this._hotReloadPath = `${this._endpoint}/${HOT_RELOAD_PATH}`;
+		this._missingKeysPath = `${this._endpoint}/${MISSING_KEYS_PATH}`;
+		const escaped = escapeRegExp(this._endpoint);
+		this._fingerprintRegExp = new RegExp(`^${escaped}\\.([\\da-f]+\\.[a-z]+)$`);
+		this._chunkRegExp = new RegExp(`^${escaped}/([^/]+)/([^/]+)\\.json$`);
+		this._localeFileRegExp = new RegExp(`^${escaped}/([^/]+)\\.([a-z]+)$`);
+	}
+
+	/**
+	 * Gets URL of the localization file for the locale with the content hash,
+	 * the file can be cached by browsers forever.
+	 * @param {string} locale Locale name.
+	 * @param {string?} format Format of the file ("js" by default).
+	 * @returns {string} URL like "/l10n.0123456789abcdef.js" or "/l10n.js"
+	 * if localizations are not loaded yet.
+	 */
+	getLocalizationUrl(locale, format) {
+		format = format || 'js';
+		const file = this._formats.indexOf(format) === -1 ? undefined :
+			this._getLocalizationFile(localeHelper.canonicalize(locale) || this._defaultLocale, format);
+		return file ?
+			`${this._endpoint}.${file.fingerprint}.${format}` :
+			`${this._endpoint}.${format}`;
+	}
+
+	/**
+	 * Gets cached localization chunk file of the component.
+	 * @param {string} pathname URL path like "/l10n/en/component.json".
+	 * @returns {Object|undefined} Cached file.
+	 * @private
+	 */
+	_getChunkFile(pathname) {
+		const match = pathname.match(this._chunkRegExp);
+		const locale = localeHelper.canonicalize(decodeURLPart(match[1]));
+		const component = decodeURLPart(match[2]);
+		const found = locale && component !== null ?
+			findCachedLocale(this._chunkCache, locale, this._fallbacks) : null;
+
+		return found ? this._chunkCache[found][component] : undefined;
+	}
+
+	/**
+	 * Gets source of locale resolvers from HTTP request.
+	 * @param {http.IncomingMessage} request HTTP request.
+	 * @param {string|null} cookieLocale Raw locale value from cookie.
+	 * @returns {Object} Locale source.
+	 * @private
+	 */
+	_getLocaleSource(request, cookieLocale) {
+		const urlInfo = url.parse(request.url || '');
+		const headers = request.headers || {};
+		return {
+			path: urlInfo.pathname,
+			host: headers.host,
+			query: querystring.parse(urlInfo.query || ''),
+			cookie: cookieLocale,
+			browserLocale: this._getBrowserLocale(request)
+		};
+	}
+
+	/**
+	 * Gets browser locale negotiated using "Accept-Language" HTTP header
+	 * and loaded localizations.
+	 * @param {http.IncomingMessage} request HTTP request.
+	 * @returns {string|null} Locale name.
+	 * @private
+	 */
+	_getBrowserLocale(request) {
+		if (!request.headers || !request.headers['accept-language']) {
+			return null;
+		}
+
+		const browserLocales = parseAcceptLanguage(
+			request.headers['accept-language']
+		);
+		const loadedLocales = Object.keys(this._objectCache);
+
+		// localizations are not loaded yet, trust the browser
+		if (loadedLocales.length === 0) {
+			return browserLocales.length > 0 ? browserLocales[0] : null;
+		}
+
+		for (let i = 0; i < browserLocales.length; i++) {
+			const found = findCachedLocale(this._objectCache, browserLocales[i], this._fallbacks) ||
+				loadedLocales.find(locale => locale.indexOf(`${browserLocales[i]}-`) === 0);
+			if (found) {
+				return found;
+			}
+		}
+
+		return null;
 	}
 
 	/**
@@ -154,6 +420,7 @@ class LocalizationLoader {
 	 * @private
 	 */
 	_init() {
+		const previous = this._objectCache;
 		return this._prepareCache()
 			.then(() => {
 				const defaultL10n = this._objectCache[this._defaultLocale];
@@ -161,44 +428,79 @@ class LocalizationLoader {
 					throw new Error(`Can not load default locale ${this._defaultLocale}`);
 				}
 			})
-			.then(() => this._eventBus.emit('l10nLoaded'))
+			.then(() => {
+				this._eventBus.emit('l10nLoaded');
+				this._notifyHotReloadClients(getChangedLocales(previous, this._objectCache));
+			})
 			.catch(reason => this._eventBus.emit('error', reason));
 	}
 
 	/**
-	 * Initializes pluralization map.
+	 * Opens Server-Sent Events stream to notify the browser
+	 * about changed localizations.
+	 * @param {http.ServerResponse} response HTTP response.
 	 * @private
 	 */
-	_initPluralizationMap() {
-		const pluralizationMap = this._pluralizationMap = {};
-		Object.keys(pluralizationRules)
-			.forEach(rule => pluralizationRules[rule]
-				.forEach(locale => {
-					pluralizationMap[locale] = rule;
-				})
-			);
+	_addHotReloadClient(response) {
+		response.writeHead(200, {
+			'Content-Type': 'text/event-stream; charset=utf-8',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive'
+		});
+		// the comment line makes the browser consider the stream open
+		response.write(': connected\n\n');
+		this._hotReloadClients.push(response);
+		response.on('close', () => {
+			const index = this._hotReloadClients.indexOf(response);
+			if (index !== -1) {
+				this._hotReloadClients.splice(index, 1);
+			}
+		});
 	}
 
 	/**
-	 * Gets localization file string for locale.
-	 * @param {string} locale Locale to create file for.
-	 * @returns {string} String representation of JavaScript file with localization.
+	 * Sends the report of missing localization keys
+	 * collected by the localization provider.
+	 * @param {http.ServerResponse} response HTTP response.
 	 * @private
 	 */
-	_getLocalizationFile(locale) {
-		if (this._fileCache[locale] &&
-			typeof (this._fileCache[locale]) === 'string') {
-			return this._fileCache[locale];
-		}
+	_sendMissingKeysReport(response) {
+		const report = this._locator.resolve('localizationProvider')
+			.getMissingKeysReport();
+		const body = Buffer.from(JSON.stringify(report), 'utf8');
+		response.writeHead(200, {
+			'Content-Type': JSON_CONTENT_TYPE,
+			'Content-Length': body.length,
+			'Cache-Control': 'no-store'
+		});
+		response.end(body);
+	}
 
-		const firstLocaleComponent = locale.split('-')[0];
-		if (firstLocaleComponent !== locale &&
-			this._fileCache[firstLocaleComponent] &&
-			typeof (this._fileCache[firstLocaleComponent]) === 'string') {
-			return this._fileCache[firstLocaleComponent];
+	/**
+	 * Sends the list of changed locales to all connected browsers.
+	 * @param {Array<string>} locales Changed locale names.
+	 * @private
+	 */
+	_notifyHotReloadClients(locales) {
+		if (this._hotReloadClients.length === 0 || locales.length === 0) {
+			return;
 		}
+		const message = `event: ${HOT_RELOAD_EVENT}\ndata: ${JSON.stringify({locales})}\n\n`;
+		this._hotReloadClients.forEach(client => client.write(message));
+		this._eventBus.emit('trace', `Localizations of locales ${locales.join(', ')} were pushed to browsers`);
+	}
 
-		return this._fileCache[this._defaultLocale];
+	/**
+	 * Gets cached localization file for locale.
+	 * @param {string} locale Locale to get file for.
+	 * @param {string} format Format of the file.
+	 * @returns {Object|undefined} Cached file with localization.
+	 * @private
+	 */
+	_getLocalizationFile(locale, format) {
+		const found = findCachedLocale(this._fileCache, locale, this._fallbacks) ||
+			this._defaultLocale;
+		return this._fileCache[found] ? this._fileCache[found][format] : undefined;
 	}
 
 	/**
@@ -208,20 +510,8 @@ class LocalizationLoader {
 	 * @private
 	 */
 	_getPluralizationRule(locale) {
-		if (locale in this._pluralizationMap) {
-			return this._pluralizationMap[locale];
-		}
-
-		const underscoreIndex = locale.indexOf('-');
-		if (underscoreIndex > 0) {
-			const firstLocalePart = locale.substring(0, underscoreIndex);
-			if (firstLocalePart in this._pluralizationMap) {
-				return this._pluralizationMap[firstLocalePart];
-			}
-		}
-
 		// default rule takes first plural form
-		return '0';
+		return pluralFormHelper.getRule(locale) || '0';
 	}
 
 	/**
@@ -231,166 +521,224 @@ class LocalizationLoader {
 	 */
 	_prepareCache() {
 		return this._loadLocalizations()
-			.then(localizations => {
-				this._objectCache = localizations;
-				this._fileCache = Object.create(null);
-
-				const defaultRule = this._getPluralizationRule(this._defaultLocale);
+			.then(loaded => {
+				const localizations = loaded.localizations;
+				const objectCache = Object.create(null);
+				const fileCache = Object.create(null);
+				const chunkCache = Object.create(null);
+				const fingerprintCache = Object.create(null);
+				const lastModified = new Date();
+				const promises = [];
+				const locales = Object.keys(localizations).sort();
+				const cacheFile = (cache, name, content, contentType) => promises.push(
+					createCachedFile(content, contentType, lastModified)
+						.then(file => {
+							cache[name] = file;
+						})
+				);
 
-				Object.keys(this._objectCache)
+				locales
 					.forEach(locale => {
-						if (locale !== this._defaultLocale) {
-							const fromDefault = {};
-							this._objectCache[locale] = mergeLocalizations(
-								this._objectCache[this._defaultLocale],
-								this._objectCache[locale], fromDefault);
-
-							this._objectCache[locale].$pluralization = {
-								rule: this._getPluralizationRule(locale),
-								defaultRule,
-								fromDefaultLocale: fromDefault
-							};
-						} else if (!this._objectCache[locale].$pluralization) {
-							this._objectCache[locale].$pluralization = {
-								rule: this._getPluralizationRule(locale)
+						objectCache[locale] = this._mergeFallbacks(localizations, locale);
+						fileCache[locale] = Object.create(null);
+						let scriptLocalization = objectCache[locale];
+						let chunks = null;
+
+						if (this._componentChunks) {
+							const split = splitLocalization(objectCache[locale], loaded.keyOwners);
+							scriptLocalization = split.main;
+							chunks = {
+								locale,
+								endpoint: this._endpoint,
+								components: Object.keys(split.chunks)
 							};
+							chunkCache[locale] = Object.create(null);
+							chunks.components.forEach(component => cacheFile(
+								chunkCache[locale], component,
+								JSON.stringify(split.chunks[component]), JSON_CONTENT_TYPE
+							));
 						}
 
-						this._fileCache[locale] = `window.localization = ${JSON.stringify(this._objectCache[locale])}`;
+						// only the browser script is split, other formats are complete
+						this._cachedFormats.forEach(format => cacheFile(
+							fileCache[locale], format,
+							format === 'js' ?
+								FORMATS.js.create(scriptLocalization, {
+									globalName: this._globalName,
+									locale,
+									locales,
+									chunks
+								}) :
+								FORMATS[format].create(objectCache[locale]),
+							FORMATS[format].contentType
+						));
+					});
+
+				return Promise.all(promises)
+					.then(() => {
+						Object.keys(fileCache)
+							.forEach(locale => this._formats
+								.forEach(format => {
+									const file = fileCache[locale][format];
+									fingerprintCache[`${file.fingerprint}.${format}`] = file;
+								}));
+
+						this._objectCache = objectCache;
+						this._fileCache = fileCache;
+						this._chunkCache = chunkCache;
+						this._fingerprintCache = fingerprintCache;
 					});
 			});
 	}
 
 	/**
-	 * Loads all localizations from components and application root.
-	 * @returns {Promise<Object>} Promise for map with localizations by locales.
+	 * Merges localization with all localizations of its fallback chain
+	 * and the default localization.
+	 * @param {Object} localizations Loaded localizations by locales.
+	 * @param {string} locale Locale to merge.
+	 * @returns {Object} Merged localization with pluralization info,
+	 * its locale and locales which supplied keys absent in the locale.
 	 * @private
 	 */
-	_loadLocalizations() {
-		const localizations = {};
+	_mergeFallbacks(localizations, locale) {
+		const rule = this._getPluralizationRule(locale);
+		if (locale === this._defaultLocale) {
+			if (!localizations[locale].$pluralization) {
+				localizations[locale].$pluralization = {rule, locale};
+			}
+			return localizations[locale];
+		}
+
+		// from the most general localization to the most specific one
+		const chain = localeHelper.getFallbackChain(locale, this._fallbacks)
+			.filter(current => current !== this._defaultLocale && current in localizations)
+			.reverse();
+		const sources = {};
+		const merged = mergeLocalizations(
+			[this._defaultLocale].concat(chain)
+				.map(current => ({
+					locale: current,
+					localization: localizations[current]
+				})),
+			sources
+		);
+
+		const pluralization = {
+			rule,
+			locale,
+			defaultRule: this._getPluralizationRule(this._defaultLocale),
+			fromDefaultLocale: {}
+		};
+		const fromFallbackLocale = {};
+		const fallbackRules = {};
 
-		return fs.exists(this._localizationsPath)
-			.then(isExists => {
-				if (!isExists) {
-					return null;
+		Object.keys(sources)
+			.forEach(key => {
+				const source = sources[key];
+				if (source === this._defaultLocale) {
+					pluralization.fromDefaultLocale[key] = true;
+				} else if (source !== locale) {
+					fromFallbackLocale[key] = source;
+					fallbackRules[source] = this._getPluralizationRule(source);
 				}
-				return fs.stat(this._localizationsPath)
-					.then(localizationsStat => {
-						if (localizationsStat.isDirectory()) {
-							// load basic localization
-							return this._loadLocalizationsFromPath(
-								localizations, this._localizationsPath);
-						}
-						return null;
-					});
-			})
-			.then(() => this._componentFinder.find())
-			.then(components => {
-				const promises = [];
+			});
 
-				Object.keys(components)
-					.forEach(name => {
-						const localizationsPath = path.join(
-							path.dirname(components[name].path),
-							LOCALIZATIONS_FOLDER_NAME
-						);
-
-						const promise = fs.exists(localizationsPath)
-							.then(isExists => {
-								if (!isExists) {
-									return null;
-								}
-								return fs.stat(localizationsPath)
-									.then(stat => {
-										if (!stat.isDirectory()) {
-											return null;
-										}
-										// load localizations of component
-										return this._loadLocalizationsFromPath(
-											localizations, localizationsPath
-										);
-									});
-							});
-						promises.push(promise);
-					});
+		if (Object.keys(fromFallbackLocale).length > 0) {
+			pluralization.fromFallbackLocale = fromFallbackLocale;
+			pluralization.fallbackRules = fallbackRules;
+		}
 
-				return Promise.all(promises);
-			})
-			.then(() => localizations);
+		merged.$pluralization = pluralization;
+		return merged;
 	}
 
 	/**
-	 * Loads localizations from specified path.
-	 * @param {Object} localizations Map of localization by locales where to save
-	 * loaded localization keys.
-	 * @param {string} loadPath Path where localization files is there.
-	 * @returns {Promise} Promise for operations is complete.
+	 * Loads all localizations from all sources.
+	 * @returns {Promise<Object>} Promise for the loaded localizations with
+	 * "localizations" (map with localizations by locales), "keyOwners"
+	 * (names of components that own keys by dotted keys), "files" (list of
+	 * loaded files with their path, locale, component name and values by
+	 * dotted keys) and "wrongFiles" (paths of files with wrong names).
 	 * @private
 	 */
-	_loadLocalizationsFromPath(localizations, loadPath) {
-		// enumerate localization files
-		return fs.readdir(loadPath)
-			.then(filenames => {
-				const promises = [];
-				filenames.forEach(filename => {
-					const fullPath = path.join(loadPath, filename);
-					const relative = path.relative(process.cwd(), fullPath);
-
-					if (path.extname(relative) !== '.json') {
-						return;
-					}
-
-					const locale = path.basename(relative, '.json');
-					if (!LOCALE_REGEXP.test(locale)) {
-						this._eventBus.emit('warn',
-							`Wrong localization filename "${relative}", skipped (${LOCALE_REGEXP.toString()})`
-						);
-						return;
-					}
-
-					if (relative in this._loadingCache) {
-						promises.push(Promise.resolve(
-							this._loadingCache[relative]
-						));
-						return;
-					}
-					const promise = fs.readFile(relative)
-						.then(file => {
-							this._loadingCache[relative] = {
-								path: relative,
-								locale,
-								content: file,
-								object: JSON.parse(file)
-							};
-							return this._loadingCache[relative];
-						});
-					promises.push(promise);
-				});
+	_loadLocalizations() {
+		const loaded = {
+			localizations: {},
+			keyOwners: Object.create(null),
+			files: [],
+			wrongFiles: []
+		};
 
-				return Promise.all(promises);
-			})
-			.then(files => files.forEach(file => {
-				const localization = file.object;
+		return Promise.all(this._sources
+			.map(source => Promise.resolve()
+				.then(() => source.load())
+				.catch(reason => {
+					this._eventBus.emit('error', reason);
+					return [];
+				})))
+			.then(lists => {
+				[].concat(...lists)
+					.forEach(localization => this._addLocalization(loaded, localization));
+				return loaded;
+			});
+	}
 
-				if (!localizations[file.locale] ||
-					typeof (localizations[file.locale]) !== 'object') {
-					localizations[file.locale] = {};
-				}
+	/**
+	 * Adds the localization of a source to loaded localizations.
+	 * @param {Object} loaded Loaded localizations where to save
+	 * loaded localization keys and files.
+	 * @param {Object} localization Localization with "path", "locale",
+	 * "component" and "object", all keys except "$formats" presets are
+	 * prefixed with the component name if namespaces are enabled.
+	 * @private
+	 */
+	_addLocalization(loaded, localization) {
+		const localizations = loaded.localizations;
+		const component = localization.component || null;
+		const namespace = component && this._componentNamespaces ? component : null;
+		const locale = localeHelper.canonicalize(localization.locale);
+		if (!locale) {
+			loaded.wrongFiles.push(localization.path);
+			this._eventBus.emit('warn',
+				`Wrong localization filename "${localization.path}", skipped (${localeHelper.WRONG_LOCALE_HINT})`
+			);
+			return;
+		}
 
-				// enumerate localization keys
-				Object.keys(localization)
-					.forEach(key => {
-						if (key in localizations[file.locale]) {
-							this._eventBus.emit('warn',
-								`Localization key "${key}" was defined again and overridden in locale "${file.locale}"`
-							);
-						}
+		if (!localizations[locale] || typeof (localizations[locale]) !== 'object') {
+			localizations[locale] = {};
+		}
 
-						localizations[file.locale][key] = localization[key];
-					});
-				this._eventBus.emit('info', `Localization file "${file.path}" was loaded`);
-			}))
-			.catch(reason => this._eventBus.emit('error', reason));
+		const values = Object.create(null);
+		loaded.files.push({
+			path: localization.path,
+			locale,
+			component,
+			values
+		});
+
+		// enumerate localization keys including nested ones
+		localizationHelper.forEachLeaf(localization.object || {}, (keyPath, value) => {
+			// format presets are shared by the whole application
+			const isFormat = keyPath[0] === FORMATS_KEY;
+			const fullPath = namespace && !isFormat ? [namespace].concat(keyPath) : keyPath;
+			const key = localizationHelper.pathToKey(fullPath);
+			if (localizationHelper.getValue(localizations[locale], key) !== undefined) {
+				this._eventBus.emit('warn',
+					`Localization key "${key}" was defined again and overridden in locale "${locale}"`
+				);
+			}
+
+			localizationHelper.setValue(localizations[locale], fullPath, value);
+			if (isFormat) {
+				return;
+			}
+			values[key] = value;
+			if (component) {
+				loaded.keyOwners[key] = component;
+			}
+		});
+		this._eventBus.emit('info', `Localization file "${localization.path}" was loaded`);
 	}
 
 	/**
@@ -417,6 +765,8 @@ class LocalizationLoader {
 			this._cookieConfig.path.length === 0) {
 			this._cookieConfig.path = LOCALE_COOKIE_PATH;
 		}
+
+		this._cookieRegExp = new RegExp(`(?:^|;)\\s*${escapeRegExp(this._cookieConfig.name)}=([^;]*)`, 'i');
 	}
 
 	/**
@@ -477,77 +827,299 @@ class LocalizationLoader {
 }
 
 /**
- * Merges base (default) and extended localization.
- * @param {Object} base Basic or default localization.
- * @param {Object} extend Some other localization.
- * @param {Object} fromDefault Empty object to fill with
- * plural keys were taken from default localization.
+ * Merges localizations per every leaf key including keys of nested groups.
+ * @param {Array<{locale: string, localization: Object}>} layers
+ * Localizations from the most general (default) to the most specific one.
+ * @param {Object} sources Empty object to fill with locales which
+ * supplied the keys except format presets, nested keys are dotted like "a.b".
  * @returns {Object} Merged localization.
  */
-function mergeLocalizations(base, extend, fromDefault) {
+function mergeLocalizations(layers, sources) {
 	const result = Object.create(null);
 
-	if (base && typeof (base) === 'object') {
-		Object.keys(base)
-			.forEach(key => {
-				result[key] = base[key];
-				if (Array.isArray(result[key])) {
-					fromDefault[key] = true;
-				}
-			});
+	layers.forEach(layer => {
+		if (!layer.localization || typeof (layer.localization) !== 'object') {
+			return;
+		}
+		forEachLocalizationLeaf(layer.localization, (keyPath, value) => {
+			const key = localizationHelper.pathToKey(keyPath);
+			localizationHelper.setValue(result, keyPath, value);
+			if (keyPath[0] !== FORMATS_KEY) {
+				sources[key] = layer.locale;
+			}
+		});
+	});
+
+	return result;
+}
+
+/**
+ * Creates cached file with its content hash and compressed versions.
+ * @param {string} content File content.
+ * @param {string} contentType Value of "Content-Type" header.
+ * @param {Date} lastModified Date of the last modification.
+ * @returns {Promise<Object>} Promise for the cached file.
+ */
+function createCachedFile(content, contentType, lastModified) {
+	const buffer = Buffer.from(content, 'utf8');
+	const hash = crypto.createHash('sha1')
+		.update(buffer)
+		.digest('hex');
+
+	return Promise.all([
+		zlib.brotliCompress ? zlib.brotliCompress(buffer) : null,
+		zlib.gzip(buffer)
+	])
+		.then(compressed => ({
+			content: buffer,
+			contentType,
+			lastModified,
+			hash,
+			fingerprint: hash.substring(0, FINGERPRINT_LENGTH),
+			encoded: {
+				br: compressed[0],
+				gzip: compressed[1]
+			}
+		}));
+}
+
+/**
+ * Sends the cached file to the response using conditional requests
+ * and the content encoding negotiation.
+ * @param {http.IncomingMessage} request HTTP request.
+ * @param {http.ServerResponse} response HTTP response.
+ * @param {Object?} file Cached file.
+ * @param {{control: string, vary: string}} cache Cache headers.
+ */
+function sendFile(request, response, file, cache) {
+	if (!file) {
+		response.writeHead(404);
+		response.end();
+		return;
 	}
 
-	if (extend && typeof (extend) === 'object') {
-		Object.keys(extend)
-			.forEach(key => {
-				result[key] = extend[key];
-				delete fromDefault[key];
+	const requestHeaders = request.headers || {};
+	const encoding = negotiateEncoding(requestHeaders['accept-encoding'], file.encoded);
+	const etag = getETag(file, encoding);
+	const headers = {
+		'Content-Type': file.contentType,
+		'Cache-Control': cache.control,
+		Vary: cache.vary,
+		ETag: etag,
+		'Last-Modified': file.lastModified.toUTCString()
+	};
+
+	if (isNotModified(requestHeaders, file, etag)) {
+		response.writeHead(304, headers);
+		response.end();
+		return;
+	}
+
+	const body = encoding ? file.encoded[encoding] : file.content;
+	if (encoding) {
+		headers['Content-Encoding'] = encoding;
+	}
+	headers['Content-Length'] = body.length;
+
+	response.writeHead(200, headers);
+	response.end(body);
+}
+
+/**
+ * Gets strong ETag of the file content in the encoding, every encoding
+ * has its own ETag because compressed contents differ byte by byte.
+ * @param {Object} file Cached file.
+ * @param {string|null} encoding Encoding name or null for identity.
+ * @returns {string} ETag value.
+ */
+function getETag(file, encoding) {
+	return encoding ? `"${file.hash}-${encoding}"` : `"${file.hash}"`;
+}
+
+/**
+ * Determines if the browser has the actual version of the file
+ * using "If-None-Match" or "If-Modified-Since" headers.
+ * @param {Object} headers HTTP request headers.
+ * @param {Object} file Cached file.
+ * @param {string} etag ETag of the file in the negotiated encoding.
+ * @returns {boolean} Is the file not modified.
+ */
+function isNotModified(headers, file, etag) {
+	const ifNoneMatch = headers['if-none-match'];
+	if (ifNoneMatch) {
+		return ifNoneMatch
+			.split(',')
+			.some(tag => {
+				const trimmed = tag.trim();
+				return trimmed === '*' || trimmed.replace(/^W\//, '') === etag;
 			});
 	}
 
-	return result;
+	const since = Date.parse(headers['if-modified-since']);
+	// HTTP dates have a precision of seconds
+	return !isNaN(since) &&
+		Math.floor(file.lastModified.getTime() / 1000) <= Math.floor(since / 1000);
 }
 
 /**
- * Gets browser locale from "Accept-Language" HTTP header.
- * @param {http.IncomingMessage} request HTTP request.
- * @returns {string|null} Locale name.
+ * Chooses the content encoding using "Accept-Encoding" HTTP header.
+ * @param {string?} header Value of "Accept-Encoding" header.
+ * @param {Object} encoded Compressed contents by encodings.
+ * @returns {string|null} Encoding name or null for identity.
  */
-function getBrowserLocale(request) {
-	if (!request.headers || !request.headers['accept-language']) {
+function negotiateEncoding(header, encoded) {
+	if (!header) {
 		return null;
 	}
 
-	const browserLocales = request.headers['accept-language']
-		.match(BROWSER_LOCALE_REGEXP);
-	if (!browserLocales || browserLocales.length === 0) {
-		return null;
+	const qualities = Object.create(null);
+	header.split(',')
+		.forEach(item => {
+			const parts = item.split(';');
+			const name = parts[0].trim().toLowerCase();
+			const qualityMatch = parts.length > 1 ? parts[1].match(QUALITY_REGEXP) : null;
+			qualities[name] = qualityMatch ? Number(qualityMatch[1]) : 1;
+		});
+
+	return ENCODINGS.find(name => {
+		const quality = name in qualities ? qualities[name] : qualities['*'];
+		return Boolean(encoded[name]) && quality > 0;
+	}) || null;
+}
+
+/**
+ * Splits localization into the main part with application keys and
+ * pluralization info and chunks with keys of components.
+ * @param {Object} localization Merged localization.
+ * @param {Object} keyOwners Names of components by dotted keys.
+ * @returns {{main: Object, chunks: Object}} Main localization and
+ * localization chunks by component names.
+ */
+function splitLocalization(localization, keyOwners) {
+	const main = Object.create(null);
+	const chunks = Object.create(null);
+
+	forEachLocalizationLeaf(localization, (keyPath, value) => {
+		const owner = keyOwners[localizationHelper.pathToKey(keyPath)];
+		if (!owner) {
+			localizationHelper.setValue(main, keyPath, value);
+			return;
+		}
+		if (!chunks[owner]) {
+			chunks[owner] = Object.create(null);
+		}
+		localizationHelper.setValue(chunks[owner], keyPath, value);
+	});
+	if (localization[PLURALIZATION_KEY]) {
+		main[PLURALIZATION_KEY] = localization[PLURALIZATION_KEY];
 	}
 
-	return browserLocales[0].toLowerCase();
+	return {main, chunks};
+}
+
+/**
+ * Enumerates all leaf values of localization except pluralization info.
+ * @param {Object} localization Localization object.
+ * @param {Function} handler Function that receives a path and a value.
+ */
+function forEachLocalizationLeaf(localization, handler) {
+	localizationHelper.forEachLeaf(localization, (keyPath, value) => {
+		if (keyPath[0] === PLURALIZATION_KEY) {
+			return;
+		}
+		handler(keyPath, value);
+	});
+}
+
+/**
+ * Finds the most specific locale in the cache using locale fallback chain.
+ * @param {Object} cache Cache with values by locales.
+ * @param {string} locale Locale name.
+ * @param {Object} fallbacks Prepared locale fallbacks.
+ * @returns {string|undefined} Found locale name.
+ */
+function findCachedLocale(cache, locale, fallbacks) {
+	return localeHelper.getFallbackChain(locale, fallbacks)
+		.find(current => Boolean(cache[current]));
+}
+
+/**
+ * Gets locales which localizations are added, removed or changed.
+ * @param {Object} previous Previous localizations by locales.
+ * @param {Object} current Current localizations by locales.
+ * @returns {Array<string>} Changed locale names.
+ */
+function getChangedLocales(previous, current) {
+	return Object.keys(current)
+		.concat(Object.keys(previous).filter(locale => !(locale in current)))
+		.filter(locale => JSON.stringify(previous[locale]) !== JSON.stringify(current[locale]));
+}
+
+/**
+ * Parses "Accept-Language" HTTP header into the list of locales
+ * ordered by quality values (RFC 7231 section 5.3.5).
+ * @param {string} header Header value.
+ * @returns {Array<string>} Canonical locale names from the most preferred.
+ */
+function parseAcceptLanguage(header) {
+	return String(header || '')
+		.split(',')
+		.map((range, index) => {
+			const parameters = range.split(';');
+			const qualityMatch = parameters
+				.slice(1)
+				.map(parameter => parameter.match(QUALITY_REGEXP))
+				.find(match => match !== null);
+			return {
+				locale: localeHelper.canonicalize(parameters[0]),
+				quality: qualityMatch ? Number(qualityMatch[1]) : 1,
+				index
+			};
+		})
+		.filter(range => range.locale !== null && range.quality > 0)
+		.sort((a, b) => b.quality - a.quality || a.index - b.index)
+		.map(range => range.locale);
 }
 
 /**
  * Gets locale from HTTP request cookie.
  * @param {http.IncomingMessage} request HTTP request.
- * @returns {string|null} Locale name.
+ * @param {RegExp} cookieRegExp Regular expression for the locale cookie.
+ * @returns {string|null} Raw locale value or null if there is no cookie.
  */
-function getLocaleFromRequest(request) {
+function getLocaleFromRequest(request, cookieRegExp) {
 	if (!request.headers || !request.headers.cookie) {
 		return null;
 	}
 
-	const tokenPairs = request.headers.cookie.match(LOCALE_COOKIE_REGEXP);
-	if (!tokenPairs || tokenPairs.length === 0) {
+	const match = request.headers.cookie.match(cookieRegExp);
+	if (!match) {
 		return null;
 	}
 
-	const pair = tokenPairs[0].split('=');
-	if (pair.length === 0) {
+	return match[1].trim();
+}
+
+/**
+ * Decodes the part of URL path.
+ * @param {string} part Encoded part of URL path.
+ * @returns {string|null} Decoded part or null if the encoding is malformed.
+ */
+function decodeURLPart(part) {
+	try {
+		return decodeURIComponent(part);
+	} catch (e) {
 		return null;
 	}
+}
 
-	return pair[1].toLowerCase();
+/**
+ * Escapes special characters of the text for a regular expression.
+ * @param {string} text Text to escape.
+ * @returns {string} Escaped text.
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 module.exports = LocalizationLoader;
@@ -1,5 +1,21 @@
 'use strict';
 
+const MessageFormatter = require('./MessageFormatter');
+const IntlFormatter = require('./IntlFormatter');
+const LocaleResolver = require('./LocaleResolver');
+const configHelper = require('./helpers/configHelper');
+const localizationHelper = require('./helpers/localizationHelper');
+const localeHelper = require('./helpers/localeHelper');
+const pluralCategoryHelper = require('./helpers/pluralCategoryHelper');
+const pluralRuleHelper = require('./helpers/pluralRuleHelper');
+const pluralizationCategories = require('./pluralizationCategories.json');
+
+const OTHER_PLURAL_CATEGORY = 'other';
+const OTHER_VARIANT = 'other';
+const FORMATS_KEY = '$formats';
+const DEFAULT_FORMAT = 'default';
+const CURRENCY_STYLE = 'currency';
+
 class LocalizationProvider {
 
 	/**
@@ -10,18 +26,9 @@ class LocalizationProvider {
 		const DEFAULT_LOCALE_COOKIE_KEY = 'locale';
 		const DEFAULT_LOCALE_COOKIE_MAX_AGE = 3155692600; // 100 years
 		const LOCALE_COOKIE_PATH = '/';
-		const LOCALE_REGEXP = /^[a-z]{2}(-[a-z]{2})?$/;
-
-		const l10n = locator.resolve('config').l10n;
 
-		if (!l10n) {
-			throw new Error('"l10n" config section is required');
-		}
-		this._defaultLocale = l10n.defaultLocale ?
-		String(l10n.defaultLocale) : '';
-		if (!LOCALE_REGEXP.test(this._defaultLocale)) {
-			throw new Error(`Wrong locale name ${this._defaultLocale} (${LOCALE_REGEXP.toString()})`);
-		}
+		const l10n = configHelper.getL10nConfig(locator);
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
 
 		if (l10n.cookie && typeof (l10n.cookie) === 'object') {
 			this._cookieConfig = Object.create(l10n.cookie);
@@ -44,38 +51,112 @@ class LocalizationProvider {
 		}
 
 		this._placeholder = l10n.placeholder;
+		this._componentNamespaces = Boolean(l10n.componentNamespaces);
+		this._reloadOnLocaleChange = Boolean(l10n.reloadOnLocaleChange);
+		this._localeResolver = new LocaleResolver(l10n);
+		this._fallbacks = localeHelper.prepareFallbacks(l10n.fallbacks);
 		this._loader = locator.resolve('localizationLoader');
+		this._eventBus = locator.resolve('eventBus');
 		this._pluralizationRulesCache = Object.create(null);
+		this._missingKeys = Object.create(null);
+		this._messageFormatter = new MessageFormatter();
+		this._intlFormatter = new IntlFormatter();
 	}
 
 	/**
-	 * Gets current locale value from context.
+	 * Gets current locale value from context using the same locale resolvers
+	 * as the server middleware does.
 	 * @param {Object} context Component context.
+	 * @returns {string} Current locale name.
 	 */
 	getCurrentLocale(context) {
-		return context.cookie.get(this._cookieConfig.name) || this._defaultLocale;
+		const cookie = context.cookie.get(this._cookieConfig.name);
+		const location = context.location || {};
+		const resolved = this._localeResolver.resolve({
+			path: location.path,
+			host: location.authority ? location.authority.host : null,
+			query: location.query ? location.query.values : null,
+			cookie,
+			// the server middleware saves the negotiated locale to cookie
+			browserLocale: null
+		});
+
+		if (resolved) {
+			return resolved.locale;
+		}
+		return localeHelper.normalize(cookie) || this._defaultLocale;
 	}
 
 	/**
-	 * Changes current locale value.
+	 * Changes current locale value. In the browser the localization of the
+	 * new locale is loaded in background and the "l10nChanged" event is
+	 * emitted, or the page is reloaded if it is configured
+	 * or the localization can not be loaded.
 	 * @param {string} locale Locale name (i.e. en, en-us, ru etc).
 	 * @param {Object} context Component context.
+	 * @returns {Promise} Promise for the locale is changed.
 	 */
 	changeLocale(locale, context) {
 		const expireDate = new Date((new Date()).getTime() +
 		this._cookieConfig.maxAge * 1000);
 
 		this._cookieConfig.key = this._cookieConfig.name;
-		this._cookieConfig.value = locale;
+		this._cookieConfig.value = localeHelper.normalize(locale);
 		this._cookieConfig.expires = expireDate;
 		context.cookie.set(this._cookieConfig);
 
-		if (context.isBrowser) {
-			const window = context.locator.resolve('window');
-			window.document.location.reload();
-		} else {
-			context.redirect(context.location.toString());
+		if (!context.isBrowser) {
+			return Promise.resolve(context.redirect(context.location.toString()));
 		}
+
+		const reload = () => context.locator.resolve('window').document.location.reload();
+		if (this._reloadOnLocaleChange || typeof (this._loader.changeLocale) !== 'function') {
+			reload();
+			return Promise.resolve();
+		}
+
+		return this._loader.changeLocale(this._cookieConfig.value)
+			.catch(reason => {
+				this._eventBus.emit('error', reason);
+				reload();
+			});
+	}
+
+	/**
+	 * Gets aggregated report of localization keys which were not found
+	 * since the start or the last clearing.
+	 * @returns {{total: number, keys: Array<Object>}} Number of missing keys
+	 * and the list of them with "locale" (the loaded locale the key was
+	 * looked up in), "key", "fallback" (the locale which supplied the value
+	 * or null if no locale has it) and "count" of lookups
+	 * ordered by locales and keys.
+	 */
+	getMissingKeysReport() {
+		const keys = [];
+		Object.keys(this._missingKeys)
+			.sort()
+			.forEach(locale => Object.keys(this._missingKeys[locale])
+				.sort()
+				.forEach(key => {
+					const entry = this._missingKeys[locale][key];
+					keys.push({
+						locale: entry.locale,
+						key: entry.key,
+						fallback: entry.fallback,
+						count: entry.count
+					});
+				}));
+		return {
+			total: keys.length,
+			keys
+		};
+	}
+
+	/**
+	 * Clears the report of missing localization keys.
+	 */
+	clearMissingKeys() {
+		this._missingKeys = Object.create(null);
 	}
 
 	/**
@@ -89,65 +170,573 @@ class LocalizationProvider {
 	}
 
 	/**
-	 * Gets localized value for specified locale and key name.
-	 * @param {string} locale Locale name (i.e. EN, RU etc).
+	 * Records the missing localization key.
+	 * @param {{key: string, localization: Object}} found Value that
+	 * was not found.
+	 * @param {string} key Requested localization key.
+	 * @returns {string} dummy value.
+	 * @private
+	 */
+	_missingKey(found, key) {
+		this._recordMissingKey(found, null);
+		return this._notFound(key);
+	}
+
+	/**
+	 * Records the localization key if its value was supplied by
+	 * the default or a fallback locale.
+	 * @param {{key: string, localization: Object}} found Found value.
+	 * @private
+	 */
+	_checkValueLocale(found) {
+		const pluralization = found.localization.$pluralization;
+		// without the locale the localization does not tell where values came from
+		if (!pluralization || typeof (pluralization.locale) !== 'string') {
+			return;
+		}
+		const valueLocale = this._getValueLocale(found);
+		if (valueLocale !== this._getLoadedLocale(found.localization)) {
+			this._recordMissingKey(found, valueLocale);
+		}
+	}
+
+	/**
+	 * Records the key missing in the loaded locale and emits
+	 * the "l10nMissingKey" event the first time the key is missing
+	 * in the locale.
+	 * @param {{key: string, localization: Object}} found Looked up value.
+	 * @param {string|null} fallback Locale which supplied the value
+	 * or null if there is no value.
+	 * @private
+	 */
+	_recordMissingKey(found, fallback) {
+		// only loaded locales are recorded, so requested ones can not flood the report
+		const locale = this._getLoadedLocale(found.localization);
+		if (!(locale in this._missingKeys)) {
+			this._missingKeys[locale] = Object.create(null);
+		}
+
+		const entries = this._missingKeys[locale];
+		if (found.key in entries) {
+			entries[found.key].count++;
+			return;
+		}
+		entries[found.key] = {
+			locale,
+			key: found.key,
+			fallback,
+			count: 1
+		};
+		this._eventBus.emit('l10nMissingKey', {
+			locale,
+			key: found.key,
+			fallback
+		});
+	}
+
+	/**
+	 * Gets locale of the localization the loader returned, it is
+	 * the default locale if the localization has no locale.
+	 * @param {Object} localization Loaded localization.
+	 * @returns {string} Locale name.
+	 * @private
+	 */
+	_getLoadedLocale(localization) {
+		const pluralization = localization.$pluralization;
+		return pluralization && typeof (pluralization.locale) === 'string' ?
+			pluralization.locale : this._defaultLocale;
+	}
+
+	/**
+	 * Reports absent parameter of localized value.
+	 * @param {string} locale Locale name.
+	 * @param {string} key Localization key.
+	 * @param {string} name Parameter name.
+	 * @private
+	 */
+	_missingParameter(locale, key, name) {
+		this._eventBus.emit('warn',
+			`Parameter "${name}" is missing for localization key "${key}" in locale "${locale}"`
+		);
+	}
+
+	/**
+	 * Substitutes named parameters like {userName} in localized value.
+	 * @param {string} locale Locale name.
 	 * @param {string} key Localization key.
+	 * @param {string} value Localized value.
+	 * @param {Object} params Parameter values by names.
+	 * @returns {string} Localized value with substituted parameters.
+	 * @private
+	 */
+	_interpolate(locale, key, value, params) {
+		return this._messageFormatter.interpolate(value, params,
+			name => this._missingParameter(locale, key, name));
+	}
+
+	/**
+	 * Finds localized value by locale or component context and key name.
+	 * When the component context is specified and component namespaces are
+	 * enabled the component's own key is looked up first.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {string} key Localization key.
+	 * @returns {{locale: string, key: string, value: *, localization: Object}}
+	 * Found value with its locale, full key and localization object.
+	 * @private
+	 */
+	_find(locale, key) {
+		let component = null;
+		let componentName = null;
+		if (locale && typeof (locale) === 'object') {
+			componentName = locale.name || null;
+			component = this._componentNamespaces ? componentName : null;
+			locale = this.getCurrentLocale(locale);
+		}
+
+		// the component name allows the loader to load the component's chunk
+		const localization = this._loader.load(locale, componentName);
+		if (component) {
+			const componentKey = `${component}.${key}`;
+			const value = localizationHelper.getValue(localization, componentKey);
+			if (value !== undefined) {
+				return {locale, key: componentKey, value, localization};
+			}
+		}
+
+		return {
+			locale,
+			key,
+			value: localizationHelper.getValue(localization, key),
+			localization
+		};
+	}
+
+	/**
+	 * Gets localized value for specified locale and key name.
+	 * @param {string|Object} locale Locale name (i.e. EN, RU etc)
+	 * or component context.
+	 * @param {string} key Localization key or dotted path to the nested key
+	 * like "cart.title".
+	 * @param {Object?} params Values of named parameters like {userName}.
 	 * @returns {string} Localized value.
 	 */
-	get(locale, key) {
-		let value = this._loader.load(locale)[key];
-		if (Array.isArray(value)) {
-			value = value[0];
+	get(locale, key, params) {
+		const found = this._find(locale, key);
+		const value = getSingleForm(found.value);
+
+		if (!value) {
+			return String(this._missingKey(found, key));
+		}
+		this._checkValueLocale(found);
+
+		return params && typeof (params) === 'object' ?
+			this._interpolate(found.locale, found.key, value, params) :
+			String(value);
+	}
+
+	/**
+	 * Gets localized message for specified locale and key name formatted
+	 * using ICU MessageFormat syntax.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {string} key Localization key.
+	 * @param {Object?} params Message arguments by names.
+	 * @returns {string} Formatted message.
+	 */
+	format(locale, key, params) {
+		const found = this._find(locale, key);
+		const message = getSingleForm(found.value);
+
+		if (!message) {
+			return String(this._missingKey(found, key));
+		}
+		this._checkValueLocale(found);
+
+		try {
+			return this._messageFormatter.format(message, params, {
+				pluralize: n => this._getPluralCategory(found, n),
+				missing: name => this._missingParameter(found.locale, found.key, name),
+				formatters: this._getMessageFormatters(found.locale)
+			});
+		} catch (e) {
+			this._eventBus.emit('error', e);
+			return this._notFound(key);
+		}
+	}
+
+	/**
+	 * Formats number according to the locale.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {number|string} value Number to format.
+	 * @param {string|Object?} format Name of the preset from the
+	 * "$formats.number" section of the localization, built-in "integer"
+	 * or "percent" style or options of Intl.NumberFormat. The "default"
+	 * preset is used if it is not specified.
+	 * @returns {string} Formatted number.
+	 */
+	formatNumber(locale, value, format) {
+		return this._formatIntl({locale, type: 'number', format, value},
+			(locales, options) => this._intlFormatter.formatNumber(locales, value, options));
+	}
+
+	/**
+	 * Formats amount of money according to the locale.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {number|string} value Amount to format.
+	 * @param {string?} currency ISO 4217 currency code like "USD", if it is
+	 * not specified the currency of the format preset is used.
+	 * @param {string|Object?} format Name of the preset from the
+	 * "$formats.currency" section of the localization or options
+	 * of Intl.NumberFormat. The "default" preset is used if it is
+	 * not specified.
+	 * @returns {string} Formatted amount.
+	 */
+	formatCurrency(locale, value, currency, format) {
+		return this._formatIntl({locale, type: 'currency', format, value},
+			(locales, options) => this._intlFormatter.formatNumber(locales, value,
+				Object.assign({}, options, {
+					style: CURRENCY_STYLE,
+					currency: currency || options.currency
+				})));
+	}
+
+	/**
+	 * Formats date according to the locale.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {Date|number|string} date Date, timestamp or date string.
+	 * @param {string|Object?} format Name of the preset from the
+	 * "$formats.date" section of the localization, built-in "short",
+	 * "medium", "long" or "full" style or options of Intl.DateTimeFormat.
+	 * The "default" preset is used if it is not specified.
+	 * @returns {string} Formatted date.
+	 */
+	formatDate(locale, date, format) {
+		return this._formatIntl({locale, type: 'date', format, value: date},
+			(locales, options) => this._intlFormatter.formatDate(locales, date, options));
+	}
+
+	/**
+	 * Formats relative time like "in 3 days" according to the locale.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {number|string} value Number of units, negative for the past.
+	 * @param {string} unit Unit like "second", "minute", "hour", "day",
+	 * "week", "month", "quarter" or "year".
+	 * @param {string|Object?} format Name of the preset from the
+	 * "$formats.relativeTime" section of the localization or options
+	 * of Intl.RelativeTimeFormat. The "default" preset is used if it is
+	 * not specified.
+	 * @returns {string} Formatted relative time.
+	 */
+	formatRelativeTime(locale, value, unit, format) {
+		return this._formatIntl({locale, type: 'relativeTime', format, value},
+			(locales, options) => this._intlFormatter.formatRelativeTime(locales, value, unit, options));
+	}
+
+	/**
+	 * Formats value using the Intl API with locales of the fallback chain
+	 * of the loaded locale, so only locales of localizations are passed
+	 * to Intl. If formatting fails the error is emitted and the value
+	 * is returned as is.
+	 * @param {Object} request What to format.
+	 * @param {string|Object} request.locale Locale name or component context.
+	 * @param {string} request.type Type of format presets.
+	 * @param {string|Object?} request.format Preset name or Intl options.
+	 * @param {*} request.value Value to format.
+	 * @param {Function} formatValue Function that receives the list
+	 * of locales and Intl options and returns the formatted value.
+	 * @returns {string} Formatted value.
+	 * @private
+	 */
+	_formatIntl(request, formatValue) {
+		const locale = request.locale && typeof (request.locale) === 'object' ?
+			this.getCurrentLocale(request.locale) : request.locale;
+		const localization = this._loader.load(locale);
+		const loadedLocale = this._getLoadedLocale(localization);
+		const locales = localeHelper.getFallbackChain(loadedLocale, this._fallbacks);
+		if (locales.indexOf(this._defaultLocale) === -1) {
+			locales.push(this._defaultLocale);
 		}
 
-		return String(value || this._notFound(key));
+		try {
+			return formatValue(locales, this._getFormatOptions(
+				localization, request.type, request.format, loadedLocale
+			));
+		} catch (e) {
+			this._eventBus.emit('error', e);
+			return String(request.value);
+		}
+	}
+
+	/**
+	 * Gets Intl options of the format preset.
+	 * @param {Object} localization Localization object.
+	 * @param {string} type Type of format presets.
+	 * @param {string|Object?} format Preset name or Intl options.
+	 * @param {string} locale Locale name.
+	 * @returns {Object} Intl options.
+	 * @private
+	 */
+	_getFormatOptions(localization, type, format, locale) {
+		if (format && typeof (format) === 'object') {
+			return format;
+		}
+
+		const name = format ? String(format) : DEFAULT_FORMAT;
+		const presets = localizationHelper.getValue(localization, `${FORMATS_KEY}.${type}`);
+		if (localizationHelper.isGroup(presets) &&
+			localizationHelper.isGroup(presets[name])) {
+			return presets[name];
+		}
+
+		const style = this._intlFormatter.getStyle(type, name);
+		if (style) {
+			return style;
+		}
+
+		if (format) {
+			this._eventBus.emit('warn',
+				`Format preset "${name}" of type "${type}" is not defined in locale "${locale}"`
+			);
+		}
+		return {};
+	}
+
+	/**
+	 * Gets formatters of typed arguments in ICU messages like
+	 * {price, number, currency}, {date, date, short}, {date, time}
+	 * or {days, relativeTime, day}.
+	 * @param {string} locale Locale name.
+	 * @returns {Object} Formatters by argument types.
+	 * @private
+	 */
+	_getMessageFormatters(locale) {
+		return {
+			number: (value, style) => (style === CURRENCY_STYLE ?
+				this.formatCurrency(locale, value) :
+				this.formatNumber(locale, value, style)),
+			date: (value, style) => this.formatDate(locale, value, style),
+			time: (value, style) => this._formatIntl({locale, type: 'time', format: style, value},
+				(locales, options) => this._intlFormatter.formatDate(locales, value, options)),
+			relativeTime: (value, style) => this.formatRelativeTime(locale, value, style)
+		};
+	}
+
+	/**
+	 * Gets pluralization rule for specified localization key.
+	 * @param {Object} localeObject Localization object.
+	 * @param {string} key Localization key.
+	 * @returns {string} Rule body.
+	 * @private
+	 */
+	_getPluralizationRule(localeObject, key) {
+		const pluralization = localeObject.$pluralization;
+		if (!pluralization || typeof (pluralization) !== 'object') {
+			return '';
+		}
+
+		if (pluralization.fromFallbackLocale &&
+			typeof (pluralization.fromFallbackLocale) === 'object' &&
+			(key in pluralization.fromFallbackLocale)) {
+			const fallbackLocale = pluralization.fromFallbackLocale[key];
+			return pluralization.fallbackRules[fallbackLocale] || '';
+		}
+
+		const rule = typeof (pluralization.fromDefaultLocale) === 'object' &&
+			(key in pluralization.fromDefaultLocale) ?
+			pluralization.defaultRule :
+			pluralization.rule;
+		return rule || '';
+	}
+
+	/**
+	 * Gets locale of the language the found value is written in,
+	 * it differs from the requested locale when the value came from
+	 * the default or a fallback locale.
+	 * @param {{locale: string, key: string, localization: Object}} found
+	 * Found localized value.
+	 * @returns {string} Locale name.
+	 * @private
+	 */
+	_getValueLocale(found) {
+		const pluralization = found.localization.$pluralization;
+		if (!pluralization || typeof (pluralization) !== 'object') {
+			return found.locale;
+		}
+
+		if (pluralization.fromFallbackLocale &&
+			typeof (pluralization.fromFallbackLocale) === 'object' &&
+			(found.key in pluralization.fromFallbackLocale)) {
+			return pluralization.fromFallbackLocale[found.key];
+		}
+
+		// only localizations of other locales have the default rule
+		const isFromDefault = !('defaultRule' in pluralization) ||
+			(typeof (pluralization.fromDefaultLocale) === 'object' &&
+			(found.key in pluralization.fromDefaultLocale));
+		if (isFromDefault) {
+			return this._defaultLocale;
+		}
+		return typeof (pluralization.locale) === 'string' ?
+			pluralization.locale : found.locale;
+	}
+
+	/**
+	 * Gets CLDR plural category of the number for the found value.
+	 * If there is no CLDR rule for the value's language the category is
+	 * determined by the gettext pluralization rule.
+	 * @param {{locale: string, key: string, localization: Object}} found
+	 * Found localized value.
+	 * @param {number|string} n Number to determine plural category.
+	 * @returns {string} Plural category.
+	 * @private
+	 */
+	_getPluralCategory(found, n) {
+		const category = pluralCategoryHelper.getCategory(
+			this._getValueLocale(found), n
+		);
+		if (category) {
+			return category;
+		}
+
+		const rule = this._getPluralizationRule(found.localization, found.key);
+		const categories = pluralizationCategories[rule] || [];
+		return categories[this._getPluralizationRuleFunction(rule)(Number(n))] ||
+			OTHER_PLURAL_CATEGORY;
 	}
 
 	/**
 	 * Gets JavaScript function for pluralization rule.
+	 * If the rule is wrong the error is emitted and the function
+	 * always returns the first form.
 	 * @param {string} rule Pluralization rule.
-	 * @returns {Function} Pluralization rule as JavaScript function.
+	 * @returns {Function} Pluralization rule as JavaScript function
+	 * that returns index of plural form.
 	 * @private
 	 */
 	_getPluralizationRuleFunction(rule) {
 		if (!(rule in this._pluralizationRulesCache)) {
-
-			/* eslint no-new-func: 0 */
-			this._pluralizationRulesCache[rule] = new Function('n', 'pluralForms',
-			`var index = Number(${rule}); return String(pluralForms[index]);`);
+			try {
+				this._pluralizationRulesCache[rule] = pluralRuleHelper.compile(rule);
+			} catch (e) {
+				this._eventBus.emit('error', e);
+				this._pluralizationRulesCache[rule] = () => 0;
+			}
 		}
 		return this._pluralizationRulesCache[rule];
 	}
 
 	/**
 	 * Pluralizes localization constant forms by specified key.
-	 * @param {string} locale Locale name.
+	 * @param {string|Object} locale Locale name or component context.
 	 * @param {string} key Localization key.
-	 * @param {number} n Number to determine plural form.
+	 * @param {number|string} n Number to determine plural form, strings
+	 * like "1.50" keep visible fraction digits for CLDR plural categories.
+	 * @param {Object?} params Values of named parameters like {userName},
+	 * the {n} parameter is always the specified number.
 	 * @returns {string} Correct plural form.
 	 */
-	pluralize(locale, key, n) {
-		const localeObject = this._loader.load(locale);
-		const forms = localeObject[key];
+	pluralize(locale, key, n, params) {
+		const found = this._find(locale, key);
+		const forms = found.value;
+
+		if (!forms) {
+			return String(this._missingKey(found, key));
+		}
+
+		const values = Object.create(params && typeof (params) === 'object' ?
+			params : null);
+		values.n = n;
 
-		if (!forms && this._placeholder) {
-			return key;
+		if (pluralCategoryHelper.isPluralObject(forms)) {
+			this._checkValueLocale(found);
+			const category = this._getPluralCategory(found, n);
+			const categoryForm = typeof (forms[category]) === 'string' ?
+				forms[category] : forms[OTHER_PLURAL_CATEGORY];
+			return this._interpolate(found.locale, found.key, categoryForm, values);
 		}
 
 		if (!(Array.isArray(forms))) {
-			return String(forms || this._notFound(key));
+			const form = getSingleForm(forms);
+			if (!form) {
+				return String(this._missingKey(found, key));
+			}
+			this._checkValueLocale(found);
+			return this._interpolate(found.locale, found.key, form, values);
 		}
 
-		const rule = typeof (localeObject.$pluralization.fromDefaultLocale) ===
-			'object' &&
-			(key in localeObject.$pluralization.fromDefaultLocale) ?
-			localeObject.$pluralization.defaultRule :
-			localeObject.$pluralization.rule;
-		const ruleFunction = this._getPluralizationRuleFunction(rule || '');
+		const ruleFunction = this._getPluralizationRuleFunction(
+			this._getPluralizationRule(found.localization, found.key)
+		);
 
-		const form = ruleFunction(n, forms);
-		return (form !== 'undefined' ? form : this._notFound(key));
+		const form = forms[ruleFunction(n)];
+		if (form === undefined) {
+			return this._missingKey(found, key);
+		}
+		this._checkValueLocale(found);
+		return this._interpolate(found.locale, found.key, form, values);
+	}
+
+	/**
+	 * Selects localized variant by category like gender. Variants are values
+	 * by categories in the object with the "other" variant which is used
+	 * if there is no variant for the category. Variants absent in the locale
+	 * are taken from the default locale.
+	 * @param {string|Object} locale Locale name or component context.
+	 * @param {string} key Localization key.
+	 * @param {string} category Category like "male" or "female".
+	 * @param {Object?} params Values of named parameters like {userName}.
+	 * @returns {string} Selected variant.
+	 */
+	select(locale, key, category, params) {
+		const found = this._find(locale, key);
+		const variants = found.value;
+		const variant = localizationHelper.isGroup(variants) ||
+			pluralCategoryHelper.isPluralObject(variants) ?
+			variants[getVariantName(variants, category)] :
+			getSingleForm(variants);
+
+		if (!variant) {
+			return String(this._missingKey(found, key));
+		}
+		// variants of a group are merged one by one, so each has its own locale
+		this._checkValueLocale(localizationHelper.isGroup(variants) ?
+			Object.assign({}, found, {
+				key: `${found.key}.${getVariantName(variants, category)}`
+			}) :
+			found);
+
+		return params && typeof (params) === 'object' ?
+			this._interpolate(found.locale, found.key, variant, params) :
+			String(variant);
+	}
+}
+
+/**
+ * Gets name of the category variant or the "other" variant
+ * if there is no variant for the category.
+ * @param {Object} variants Variants by categories.
+ * @param {string} category Category name.
+ * @returns {string} Variant name.
+ */
+function getVariantName(variants, category) {
+	return typeof (variants[String(category)]) === 'string' ?
+		String(category) : OTHER_VARIANT;
+}
+
+/**
+ * Gets the single form of localized value, the first one of plural forms
+ * array or the "other" one of plural forms by categories and select variants.
+ * @param {*} value Localized value.
+ * @returns {*} Single form of the value or undefined if the value
+ * is a group of keys.
+ */
+function getSingleForm(value) {
+	if (Array.isArray(value)) {
+		return value[0];
+	}
+	if (!value || typeof (value) !== 'object') {
+		return value;
 	}
+	return typeof (value[OTHER_VARIANT]) === 'string' ? value[OTHER_VARIANT] : undefined;
 }
 
 module.exports = LocalizationProvider;
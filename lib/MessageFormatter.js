@@ -0,0 +1,419 @@
+'use strict';
+
+const WHITESPACE_REGEXP = /\s/;
+const NAME_REGEXP = /^[^\s{}#,']+/;
+const OFFSET_REGEXP = /^offset:\s*(\d+)/;
+const OTHER_OPTION = 'other';
+const PLACEHOLDER_REGEXP = /\{\s*([^\s{}#,']+)\s*\}/g;
+
+class MessageFormatter {
+
+	/**
+	 * Creates new instance of ICU MessageFormat formatter.
+	 */
+	constructor() {
+		this._cache = Object.create(null);
+	}
+
+	/**
+	 * Parses ICU message into syntax tree.
+	 * @param {string} message Message in ICU MessageFormat syntax.
+	 * @returns {Array} List of message nodes.
+	 */
+	parse(message) {
+		message = String(message);
+		if (message in this._cache) {
+			return this._cache[message];
+		}
+
+		const state = {
+			source: message,
+			index: 0
+		};
+		const nodes = parseMessage(state, false);
+		if (state.index < state.source.length) {
+			throw syntaxError(state, 'end of message');
+		}
+
+		this._cache[message] = nodes;
+		return nodes;
+	}
+
+	/**
+	 * Formats ICU message using specified parameters.
+	 * @param {string} message Message in ICU MessageFormat syntax.
+	 * @param {Object?} params Message arguments by names.
+	 * @param {Object} options Formatting options.
+	 * @param {Function} options.pluralize Function that returns plural
+	 * category (one, few, many, other etc) for a number.
+	 * @param {Function?} options.missing Function that is called with
+	 * a name of every absent argument.
+	 * @param {Object?} options.formatters Functions by argument types like
+	 * "number" or "date" that receive a value and a style of the argument
+	 * and return the formatted value.
+	 * @returns {string} Formatted message.
+	 */
+	format(message, params, options) {
+		return formatNodes(this.parse(message), {
+			params: params || {},
+			options,
+			pound: null
+		});
+	}
+
+	/**
+	 * Substitutes named placeholders like {name} in a plain message.
+	 * @param {string} message Message with placeholders.
+	 * @param {Object?} params Placeholder values by names.
+	 * @param {Function?} missing Function that is called with
+	 * a name of every absent parameter.
+	 * @returns {string} Message with substituted values.
+	 */
+	interpolate(message, params, missing) {
+		params = params || {};
+		return String(message).replace(PLACEHOLDER_REGEXP, (placeholder, name) => {
+			if (isAbsent(params[name])) {
+				if (missing) {
+					missing(name);
+				}
+				return placeholder;
+			}
+			return String(params[name]);
+		});
+	}
+}
+
+/**
+ * Parses message or a nested message of plural/select option.
+ * @param {Object} state Parser state.
+ * @param {boolean} inPlural Is "#" symbol a number placeholder.
+ * @returns {Array} List of message nodes.
+ */
+function parseMessage(state, inPlural) {
+	const nodes = [];
+	let text = '';
+
+	while (state.index < state.source.length) {
+		const char = state.source[state.index];
+		if (char === '}') {
+			break;
+		}
+		if (char === '{' || (char === '#' && inPlural)) {
+			if (text) {
+				nodes.push(text);
+				text = '';
+			}
+			if (char === '{') {
+				nodes.push(parseArgument(state));
+			} else {
+				nodes.push({type: 'pound'});
+				state.index++;
+			}
+			continue;
+		}
+		if (char === '\'') {
+			text += parseQuoted(state, inPlural);
+			continue;
+		}
+		text += char;
+		state.index++;
+	}
+
+	if (text) {
+		nodes.push(text);
+	}
+	return nodes;
+}
+
+/**
+ * Parses apostrophe quoted text.
+ * @param {Object} state Parser state.
+ * @param {boolean} inPlural Is "#" symbol a number placeholder.
+ * @returns {string} Unquoted text.
+ */
+function parseQuoted(state, inPlural) {
+	const source = state.source;
+	const next = source[state.index + 1];
+
+	if (next === '\'') {
+		state.index += 2;
+		return '\'';
+	}
+
+	state.index++;
+	if (next !== '{' && next !== '}' && (next !== '#' || !inPlural)) {
+		return '\'';
+	}
+
+	let text = '';
+	while (state.index < source.length) {
+		if (source[state.index] === '\'') {
+			if (source[state.index + 1] !== '\'') {
+				state.index++;
+				break;
+			}
+			state.index++;
+		}
+		text += source[state.index];
+		state.index++;
+	}
+	return text;
+}
+
+/**
+ * Parses argument like {name}, {name, type} or {name, type, style}.
+ * @param {Object} state Parser state.
+ * @returns {Object} Argument node.
+ */
+function parseArgument(state) {
+	expect(state, '{');
+	const name = readName(state);
+
+	if (tryConsume(state, '}')) {
+		return {type: 'argument', name};
+	}
+
+	expect(state, ',');
+	const format = readName(state);
+
+	if (tryConsume(state, '}')) {
+		return {type: 'argument', name, format};
+	}
+
+	expect(state, ',');
+	if (format === 'plural' || format === 'select') {
+		return {
+			type: format,
+			name,
+			offset: format === 'plural' ? readOffset(state) : 0,
+			options: parseOptions(state, format === 'plural')
+		};
+	}
+
+	const end = state.source.indexOf('}', state.index);
+	if (end === -1) {
+		throw syntaxError(state, '"}"');
+	}
+	const style = state.source.substring(state.index, end).trim();
+	state.index = end + 1;
+	return {type: 'argument', name, format, style};
+}
+
+/**
+ * Parses options of plural or select argument.
+ * @param {Object} state Parser state.
+ * @param {boolean} inPlural Is it the plural argument.
+ * @returns {Object} Nested messages by selectors.
+ */
+function parseOptions(state, inPlural) {
+	const options = Object.create(null);
+
+	while (!tryConsume(state, '}')) {
+		const selector = readName(state);
+		expect(state, '{');
+		options[selector] = parseMessage(state, inPlural);
+		expect(state, '}');
+	}
+
+	if (!(OTHER_OPTION in options)) {
+		throw syntaxError(state, `"${OTHER_OPTION}" option`);
+	}
+	return options;
+}
+
+/**
+ * Reads "offset:N" of plural argument if it is there.
+ * @param {Object} state Parser state.
+ * @returns {number} Offset value.
+ */
+function readOffset(state) {
+	skipWhitespace(state);
+	const match = state.source.substring(state.index).match(OFFSET_REGEXP);
+	if (!match) {
+		return 0;
+	}
+	state.index += match[0].length;
+	return Number(match[1]);
+}
+
+/**
+ * Reads argument name, type or option selector.
+ * @param {Object} state Parser state.
+ * @returns {string} Name.
+ */
+function readName(state) {
+	skipWhitespace(state);
+	const match = state.source.substring(state.index).match(NAME_REGEXP);
+	if (!match) {
+		throw syntaxError(state, 'name');
+	}
+	state.index += match[0].length;
+	return match[0];
+}
+
+/**
+ * Skips whitespace and consumes the specified char if it is next.
+ * @param {Object} state Parser state.
+ * @param {string} char Char to consume.
+ * @returns {boolean} Was the char consumed.
+ */
+function tryConsume(state, char) {
+	skipWhitespace(state);
+	if (state.source[state.index] !== char) {
+		return false;
+	}
+	state.index++;
+	return true;
+}
+
+/**
+ * Consumes the specified char or throws syntax error.
+ * @param {Object} state Parser state.
+ * @param {string} char Expected char.
+ */
+function expect(state, char) {
+	if (!tryConsume(state, char)) {
+		throw syntaxError(state, `"${char}"`);
+	}
+}
+
+/**
+ * Skips whitespace chars.
+ * @param {Object} state Parser state.
+ */
+function skipWhitespace(state) {
+	while (state.index < state.source.length &&
+		WHITESPACE_REGEXP.test(state.source[state.index])) {
+		state.index++;
+	}
+}
+
+/**
+ * Creates syntax error for current parser position.
+ * @param {Object} state Parser state.
+ * @param {string} expected What was expected.
+ * @returns {Error} Syntax error.
+ */
+function syntaxError(state, expected) {
+	return new Error(`Wrong message format, ${expected} expected at position ${state.index} in "${state.source}"`);
+}
+
+/**
+ * Formats list of message nodes.
+ * @param {Array} nodes List of message nodes.
+ * @param {Object} context Formatting context.
+ * @returns {string} Formatted string.
+ */
+function formatNodes(nodes, context) {
+	return nodes
+		.map(node => {
+			if (typeof (node) === 'string') {
+				return node;
+			}
+			const formatNode = NODE_FORMATTERS[node.type] || formatArgument;
+			return formatNode(node, context);
+		})
+		.join('');
+}
+
+/**
+ * Formats "#" placeholder of plural option.
+ * @param {Object} node Pound node.
+ * @param {Object} context Formatting context.
+ * @returns {string} Formatted string.
+ */
+function formatPound(node, context) {
+	return context.pound === null ? '#' : String(context.pound);
+}
+
+/**
+ * Formats simple argument.
+ * @param {Object} node Argument node.
+ * @param {Object} context Formatting context.
+ * @returns {string} Formatted string.
+ */
+function formatArgument(node, context) {
+	const value = context.params[node.name];
+	if (isAbsent(value)) {
+		reportMissing(node, context);
+		return `{${node.name}}`;
+	}
+
+	const formatters = context.options.formatters;
+	if (node.format && formatters &&
+		Object.prototype.hasOwnProperty.call(formatters, node.format)) {
+		return String(formatters[node.format](value, node.style));
+	}
+	return String(value);
+}
+
+/**
+ * Formats plural argument.
+ * @param {Object} node Plural node.
+ * @param {Object} context Formatting context.
+ * @returns {string} Formatted string.
+ */
+function formatPlural(node, context) {
+	if (isAbsent(context.params[node.name])) {
+		reportMissing(node, context);
+	}
+
+	const value = Number(context.params[node.name]);
+	const exact = `=${value}`;
+	let option = node.options[exact];
+
+	if (!option) {
+		const category = context.options.pluralize(value - node.offset);
+		option = node.options[category] || node.options[OTHER_OPTION];
+	}
+
+	return formatNodes(option, {
+		params: context.params,
+		options: context.options,
+		pound: value - node.offset
+	});
+}
+
+/**
+ * Formats select argument.
+ * @param {Object} node Select node.
+ * @param {Object} context Formatting context.
+ * @returns {string} Formatted string.
+ */
+function formatSelect(node, context) {
+	if (isAbsent(context.params[node.name])) {
+		reportMissing(node, context);
+	}
+
+	const value = String(context.params[node.name]);
+	const option = node.options[value] || node.options[OTHER_OPTION];
+	return formatNodes(option, context);
+}
+
+/**
+ * Reports absent argument if formatting options allow it.
+ * @param {Object} node Argument node.
+ * @param {Object} context Formatting context.
+ */
+function reportMissing(node, context) {
+	if (typeof (context.options.missing) === 'function') {
+		context.options.missing(node.name);
+	}
+}
+
+/**
+ * Determines if the parameter value is absent.
+ * @param {*} value Parameter value.
+ * @returns {boolean} Is the value absent.
+ */
+function isAbsent(value) {
+	return value === undefined || value === null;
+}
+
+const NODE_FORMATTERS = {
+	pound: formatPound,
+	plural: formatPlural,
+	select: formatSelect
+};
+
+module.exports = MessageFormatter;
@@ -0,0 +1,367 @@
+'use strict';
+
+const path = require('path');
+const configHelper = require('./helpers/configHelper');
+const localeHelper = require('./helpers/localeHelper');
+const localizationHelper = require('./helpers/localizationHelper');
+const localizationFileHelper = require('./helpers/localizationFileHelper');
+const pluralFormHelper = require('./helpers/pluralFormHelper');
+const xliffHelper = require('./helpers/xliffHelper');
+
+const DEFAULT_VERSION = '2.0';
+const APPLICATION_FILE_ID = 'application';
+const COMPONENT_FILE_ID_PREFIX = 'component-';
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+class XliffConverter {
+
+	/**
+	 * Creates new instance of XLIFF converter.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		const l10n = configHelper.getL10nConfig(locator);
+		this._defaultLocale = configHelper.getDefaultLocale(l10n);
+		this._componentNamespaces = Boolean(l10n.componentNamespaces);
+		this._loader = locator.resolve('localizationLoader');
+	}
+
+	/**
+	 * Exports localizations to XLIFF documents, one document for every
+	 * locale except the default one. The application and every component
+	 * become separate "file" elements, arrays of plural forms become groups
+	 * of units. Translator notes and states of translations saved by
+	 * the import are exported again.
+	 * @param {Object?} options Options with XLIFF "version" ("1.2" or "2.0",
+	 * "2.0" by default).
+	 * @returns {Promise<Object>} Promise for the result with "documents"
+	 * (contents of XLIFF documents by locales) and "skipped" (keys with values
+	 * which are neither strings nor arrays of plural forms).
+	 */
+	exportDocuments(options) {
+		const version = options && options.version || DEFAULT_VERSION;
+		if (xliffHelper.VERSIONS.indexOf(version) === -1) {
+			return Promise.reject(new Error(`Unsupported XLIFF version ${version}`));
+		}
+
+		return this._loader.loadFiles()
+			.then(loaded => {
+				const locales = localizationFileHelper.mergeFiles(loaded.files);
+				const defaultKeys = locales[this._defaultLocale] || Object.create(null);
+				const skipped = [];
+				const keys = Object.keys(defaultKeys)
+					.sort()
+					.filter(key => {
+						const value = defaultKeys[key].value;
+						if (typeof (value) === 'string' ||
+							localizationFileHelper.isPluralForms(value)) {
+							return true;
+						}
+						skipped.push(key);
+						return false;
+					});
+
+				const documents = {};
+				return Promise.all(Object.keys(locales)
+					.sort()
+					.filter(locale => locale !== this._defaultLocale)
+					.map(locale => {
+						const localeKeys = locales[locale];
+						const metaFiles = keys.map(key => localizationFileHelper.getMetaFile(locale,
+							localizationFileHelper.getTargetFile(
+								locale, defaultKeys[key], localeKeys[key], loaded.files
+							).path
+						));
+						return readMeta(this._loader, metaFiles)
+							.then(meta => {
+								documents[locale] = xliffHelper.stringify(this._createDocument({
+									version, locale, keys, defaultKeys, localeKeys, meta
+								}));
+							});
+					}))
+					.then(() => ({documents, skipped}));
+			});
+	}
+
+	/**
+	 * Imports translations of XLIFF 1.2 or 2.0 document to localization files
+	 * of its target locale. Every translation is saved to the file of the
+	 * locale which already has the key or to the locale file next to the
+	 * file of the default locale the key comes from. Translator notes and
+	 * states are saved to "<locale>.meta" files next to localization files.
+	 * @param {string} content XLIFF document.
+	 * @returns {Promise<Object>} Promise for the result with "locale",
+	 * "imported" (list of imported keys with "key" and "file")
+	 * and "skipped" (keys which are absent in the default locale).
+	 */
+	importDocument(content) {
+		let document;
+		try {
+			document = xliffHelper.parse(content);
+		} catch (e) {
+			return Promise.reject(e);
+		}
+
+		const locale = localeHelper.canonicalize(document.targetLocale);
+		if (!locale) {
+			return Promise.reject(localeHelper.createWrongLocaleError(document.targetLocale));
+		}
+
+		return this._loader.loadFiles()
+			.then(loaded => {
+				const locales = localizationFileHelper.mergeFiles(loaded.files);
+				const defaultKeys = locales[this._defaultLocale] || Object.create(null);
+				const localeKeys = locales[locale] || Object.create(null);
+				const result = {
+					locale,
+					imported: [],
+					skipped: []
+				};
+				const values = Object.create(null);
+				const metas = Object.create(null);
+
+				document.files.forEach(file => file.units.forEach(unit => {
+					if (!(unit.key in defaultKeys)) {
+						result.skipped.push(unit.key);
+						return;
+					}
+					const target = localizationFileHelper.getTargetFile(
+						locale, defaultKeys[unit.key], localeKeys[unit.key], loaded.files
+					);
+					const metaFile = localizationFileHelper.getMetaFile(locale, target.path);
+					metas[metaFile] = metas[metaFile] || [];
+					metas[metaFile].push(...collectMeta(unit));
+
+					const value = getValue(unit);
+					if (value === null) {
+						return;
+					}
+					values[target.path] = values[target.path] || [];
+					values[target.path].push({
+						path: localizationFileHelper.getKeyPath(
+							unit.key, target.source, this._componentNamespaces
+						),
+						value
+					});
+					result.imported.push({key: unit.key, file: target.path});
+				}));
+
+				return Promise.all([
+					saveValues(this._loader, values),
+					saveMeta(this._loader, metas)
+				])
+					.then(() => result);
+			});
+	}
+
+	/**
+	 * Creates XLIFF document of the locale.
+	 * @param {Object} parameters Parameters with XLIFF "version", target
+	 * "locale", exported "keys", merged "defaultKeys" and "localeKeys"
+	 * and "meta" with notes and states by unit keys.
+	 * @returns {Object} Document for XLIFF helper.
+	 * @private
+	 */
+	_createDocument(parameters) {
+		const formCount = pluralFormHelper.getFormCount(parameters.locale);
+		const byFiles = Object.create(null);
+
+		parameters.keys.forEach(key => {
+			const entry = parameters.defaultKeys[key];
+			const component = entry.file.component;
+			const id = component ? `${COMPONENT_FILE_ID_PREFIX}${component}` : APPLICATION_FILE_ID;
+			if (!(id in byFiles)) {
+				byFiles[id] = {
+					id,
+					original: path.dirname(entry.file.path).split(path.sep).join('/'),
+					units: []
+				};
+			}
+
+			const localeEntry = parameters.localeKeys[key];
+			const translation = localeEntry ? localeEntry.value : undefined;
+			byFiles[id].units.push(Array.isArray(entry.value) ?
+				createPluralUnit(key, entry.value, translation, {meta: parameters.meta, formCount}) :
+				createUnit(key, entry.value, translation, parameters.meta));
+		});
+
+		return {
+			version: parameters.version,
+			sourceLocale: this._defaultLocale,
+			targetLocale: parameters.locale,
+			// the application goes first, components are sorted by names
+			files: Object.keys(byFiles)
+				.sort((first, second) => {
+					if (first === APPLICATION_FILE_ID || second === APPLICATION_FILE_ID) {
+						return first === APPLICATION_FILE_ID ? -1 : 1;
+					}
+					return first < second ? -1 : 1;
+				})
+				.map(id => byFiles[id])
+		};
+	}
+}
+
+/**
+ * Creates a unit of XLIFF document for the key.
+ * @param {string} key Dotted localization key.
+ * @param {string} source Value of the default locale.
+ * @param {*} translation Value of the target locale.
+ * @param {Object} meta Notes and states by unit keys.
+ * @returns {Object} Unit.
+ */
+function createUnit(key, source, translation, meta) {
+	const unitMeta = meta[key] || {};
+	const isTranslated = typeof (translation) === 'string';
+	return {
+		key,
+		notes: unitMeta.notes || [],
+		source,
+		target: isTranslated ? translation : null,
+		state: unitMeta.state || (isTranslated ? 'translated' : null)
+	};
+}
+
+/**
+ * Creates a group of units with plural forms for the key, the last form
+ * of the default locale is the source of extra forms of the target locale.
+ * @param {string} key Dotted localization key.
+ * @param {Array<string>} source Plural forms of the default locale.
+ * @param {*} translation Value of the target locale.
+ * @param {{meta: Object, formCount: number?}} context Notes and states
+ * by unit keys and number of plural forms of the target locale.
+ * @returns {Object} Unit with plural forms.
+ */
+function createPluralUnit(key, source, translation, context) {
+	const forms = localizationFileHelper.isPluralForms(translation) ? translation : [];
+	const count = context.formCount || Math.max(forms.length, source.length);
+	const units = [];
+	for (let i = 0; i < count; i++) {
+		units.push(createUnit(`${key}[${i}]`,
+			source[Math.min(i, source.length - 1)], forms[i], context.meta));
+	}
+	return {
+		key,
+		notes: (context.meta[key] || {}).notes || [],
+		forms: units
+	};
+}
+
+/**
+ * Gets the translated value of the unit.
+ * @param {Object} unit Unit of XLIFF document.
+ * @returns {string|Array<string>|null} Translation or null if the unit
+ * is not translated.
+ */
+function getValue(unit) {
+	if (!unit.forms) {
+		return unit.target ? unit.target : null;
+	}
+	const forms = unit.forms.map(form => form.target || '');
+	return forms.some(form => form) ? forms : null;
+}
+
+/**
+ * Collects notes and states of the unit and its plural forms.
+ * @param {Object} unit Unit of XLIFF document.
+ * @returns {Array<{key: string, meta: Object?}>} Meta of units by keys,
+ * "meta" is null if the unit has neither notes nor a state.
+ */
+function collectMeta(unit) {
+	const meta = {};
+	if (unit.notes.length > 0) {
+		meta.notes = unit.notes;
+	}
+	// translated state of a translated unit is the default one
+	if (unit.state && !(unit.state === 'translated' && unit.target)) {
+		meta.state = unit.state;
+	}
+	const collected = [{
+		key: unit.key,
+		meta: Object.keys(meta).length > 0 ? meta : null
+	}];
+	if (unit.forms) {
+		unit.forms.forEach((form, index) => collected.push(...collectMeta(
+			Object.assign({}, form, {key: `${unit.key}[${index}]`})
+		)));
+	}
+	return collected;
+}
+
+/**
+ * Reads meta files and merges them.
+ * @param {LocalizationLoader} loader Loader which reads files in their formats.
+ * @param {Array<string>} files Paths to meta files, they can repeat.
+ * @returns {Promise<Object>} Promise for notes and states by unit keys.
+ */
+function readMeta(loader, files) {
+	const unique = files.filter((file, index) => files.indexOf(file) === index);
+	return Promise.all(unique.map(file => loader.readFile(file)))
+		.then(metas => {
+			const merged = Object.create(null);
+			metas.forEach(meta => copyMeta(meta, merged));
+			return merged;
+		});
+}
+
+/**
+ * Saves translations to localization files.
+ * @param {LocalizationLoader} loader Loader which reads and writes files
+ * in their formats.
+ * @param {Object} values Lists of key paths with values by files.
+ * @returns {Promise} Promise for files are saved.
+ */
+function saveValues(loader, values) {
+	return Promise.all(Object.keys(values)
+		.map(file => loader.readFile(file)
+			.then(localization => {
+				values[file].forEach(value => localizationHelper.setValue(
+					localization, value.path, value.value
+				));
+				return loader.writeFile(file, localization);
+			})));
+}
+
+/**
+ * Saves notes and states to meta files, meta of units without notes
+ * and states is removed. Files are not changed if there is nothing to save.
+ * @param {LocalizationLoader} loader Loader which reads and writes files
+ * in their formats.
+ * @param {Object} metas Lists of meta by files.
+ * @returns {Promise} Promise for files are saved.
+ */
+function saveMeta(loader, metas) {
+	return Promise.all(Object.keys(metas)
+		.map(file => loader.readFile(file)
+			.then(meta => {
+				const existing = copyMeta(meta, Object.create(null));
+				let isChanged = false;
+				metas[file].forEach(entry => {
+					if (entry.meta) {
+						existing[entry.key] = entry.meta;
+						isChanged = true;
+					} else if (entry.key in existing) {
+						delete existing[entry.key];
+						isChanged = true;
+					}
+				});
+				return isChanged ? loader.writeFile(file, existing) : null;
+			})));
+}
+
+/**
+ * Copies own meta of units, keys like "__proto__" are not special
+ * in the object without prototype.
+ * @param {Object} meta Parsed meta file.
+ * @param {Object} target Object without prototype to copy to.
+ * @returns {Object} The target object.
+ */
+function copyMeta(meta, target) {
+	Object.keys(meta).forEach(key => {
+		target[key] = meta[key];
+	});
+	return target;
+}
+
+module.exports = XliffConverter;
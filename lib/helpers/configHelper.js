@@ -0,0 +1,36 @@
+'use strict';
+
+const localeHelper = require('./localeHelper');
+
+const configHelper = {
+
+	/**
+	 * Gets the localization config section.
+	 * @param {ServiceLocator} locator Locator to resolve the config.
+	 * @returns {Object} The "l10n" config section.
+	 * @throws {Error} If the section is absent.
+	 */
+	getL10nConfig(locator) {
+		const l10n = locator.resolve('config').l10n;
+		if (!l10n) {
+			throw new Error('"l10n" config section is required');
+		}
+		return l10n;
+	},
+
+	/**
+	 * Gets the configured default locale.
+	 * @param {Object} l10n Localization config section.
+	 * @returns {string} Canonical name of the default locale.
+	 * @throws {Error} If the locale name is wrong.
+	 */
+	getDefaultLocale(l10n) {
+		const defaultLocale = localeHelper.canonicalize(l10n.defaultLocale);
+		if (!defaultLocale) {
+			throw localeHelper.createWrongLocaleError(l10n.defaultLocale);
+		}
+		return defaultLocale;
+	}
+};
+
+module.exports = configHelper;
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * BCP 47 language tag (RFC 5646) in lower case, reserved 4-letter and
+ * registered 5-8 letter primary language subtags are not supported.
+ * Groups: language with extended language subtags, script, region,
+ * variants, extensions and private use subtags.
+ */
+const LOCALE_REGEXP = new RegExp([
+	'^([a-z]{2,3}(?:-[a-z]{3}){0,3})',
+	'(?:-([a-z]{4}))?',
+	'(?:-([a-z]{2}|\\d{3}))?',
+	'((?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*)',
+	'((?:-[a-wyz\\d](?:-[a-z\\d]{2,8})+)*)',
+	'(?:-x((?:-[a-z\\d]{1,8})+))?$'
+].join(''));
+
+const SUBTAG_SEPARATOR = '-';
+const WRONG_LOCALE_HINT = 'BCP 47 language tag expected';
+
+const localeHelper = {
+
+	LOCALE_REGEXP,
+
+	WRONG_LOCALE_HINT,
+
+	/**
+	 * Normalizes locale name to the lower case with "-" separators,
+	 * i.e. "en_US" becomes "en-us".
+	 * @param {string} locale Locale name.
+	 * @returns {string} Normalized locale name.
+	 */
+	normalize(locale) {
+		return String(locale || '')
+			.trim()
+			.replace(/_/g, SUBTAG_SEPARATOR)
+			.toLowerCase();
+	},
+
+	/**
+	 * Determines if the locale name is a valid BCP 47 language tag.
+	 * @param {string} locale Locale name.
+	 * @returns {boolean} Is the locale name valid.
+	 */
+	isValid(locale) {
+		return LOCALE_REGEXP.test(localeHelper.normalize(locale));
+	},
+
+	/**
+	 * Gets canonical form of the locale name.
+	 * @param {string} locale Locale name.
+	 * @returns {string|null} Canonical locale name or null if it is invalid.
+	 */
+	canonicalize(locale) {
+		const normalized = localeHelper.normalize(locale);
+		return LOCALE_REGEXP.test(normalized) ? normalized : null;
+	},
+
+	/**
+	 * Creates error for the wrong locale name.
+	 * @param {string?} locale Locale name.
+	 * @returns {Error} Error with the hint about expected locale names.
+	 */
+	createWrongLocaleError(locale) {
+		return new Error(`Wrong locale name ${locale || ''} (${WRONG_LOCALE_HINT})`);
+	},
+
+	/**
+	 * Parses the locale name into subtags.
+	 * @param {string} locale Locale name.
+	 * @returns {Object|null} Subtags (language, script, region, variants,
+	 * extensions and privateUse) or null if the locale name is invalid.
+	 */
+	parse(locale) {
+		const match = localeHelper.normalize(locale).match(LOCALE_REGEXP);
+		if (!match) {
+			return null;
+		}
+
+		return {
+			language: match[1],
+			script: match[2] || null,
+			region: match[3] || null,
+			variants: splitSubtags(match[4]),
+			extensions: splitSubtags(match[5]),
+			privateUse: splitSubtags(match[6])
+		};
+	},
+
+	/**
+	 * Prepares configured locale fallbacks canonicalizing all locale names.
+	 * @param {Object?} fallbacks Lists of fallback locales by locales,
+	 * i.e. {"pt-br": ["pt", "es"], "uk": ["ru"]}.
+	 * @returns {Object} Prepared fallbacks.
+	 * @throws {Error} If any locale name is wrong.
+	 */
+	prepareFallbacks(fallbacks) {
+		const prepared = Object.create(null);
+		if (!fallbacks || typeof (fallbacks) !== 'object') {
+			return prepared;
+		}
+
+		Object.keys(fallbacks)
+			.forEach(locale => {
+				const list = Array.isArray(fallbacks[locale]) ?
+					fallbacks[locale] : [fallbacks[locale]];
+				prepared[canonicalizeOrThrow(locale)] = list.map(canonicalizeOrThrow);
+			});
+		return prepared;
+	},
+
+	/**
+	 * Gets the list of locales to look up localization in, from the most
+	 * specific one to the language, i.e. "zh-hant-tw", "zh-hant", "zh".
+	 * If there are configured fallbacks for a locale they are used
+	 * instead of its language, i.e. "pt-br", "pt", "es" for {"pt": ["es"]}.
+	 * @param {string} locale Locale name.
+	 * @param {Object?} fallbacks Prepared fallbacks.
+	 * @returns {Array<string>} List of locale names.
+	 */
+	getFallbackChain(locale, fallbacks) {
+		const canonical = localeHelper.canonicalize(locale);
+		const chain = [];
+		if (canonical) {
+			visitFallbacks(canonical, fallbacks || {}, chain);
+		}
+		return chain;
+	}
+};
+
+/**
+ * Adds the locale and all its fallbacks to the chain.
+ * @param {string} locale Canonical locale name.
+ * @param {Object} fallbacks Prepared fallbacks.
+ * @param {Array<string>} chain Chain of locales to fill.
+ */
+function visitFallbacks(locale, fallbacks, chain) {
+	if (chain.indexOf(locale) !== -1) {
+		return;
+	}
+	chain.push(locale);
+
+	if (Array.isArray(fallbacks[locale])) {
+		fallbacks[locale].forEach(fallback => visitFallbacks(fallback, fallbacks, chain));
+		return;
+	}
+
+	const parent = getParentLocale(locale);
+	if (parent) {
+		visitFallbacks(parent, fallbacks, chain);
+	}
+}
+
+/**
+ * Gets the locale name without the last subtag.
+ * @param {string} locale Canonical locale name.
+ * @returns {string|null} Parent locale name or null for a language.
+ */
+function getParentLocale(locale) {
+	const subtags = locale.split(SUBTAG_SEPARATOR);
+	subtags.pop();
+	// a singleton subtag can not end a locale name (RFC 4647)
+	if (subtags.length > 0 && subtags[subtags.length - 1].length === 1) {
+		subtags.pop();
+	}
+	return subtags.length > 0 ? subtags.join(SUBTAG_SEPARATOR) : null;
+}
+
+/**
+ * Canonicalizes the locale name or throws an error if it is wrong.
+ * @param {string} locale Locale name.
+ * @returns {string} Canonical locale name.
+ */
+function canonicalizeOrThrow(locale) {
+	const canonical = localeHelper.canonicalize(locale);
+	if (!canonical) {
+		throw localeHelper.createWrongLocaleError(locale);
+	}
+	return canonical;
+}
+
+/**
+ * Splits subtags string like "-a-bc" into a list.
+ * @param {string?} subtags Subtags string starting with "-".
+ * @returns {Array<string>} List of subtags.
+ */
+function splitSubtags(subtags) {
+	return subtags ? subtags.substring(1).split(SUBTAG_SEPARATOR) : [];
+}
+
+module.exports = localeHelper;
@@ -0,0 +1,114 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Suffix of files with translator notes and states of translations
+ * stored next to localization files like "ru.meta.json".
+ */
+const META_SUFFIX = '.meta';
+
+const localizationFileHelper = {
+
+	/**
+	 * Merges values of loaded files by locales the same way as the loader
+	 * does, the last loaded value of the key wins.
+	 * @param {Array<Object>} files Loaded localization files.
+	 * @returns {Object} Maps of keys to {value, file} by locales.
+	 */
+	mergeFiles(files) {
+		const locales = Object.create(null);
+		files.forEach(file => {
+			if (!(file.locale in locales)) {
+				locales[file.locale] = Object.create(null);
+			}
+			Object.keys(file.values)
+				.forEach(key => {
+					locales[file.locale][key] = {
+						value: file.values[key],
+						file
+					};
+				});
+		});
+		return locales;
+	},
+
+	/**
+	 * Gets the file a translation of the key is saved to: the file of the
+	 * locale which already has the key, the file of the locale next to
+	 * the file of the default locale the key comes from or the new file
+	 * in the same format as that file of the default locale.
+	 * @param {string} locale Locale of the translation.
+	 * @param {Object} defaultEntry Merged entry of the default locale.
+	 * @param {Object?} localeEntry Merged entry of the locale.
+	 * @param {Array<Object>} files Loaded localization files.
+	 * @returns {{path: string, source: Object}} Path to the file and the loaded
+	 * file which determines it.
+	 */
+	getTargetFile(locale, defaultEntry, localeEntry, files) {
+		if (localeEntry) {
+			return {
+				path: localeEntry.file.path,
+				source: localeEntry.file
+			};
+		}
+
+		const directory = path.dirname(defaultEntry.file.path);
+		const existing = files.find(file => file.locale === locale &&
+			path.dirname(file.path) === directory);
+		return {
+			path: existing ? existing.path :
+				path.join(directory, `${locale}${path.extname(defaultEntry.file.path)}`),
+			source: defaultEntry.file
+		};
+	},
+
+	/**
+	 * Gets path of the key in the file removing the component's prefix
+	 * if component namespaces are enabled.
+	 * @param {string} key Dotted localization key.
+	 * @param {Object} file Loaded localization file the key belongs to.
+	 * @param {boolean} componentNamespaces Are component namespaces enabled.
+	 * @returns {Array<string>} List of keys from root of the file to the value.
+	 */
+	getKeyPath(key, file, componentNamespaces) {
+		const prefix = `${file.component}.`;
+		const fileKey = componentNamespaces && file.component &&
+			key.indexOf(prefix) === 0 ? key.substring(prefix.length) : key;
+		return fileKey.split('.');
+	},
+
+	/**
+	 * Determines if the value is an array of plural forms.
+	 * @param {*} value Localization value.
+	 * @returns {boolean} Is the value a list of strings.
+	 */
+	isPluralForms(value) {
+		return Array.isArray(value) && value.length > 0 &&
+			value.every(form => typeof (form) === 'string');
+	},
+
+	/**
+	 * Gets path to the file with translator notes and states of translations
+	 * of the locale next to the localization file, it has the format
+	 * of the localization file.
+	 * @param {string} locale Locale name.
+	 * @param {string} file Path to the localization file.
+	 * @returns {string} Path to the meta file like "l10n/ru.meta.yml".
+	 */
+	getMetaFile(locale, file) {
+		return path.join(path.dirname(file), `${locale}${META_SUFFIX}${path.extname(file)}`);
+	},
+
+	/**
+	 * Determines if the file is the file with translator notes and states
+	 * of translations.
+	 * @param {string} file Path to the file.
+	 * @returns {boolean} Is the file a meta file.
+	 */
+	isMetaFile(file) {
+		return path.extname(path.basename(file, path.extname(file))) === META_SUFFIX;
+	}
+};
+
+module.exports = localizationFileHelper;
@@ -0,0 +1,122 @@
+'use strict';
+
+const pluralCategoryHelper = require('./pluralCategoryHelper');
+
+const KEY_SEPARATOR = '.';
+// keys that would change prototypes of localization objects
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const localizationHelper = {
+
+	/**
+	 * Determines if the value is a nested group of localization keys,
+	 * objects with plural forms by CLDR categories are values, not groups.
+	 * @param {*} value Localization value.
+	 * @returns {boolean} Is the value a group of keys.
+	 */
+	isGroup(value) {
+		return Boolean(value) && typeof (value) === 'object' &&
+			!Array.isArray(value) && !pluralCategoryHelper.isPluralObject(value);
+	},
+
+	/**
+	 * Gets localization value by a key or a dotted path like "cart.title".
+	 * @param {Object} localization Localization object.
+	 * @param {string} key Localization key or dotted path.
+	 * @returns {*} Localization value or undefined if it is absent.
+	 */
+	getValue(localization, key) {
+		if (!localizationHelper.isGroup(localization)) {
+			return undefined;
+		}
+		if (hasOwn(localization, key)) {
+			return localization[key];
+		}
+
+		const parts = String(key).split(KEY_SEPARATOR);
+		let current = localization;
+		for (let i = 0; i < parts.length; i++) {
+			if (!localizationHelper.isGroup(current) || !hasOwn(current, parts[i])) {
+				return undefined;
+			}
+			current = current[parts[i]];
+		}
+		return current;
+	},
+
+	/**
+	 * Determines if the key can be used in localization objects,
+	 * keys like "__proto__" would change their prototypes.
+	 * @param {string} key Localization key.
+	 * @returns {boolean} Is the key safe.
+	 */
+	isSafeKey(key) {
+		return UNSAFE_KEYS.indexOf(String(key)) === -1;
+	},
+
+	/**
+	 * Sets localization value by a path creating all absent groups.
+	 * @param {Object} localization Localization object.
+	 * @param {Array<string>} path List of keys from root to the value.
+	 * @param {*} value Localization value.
+	 * @throws {Error} If the path has unsafe keys like "__proto__".
+	 */
+	setValue(localization, path, value) {
+		if (!path.every(localizationHelper.isSafeKey)) {
+			throw new Error(`Wrong localization key "${localizationHelper.pathToKey(path)}" (${UNSAFE_KEYS.join(', ')} are not allowed)`);
+		}
+
+		let current = localization;
+		for (let i = 0; i < path.length - 1; i++) {
+			if (!hasOwn(current, path[i]) || !localizationHelper.isGroup(current[path[i]])) {
+				current[path[i]] = Object.create(null);
+			}
+			current = current[path[i]];
+		}
+		current[path[path.length - 1]] = value;
+	},
+
+	/**
+	 * Enumerates all leaf values of the localization object,
+	 * unsafe keys like "__proto__" are skipped.
+	 * @param {Object} localization Localization object.
+	 * @param {Function} handler Function that receives a path (list of keys)
+	 * and a value of every leaf.
+	 * @param {Array<string>?} parentPath Path of the localization object.
+	 */
+	forEachLeaf(localization, handler, parentPath) {
+		parentPath = parentPath || [];
+		Object.keys(localization)
+			.filter(localizationHelper.isSafeKey)
+			.forEach(key => {
+				const path = parentPath.concat(key);
+				const value = localization[key];
+				if (localizationHelper.isGroup(value)) {
+					localizationHelper.forEachLeaf(value, handler, path);
+				} else {
+					handler(path, value);
+				}
+			});
+	},
+
+	/**
+	 * Converts path to a dotted key like "cart.title".
+	 * @param {Array<string>} path List of keys from root to the value.
+	 * @returns {string} Dotted key.
+	 */
+	pathToKey(path) {
+		return path.join(KEY_SEPARATOR);
+	}
+};
+
+/**
+ * Determines if the object has own property with specified name.
+ * @param {Object} object Object to check.
+ * @param {string} name Property name.
+ * @returns {boolean} Does the object have the property.
+ */
+function hasOwn(object, name) {
+	return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+module.exports = localizationHelper;
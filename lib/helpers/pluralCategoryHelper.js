@@ -0,0 +1,398 @@
+'use strict';
+
+const localeHelper = require('./localeHelper');
+
+const CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const OTHER = 'other';
+
+/* eslint complexity: [2, 16]*/
+
+/**
+ * CLDR plural rules (http://cldr.unicode.org/index/cldr-spec/plural-rules)
+ * for cardinal numbers. Every rule receives plural operands:
+ * n - absolute value, i - integer digits, v - number of visible fraction
+ * digits, f - visible fraction digits, t - fraction digits without
+ * trailing zeros.
+ */
+const RULES = [
+	{
+		languages: [
+			'bm', 'bo', 'dz', 'hnj', 'id', 'ig', 'ii', 'ja', 'jbo', 'jv', 'kde',
+			'kea', 'km', 'ko', 'lkt', 'lo', 'ms', 'my', 'nqo', 'osa', 'sah',
+			'ses', 'sg', 'su', 'th', 'to', 'tpi', 'vi', 'wo', 'yo', 'yue', 'zh'
+		],
+		rule: () => OTHER
+	},
+	{
+		languages: [
+			'am', 'as', 'bn', 'doi', 'fa', 'gu', 'hi', 'kn', 'pcm', 'zu'
+		],
+		rule: o => (o.i === 0 || o.n === 1 ? 'one' : OTHER)
+	},
+	{
+		languages: ['ff', 'fr', 'hy', 'kab'],
+		rule: o => (o.i === 0 || o.i === 1 ? 'one' : OTHER)
+	},
+	{
+		languages: [
+			'ast', 'ca', 'de', 'en', 'et', 'fi', 'fy', 'gl', 'ia', 'io', 'it',
+			'ji', 'lij', 'nl', 'sc', 'scn', 'sv', 'sw', 'ur', 'yi'
+		],
+		rule: o => (o.i === 1 && o.v === 0 ? 'one' : OTHER)
+	},
+	{
+		languages: [
+			'af', 'an', 'asa', 'az', 'bal', 'bem', 'bez', 'bg', 'brx', 'ce', 'cgg',
+			'chr', 'ckb', 'dv', 'ee', 'el', 'eo', 'es', 'eu', 'fo', 'fur', 'gsw',
+			'ha', 'haw', 'hu', 'jgo', 'jmc', 'ka', 'kaj', 'kcg', 'kk', 'kkj', 'kl',
+			'ks', 'ksb', 'ku', 'ky', 'lb', 'lg', 'mas', 'mgo', 'ml', 'mn', 'mr',
+			'nah', 'nb', 'nd', 'ne', 'nn', 'nnh', 'no', 'nr', 'ny', 'nyn', 'om',
+			'or', 'os', 'pap', 'ps', 'rm', 'rof', 'rwk', 'saq', 'sd', 'sdh', 'seh',
+			'sn', 'so', 'sq', 'ss', 'ssy', 'st', 'syr', 'ta', 'te', 'teo', 'tig',
+			'tk', 'tn', 'tr', 'ts', 'ug', 'uz', 've', 'vo', 'vun', 'wae', 'xh',
+			'xog'
+		],
+		rule: o => (o.n === 1 ? 'one' : OTHER)
+	},
+	{
+		languages: ['pt'],
+		rule: o => (inRange(o.i, 0, 1) ? 'one' : OTHER)
+	},
+	{
+		languages: ['ak', 'bho', 'guw', 'ln', 'mg', 'nso', 'pa', 'ti', 'wa'],
+		rule: o => (inRange(o.n, 0, 1) ? 'one' : OTHER)
+	},
+	{
+		languages: ['da'],
+		rule: o => (o.n === 1 || (o.t !== 0 && (o.i === 0 || o.i === 1)) ?
+			'one' : OTHER)
+	},
+	{
+		languages: ['is'],
+		rule: o => ((o.t === 0 && o.i % 10 === 1 && o.i % 100 !== 11) ||
+			(o.t % 10 === 1 && o.t % 100 !== 11) ? 'one' : OTHER)
+	},
+	{
+		languages: ['mk'],
+		rule: o => ((o.v === 0 && o.i % 10 === 1 && o.i % 100 !== 11) ||
+			(o.f % 10 === 1 && o.f % 100 !== 11) ? 'one' : OTHER)
+	},
+	{
+		languages: ['fil', 'tl'],
+		rule: o => ((o.v === 0 && isIn(o.i, [1, 2, 3])) ||
+			(o.v === 0 && !isIn(o.i % 10, [4, 6, 9])) ||
+			(o.v !== 0 && !isIn(o.f % 10, [4, 6, 9])) ? 'one' : OTHER)
+	},
+	{
+		languages: ['lv', 'prg'],
+		rule: o => {
+			if (o.n % 10 === 0 || inRange(o.n % 100, 11, 19) ||
+				(o.v === 2 && inRange(o.f % 100, 11, 19))) {
+				return 'zero';
+			}
+			if ((o.n % 10 === 1 && o.n % 100 !== 11) ||
+				(o.v === 2 && o.f % 10 === 1 && o.f % 100 !== 11) ||
+				(o.v !== 2 && o.f % 10 === 1)) {
+				return 'one';
+			}
+			return OTHER;
+		}
+	},
+	{
+		languages: ['ru', 'uk'],
+		rule: o => {
+			if (o.v !== 0) {
+				return OTHER;
+			}
+			if (o.i % 10 === 1 && o.i % 100 !== 11) {
+				return 'one';
+			}
+			if (inRange(o.i % 10, 2, 4) && !inRange(o.i % 100, 12, 14)) {
+				return 'few';
+			}
+			return 'many';
+		}
+	},
+	{
+		languages: ['be'],
+		rule: o => {
+			if (o.n % 10 === 1 && o.n % 100 !== 11) {
+				return 'one';
+			}
+			if (inRange(o.n % 10, 2, 4) && !inRange(o.n % 100, 12, 14)) {
+				return 'few';
+			}
+			if (o.n % 10 === 0 || inRange(o.n % 10, 5, 9) ||
+				inRange(o.n % 100, 11, 14)) {
+				return 'many';
+			}
+			return OTHER;
+		}
+	},
+	{
+		languages: ['bs', 'hr', 'sh', 'sr'],
+		rule: o => {
+			if ((o.v === 0 && o.i % 10 === 1 && o.i % 100 !== 11) ||
+				(o.f % 10 === 1 && o.f % 100 !== 11)) {
+				return 'one';
+			}
+			if ((o.v === 0 && inRange(o.i % 10, 2, 4) && !inRange(o.i % 100, 12, 14)) ||
+				(inRange(o.f % 10, 2, 4) && !inRange(o.f % 100, 12, 14))) {
+				return 'few';
+			}
+			return OTHER;
+		}
+	},
+	{
+		languages: ['pl'],
+		rule: o => {
+			if (o.v !== 0) {
+				return OTHER;
+			}
+			if (o.i === 1) {
+				return 'one';
+			}
+			if (inRange(o.i % 10, 2, 4) && !inRange(o.i % 100, 12, 14)) {
+				return 'few';
+			}
+			return 'many';
+		}
+	},
+	{
+		languages: ['cs', 'sk'],
+		rule: o => {
+			if (o.v !== 0) {
+				return 'many';
+			}
+			if (o.i === 1) {
+				return 'one';
+			}
+			return inRange(o.i, 2, 4) ? 'few' : OTHER;
+		}
+	},
+	{
+		languages: ['lt'],
+		rule: o => {
+			if (o.f !== 0) {
+				return 'many';
+			}
+			if (inRange(o.n % 100, 11, 19)) {
+				return OTHER;
+			}
+			if (o.n % 10 === 1) {
+				return 'one';
+			}
+			return inRange(o.n % 10, 2, 9) ? 'few' : OTHER;
+		}
+	},
+	{
+		languages: ['mo', 'ro'],
+		rule: o => {
+			if (o.i === 1 && o.v === 0) {
+				return 'one';
+			}
+			return o.v !== 0 || o.n === 0 ||
+				(o.n !== 1 && inRange(o.n % 100, 1, 19)) ? 'few' : OTHER;
+		}
+	},
+	{
+		languages: ['sl'],
+		rule: o => {
+			if (o.v !== 0) {
+				return 'few';
+			}
+			return [OTHER, 'one', 'two', 'few', 'few'][o.i % 100] || OTHER;
+		}
+	},
+	{
+		languages: ['ar', 'ars'],
+		rule: o => {
+			if (o.n === 0 || o.n === 1 || o.n === 2) {
+				return ['zero', 'one', 'two'][o.n];
+			}
+			if (inRange(o.n % 100, 3, 10)) {
+				return 'few';
+			}
+			return inRange(o.n % 100, 11, 99) ? 'many' : OTHER;
+		}
+	},
+	{
+		languages: ['he', 'iw'],
+		rule: o => {
+			if ((o.i === 1 && o.v === 0) || (o.i === 0 && o.v !== 0)) {
+				return 'one';
+			}
+			return o.i === 2 && o.v === 0 ? 'two' : OTHER;
+		}
+	},
+	{
+		languages: ['cy'],
+		rule: o => ({0: 'zero', 1: 'one', 2: 'two', 3: 'few', 6: 'many'})[o.n] || OTHER
+	},
+	{
+		languages: ['ga'],
+		rule: o => {
+			if (o.n === 1 || o.n === 2) {
+				return o.n === 1 ? 'one' : 'two';
+			}
+			if (inRange(o.n, 3, 6)) {
+				return 'few';
+			}
+			return inRange(o.n, 7, 10) ? 'many' : OTHER;
+		}
+	},
+	{
+		languages: ['gd'],
+		rule: o => {
+			if (o.n === 1 || o.n === 11) {
+				return 'one';
+			}
+			if (o.n === 2 || o.n === 12) {
+				return 'two';
+			}
+			return inRange(o.n, 3, 10) || inRange(o.n, 13, 19) ? 'few' : OTHER;
+		}
+	},
+	{
+		languages: ['mt'],
+		rule: o => {
+			if (o.n === 1 || o.n === 2) {
+				return o.n === 1 ? 'one' : 'two';
+			}
+			if (o.n === 0 || inRange(o.n % 100, 3, 10)) {
+				return 'few';
+			}
+			return inRange(o.n % 100, 11, 19) ? 'many' : OTHER;
+		}
+	},
+	{
+		languages: ['iu', 'naq', 'sat', 'se', 'sma', 'smi', 'smj', 'smn', 'sms'],
+		rule: o => ({1: 'one', 2: 'two'})[o.n] || OTHER
+	},
+	{
+		languages: ['br'],
+		rule: o => {
+			const mod10 = o.n % 10;
+			const mod100 = o.n % 100;
+			if (mod10 === 1 && !isIn(mod100, [11, 71, 91])) {
+				return 'one';
+			}
+			if (mod10 === 2 && !isIn(mod100, [12, 72, 92])) {
+				return 'two';
+			}
+			if ((inRange(mod10, 3, 4) || mod10 === 9) &&
+				!inRange(mod100, 10, 19) && !inRange(mod100, 70, 79) &&
+				!inRange(mod100, 90, 99)) {
+				return 'few';
+			}
+			return o.n !== 0 && o.n % 1000000 === 0 ? 'many' : OTHER;
+		}
+	},
+	{
+		languages: ['kw'],
+		rule: o => {
+			if (o.n === 0 || o.n === 1) {
+				return o.n === 0 ? 'zero' : 'one';
+			}
+			if (isIn(o.n % 100, [2, 22, 42, 62, 82])) {
+				return 'two';
+			}
+			if (isIn(o.n % 100, [3, 23, 43, 63, 83])) {
+				return 'few';
+			}
+			return isIn(o.n % 100, [1, 21, 41, 61, 81]) ? 'many' : OTHER;
+		}
+	}
+];
+
+const RULES_BY_LANGUAGE = Object.create(null);
+RULES.forEach(item => item.languages.forEach(language => {
+	RULES_BY_LANGUAGE[language] = item.rule;
+}));
+
+const pluralCategoryHelper = {
+
+	CATEGORIES,
+
+	/**
+	 * Determines if the value is an object with plural forms keyed by
+	 * CLDR plural categories, it always has the "other" form.
+	 * @param {*} value Localization value.
+	 * @returns {boolean} Is the value a plural forms object.
+	 */
+	isPluralObject(value) {
+		if (!value || typeof (value) !== 'object' || Array.isArray(value) ||
+			typeof (value[OTHER]) !== 'string') {
+			return false;
+		}
+		return Object.keys(value)
+			.every(key => CATEGORIES.indexOf(key) !== -1);
+	},
+
+	/**
+	 * Gets CLDR plural operands of the number.
+	 * @param {number|string} number Number or its string representation,
+	 * strings keep visible fraction digits like "1.50".
+	 * @returns {{n: number, i: number, v: number, f: number, t: number}}
+	 * Plural operands.
+	 */
+	getOperands(number) {
+		let source = typeof (number) === 'string' ?
+			number.trim().replace(/^[-+]/, '') : String(Math.abs(Number(number)));
+		if (!/^\d+(\.\d+)?$/.test(source)) {
+			source = String(Math.abs(Number(number)) || 0);
+		}
+
+		const parts = source.split('.');
+		const fraction = parts[1] || '';
+		const trimmedFraction = fraction.replace(/0+$/, '');
+
+		return {
+			n: Number(source),
+			i: Number(parts[0]),
+			v: fraction.length,
+			f: Number(fraction || 0),
+			t: Number(trimmedFraction || 0)
+		};
+	},
+
+	/**
+	 * Gets CLDR plural category of the number for the locale.
+	 * @param {string} locale Locale name.
+	 * @param {number|string} number Number to get category for.
+	 * @returns {string|null} Plural category or null if there is no CLDR
+	 * rule for the locale's language.
+	 */
+	getCategory(locale, number) {
+		const parsed = localeHelper.parse(locale);
+		if (!parsed || !(parsed.language in RULES_BY_LANGUAGE)) {
+			return null;
+		}
+		return RULES_BY_LANGUAGE[parsed.language](
+			pluralCategoryHelper.getOperands(number)
+		);
+	}
+};
+
+/**
+ * Determines if the value is an integer in the range (CLDR "a..b" syntax).
+ * @param {number} value Value to check.
+ * @param {number} from Range start.
+ * @param {number} to Range end.
+ * @returns {boolean} Is the value in the range.
+ */
+function inRange(value, from, to) {
+	return value % 1 === 0 && value >= from && value <= to;
+}
+
+/**
+ * Determines if the value is one of the listed values.
+ * @param {number} value Value to check.
+ * @param {Array<number>} list List of values.
+ * @returns {boolean} Is the value in the list.
+ */
+function isIn(value, list) {
+	return list.indexOf(value) !== -1;
+}
+
+module.exports = pluralCategoryHelper;
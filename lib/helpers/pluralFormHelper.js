@@ -0,0 +1,46 @@
+'use strict';
+
+const localeHelper = require('./localeHelper');
+const pluralizationRules = require('../pluralizationRules.json');
+const pluralizationCategories = require('../pluralizationCategories.json');
+
+/**
+ * Gettext pluralization rules by normalized locale names.
+ */
+const RULES = Object.create(null);
+Object.keys(pluralizationRules)
+	.forEach(rule => pluralizationRules[rule]
+		.forEach(locale => {
+			RULES[localeHelper.normalize(locale)] = rule;
+		})
+	);
+
+const pluralFormHelper = {
+
+	/**
+	 * Gets gettext pluralization rule of the locale or its language
+	 * from "pluralizationRules.json".
+	 * @param {string} locale Locale name.
+	 * @returns {string|undefined} Rule like "(n != 1)" or undefined
+	 * if there is no rule for the locale.
+	 */
+	getRule(locale) {
+		const found = localeHelper.getFallbackChain(locale)
+			.find(current => current in RULES);
+		return found ? RULES[found] : undefined;
+	},
+
+	/**
+	 * Gets number of plural forms of the locale's pluralization rule
+	 * from "pluralizationRules.json".
+	 * @param {string} locale Locale name.
+	 * @returns {number|undefined} Number of forms or undefined if there is
+	 * no rule for the locale.
+	 */
+	getFormCount(locale) {
+		const rule = pluralFormHelper.getRule(locale);
+		return rule ? pluralizationCategories[rule].length : undefined;
+	}
+};
+
+module.exports = pluralFormHelper;
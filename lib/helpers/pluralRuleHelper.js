@@ -0,0 +1,267 @@
+'use strict';
+
+const TOKEN_REGEXP = /\s*(\d+|n|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:()])/g;
+
+/**
+ * Binary operators by precedence levels from the lowest to the highest one.
+ */
+const BINARY_LEVELS = [
+	['||'],
+	['&&'],
+	['==', '!='],
+	['<', '>', '<=', '>='],
+	['+', '-'],
+	['*', '/', '%']
+];
+
+const BINARY_OPERATORS = {
+	'||': (left, right) => left || right,
+	'&&': (left, right) => left && right,
+	'==': (left, right) => Number(left) === Number(right),
+	'!=': (left, right) => Number(left) !== Number(right),
+	'<': (left, right) => left < right,
+	'>': (left, right) => left > right,
+	'<=': (left, right) => left <= right,
+	'>=': (left, right) => left >= right,
+	'+': (left, right) => left + right,
+	'-': (left, right) => left - right,
+	'*': (left, right) => left * right,
+	'/': (left, right) => left / right,
+	'%': (left, right) => left % right
+};
+
+const UNARY_OPERATORS = {
+	'!': value => !value,
+	'-': value => -value,
+	'+': value => Number(value)
+};
+
+const NODE_EVALUATORS = {
+	number: node => node.value,
+	variable: (node, n) => n,
+	unary: (node, n) => UNARY_OPERATORS[node.operator](evaluate(node.argument, n)),
+	binary: evaluateBinary,
+	conditional: (node, n) => (evaluate(node.test, n) ?
+		evaluate(node.consequent, n) :
+		evaluate(node.alternate, n))
+};
+
+const pluralRuleHelper = {
+
+	/**
+	 * Parses gettext pluralization rule like "(n != 1)" into an expression
+	 * tree. Rules are C expressions of the "n" variable with integer
+	 * literals, arithmetic, comparison, logical and conditional operators.
+	 * @param {string} rule Pluralization rule.
+	 * @returns {Object} Root node of the expression tree.
+	 * @throws {Error} If the rule has wrong syntax.
+	 */
+	parse(rule) {
+		const state = {
+			source: String(rule),
+			tokens: tokenize(String(rule)),
+			index: 0
+		};
+		const node = parseConditional(state);
+		if (state.index < state.tokens.length) {
+			throw syntaxError(state, 'end of rule');
+		}
+		return node;
+	},
+
+	/**
+	 * Compiles gettext pluralization rule into a function without
+	 * evaluating any code, so it works under Content Security Policy.
+	 * An empty rule always returns the first form.
+	 * @param {string} rule Pluralization rule.
+	 * @returns {Function} Function that receives a number and returns
+	 * index of plural form.
+	 * @throws {Error} If the rule has wrong syntax.
+	 */
+	compile(rule) {
+		if (!rule || !String(rule).trim()) {
+			return () => 0;
+		}
+		const tree = pluralRuleHelper.parse(rule);
+		return n => Number(evaluate(tree, n));
+	}
+};
+
+/**
+ * Splits the rule into tokens.
+ * @param {string} source Rule source.
+ * @returns {Array<{value: string, position: number}>} List of tokens.
+ * @throws {Error} If the rule has unknown characters.
+ */
+function tokenize(source) {
+	const tokens = [];
+	let position = 0;
+	let match;
+
+	TOKEN_REGEXP.lastIndex = 0;
+	while ((match = TOKEN_REGEXP.exec(source)) && match.index === position) {
+		tokens.push({
+			value: match[1],
+			position: TOKEN_REGEXP.lastIndex - match[1].length
+		});
+		position = TOKEN_REGEXP.lastIndex;
+	}
+
+	if (source.substring(position).trim()) {
+		throw new Error(`Wrong pluralization rule, unexpected character at position ${position} in "${source}"`);
+	}
+	return tokens;
+}
+
+/**
+ * Parses conditional expression "a ? b : c".
+ * @param {Object} state Parser state.
+ * @returns {Object} Expression node.
+ */
+function parseConditional(state) {
+	const test = parseBinary(state, 0);
+	if (!tryConsume(state, '?')) {
+		return test;
+	}
+
+	const consequent = parseConditional(state);
+	expect(state, ':');
+	return {
+		type: 'conditional',
+		test,
+		consequent,
+		alternate: parseConditional(state)
+	};
+}
+
+/**
+ * Parses left-associative binary expression of the precedence level.
+ * @param {Object} state Parser state.
+ * @param {number} level Index of precedence level.
+ * @returns {Object} Expression node.
+ */
+function parseBinary(state, level) {
+	if (level >= BINARY_LEVELS.length) {
+		return parseUnary(state);
+	}
+
+	let node = parseBinary(state, level + 1);
+	let token = peek(state);
+	while (token && BINARY_LEVELS[level].indexOf(token) !== -1) {
+		state.index++;
+		node = {
+			type: 'binary',
+			operator: token,
+			left: node,
+			right: parseBinary(state, level + 1)
+		};
+		token = peek(state);
+	}
+	return node;
+}
+
+/**
+ * Parses unary expression, a number, the "n" variable
+ * or an expression in parentheses.
+ * @param {Object} state Parser state.
+ * @returns {Object} Expression node.
+ */
+function parseUnary(state) {
+	const token = peek(state);
+	if (token in UNARY_OPERATORS) {
+		state.index++;
+		return {
+			type: 'unary',
+			operator: token,
+			argument: parseUnary(state)
+		};
+	}
+	if (tryConsume(state, '(')) {
+		const node = parseConditional(state);
+		expect(state, ')');
+		return node;
+	}
+	if (token === 'n') {
+		state.index++;
+		return {type: 'variable'};
+	}
+	if (/^\d+$/.test(token)) {
+		state.index++;
+		return {type: 'number', value: Number(token)};
+	}
+	throw syntaxError(state, 'number, "n" or "("');
+}
+
+/**
+ * Gets the current token value.
+ * @param {Object} state Parser state.
+ * @returns {string|undefined} Token value or undefined at the end.
+ */
+function peek(state) {
+	const token = state.tokens[state.index];
+	return token ? token.value : undefined;
+}
+
+/**
+ * Skips the current token if it equals to the value.
+ * @param {Object} state Parser state.
+ * @param {string} value Expected token value.
+ * @returns {boolean} Was the token skipped.
+ */
+function tryConsume(state, value) {
+	if (peek(state) !== value) {
+		return false;
+	}
+	state.index++;
+	return true;
+}
+
+/**
+ * Skips the current token or throws an error if it is not expected one.
+ * @param {Object} state Parser state.
+ * @param {string} value Expected token value.
+ * @throws {Error} If the token is different.
+ */
+function expect(state, value) {
+	if (!tryConsume(state, value)) {
+		throw syntaxError(state, `"${value}"`);
+	}
+}
+
+/**
+ * Creates syntax error of the rule.
+ * @param {Object} state Parser state.
+ * @param {string} expected Description of the expected token.
+ * @returns {Error} Syntax error.
+ */
+function syntaxError(state, expected) {
+	const token = state.tokens[state.index];
+	const position = token ? token.position : state.source.length;
+	return new Error(`Wrong pluralization rule, ${expected} expected at position ${position} in "${state.source}"`);
+}
+
+/**
+ * Evaluates expression node for the number.
+ * @param {Object} node Expression node.
+ * @param {number} n Number.
+ * @returns {number|boolean} Value of the expression.
+ */
+function evaluate(node, n) {
+	return NODE_EVALUATORS[node.type](node, n);
+}
+
+/**
+ * Evaluates binary expression node, logical operators are short-circuit.
+ * @param {Object} node Binary expression node.
+ * @param {number} n Number.
+ * @returns {number|boolean} Value of the expression.
+ */
+function evaluateBinary(node, n) {
+	const left = evaluate(node.left, n);
+	if ((node.operator === '&&' && !left) || (node.operator === '||' && left)) {
+		return left;
+	}
+	return BINARY_OPERATORS[node.operator](left, evaluate(node.right, n));
+}
+
+module.exports = pluralRuleHelper;
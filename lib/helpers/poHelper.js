@@ -0,0 +1,273 @@
+'use strict';
+
+const HEADER_SEPARATOR = ': ';
+const ESCAPES = {
+	'\\': '\\\\',
+	'"': '\\"',
+	'\n': '\\n',
+	'\r': '\\r',
+	'\t': '\\t'
+};
+const FIELD_KEYWORDS = ['msgctxt', 'msgid', 'msgid_plural'];
+const FIELD_NAMES = ['context', 'id', 'idPlural'];
+const UNESCAPES = {
+	n: '\n',
+	r: '\r',
+	t: '\t'
+};
+
+/**
+ * Line of PO file with a keyword like "msgid" or "msgstr[1]"
+ * and a quoted string.
+ */
+const KEYWORD_REGEXP = /^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+(".*")\s*$/;
+
+/**
+ * Line with a quoted string continuing the previous keyword.
+ */
+const CONTINUATION_REGEXP = /^(".*")\s*$/;
+
+const poHelper = {
+
+	/**
+	 * Converts the catalog to gettext PO file content.
+	 * @param {Object} catalog Catalog with "headers" (values by header names)
+	 * and "entries" (list of entries with "context", "id", "idPlural",
+	 * "strings", "references" and "flags").
+	 * @returns {string} Content of PO file.
+	 */
+	stringify(catalog) {
+		const headers = catalog.headers || {};
+		const header = Object.keys(headers)
+			.map(name => `${name}${HEADER_SEPARATOR}${headers[name]}\n`)
+			.join('');
+		const blocks = [
+			stringifyEntry({id: '', strings: [header]})
+		];
+		catalog.entries.forEach(entry => blocks.push(stringifyEntry(entry)));
+		return `${blocks.join('\n\n')}\n`;
+	},
+
+	/**
+	 * Parses gettext PO file content, obsolete entries are skipped.
+	 * @param {string} content Content of PO file.
+	 * @returns {Object} Catalog with "headers" and "entries" the same
+	 * as "stringify" receives.
+	 * @throws {Error} Error if some line is not a valid PO line.
+	 */
+	parse(content) {
+		const state = {
+			catalog: {
+				headers: {},
+				entries: []
+			},
+			entry: null,
+			field: null
+		};
+		String(content)
+			.split(/\r?\n/)
+			.forEach((line, index) => parseLine(state, line, index));
+		finishEntry(state);
+		return state.catalog;
+	}
+};
+
+/**
+ * Parses the line of PO file.
+ * @param {Object} state Parsing state with the "catalog", current "entry"
+ * and its current "field".
+ * @param {string} line Line of PO file.
+ * @param {number} index Index of the line.
+ * @throws {Error} Error if the line is not a valid PO line.
+ */
+function parseLine(state, line, index) {
+	const trimmed = line.trim();
+	if (trimmed === '' || trimmed.indexOf('#~') === 0) {
+		return;
+	}
+	if (trimmed[0] === '#') {
+		// comments start a new entry
+		parseComment(trimmed, startEntry(state, true));
+		state.field = null;
+		return;
+	}
+
+	const keyword = trimmed.match(KEYWORD_REGEXP);
+	if (keyword) {
+		const entry = startEntry(state, keyword[1] === 'msgctxt' || keyword[1] === 'msgid');
+		state.field = {
+			name: keyword[1],
+			index: keyword[2] ? Number(keyword[2]) : 0
+		};
+		setField(entry, state.field, unquote(keyword[3]));
+		return;
+	}
+
+	const continuation = trimmed.match(CONTINUATION_REGEXP);
+	if (continuation && state.field) {
+		setField(state.entry, state.field, unquote(continuation[1]), true);
+		return;
+	}
+
+	throw new Error(`Wrong PO file line ${index + 1}: ${line}`);
+}
+
+/**
+ * Gets the current entry or starts a new one.
+ * @param {Object} state Parsing state.
+ * @param {boolean} isNewMessage Does the line start a new message
+ * if the current entry already has "msgid".
+ * @returns {Object} Current entry.
+ */
+function startEntry(state, isNewMessage) {
+	if (isNewMessage && state.entry && state.entry.id !== undefined) {
+		finishEntry(state);
+	}
+	state.entry = state.entry || createEntry();
+	return state.entry;
+}
+
+/**
+ * Adds the current entry to the catalog, the entry with an empty "msgid"
+ * and without "msgctxt" is the header.
+ * @param {Object} state Parsing state.
+ */
+function finishEntry(state) {
+	const entry = state.entry;
+	state.entry = null;
+	if (!entry || entry.id === undefined) {
+		return;
+	}
+	// absent plural forms are empty
+	entry.strings = Array.from(entry.strings, string => string || '');
+	if (entry.id === '' && !entry.context) {
+		parseHeaders(entry.strings[0] || '', state.catalog.headers);
+	} else {
+		state.catalog.entries.push(entry);
+	}
+}
+
+/**
+ * Creates an empty catalog entry.
+ * @returns {Object} Entry.
+ */
+function createEntry() {
+	return {
+		context: null,
+		id: undefined,
+		idPlural: null,
+		strings: [],
+		references: [],
+		flags: []
+	};
+}
+
+/**
+ * Converts the entry to PO file lines.
+ * @param {Object} entry Catalog entry.
+ * @returns {string} Lines of the entry.
+ */
+function stringifyEntry(entry) {
+	const lines = [];
+	(entry.references || []).forEach(reference => lines.push(`#: ${reference}`));
+	if (entry.flags && entry.flags.length > 0) {
+		lines.push(`#, ${entry.flags.join(', ')}`);
+	}
+	if (entry.context !== null && entry.context !== undefined) {
+		lines.push(`msgctxt ${formatString(entry.context)}`);
+	}
+	lines.push(`msgid ${formatString(entry.id)}`);
+	if (entry.idPlural !== null && entry.idPlural !== undefined) {
+		lines.push(`msgid_plural ${formatString(entry.idPlural)}`);
+		entry.strings.forEach((string, index) => lines.push(`msgstr[${index}] ${formatString(string)}`));
+	} else {
+		lines.push(`msgstr ${formatString(entry.strings[0] || '')}`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Parses the comment line of the entry.
+ * @param {string} line Comment line.
+ * @param {Object} entry Catalog entry.
+ */
+function parseComment(line, entry) {
+	const text = line.substring(2).trim();
+	if (line[1] === ':') {
+		entry.references.push(...text.split(/\s+/).filter(reference => reference));
+	} else if (line[1] === ',') {
+		entry.flags.push(...text.split(',')
+			.map(flag => flag.trim())
+			.filter(flag => flag));
+	}
+}
+
+/**
+ * Sets or appends the field value of the entry.
+ * @param {Object} entry Catalog entry.
+ * @param {{name: string, index: number}} field Field of the entry.
+ * @param {string} value Field value.
+ * @param {boolean?} isContinuation Is the value a continuation
+ * of the current field value.
+ */
+function setField(entry, field, value, isContinuation) {
+	const fieldIndex = FIELD_KEYWORDS.indexOf(field.name);
+	if (fieldIndex !== -1) {
+		const name = FIELD_NAMES[fieldIndex];
+		entry[name] = isContinuation ? entry[name] + value : value;
+	} else {
+		entry.strings[field.index] = isContinuation ?
+			entry.strings[field.index] + value : value;
+	}
+}
+
+/**
+ * Parses the header entry value.
+ * @param {string} value Value like "Language: ru\nPlural-Forms: ...\n".
+ * @param {Object} headers Headers to add parsed values to.
+ */
+function parseHeaders(value, headers) {
+	value.split('\n')
+		.forEach(line => {
+			const index = line.indexOf(HEADER_SEPARATOR);
+			if (index > 0) {
+				headers[line.substring(0, index).trim()] =
+					line.substring(index + HEADER_SEPARATOR.length).trim();
+			}
+		});
+}
+
+/**
+ * Formats the string for PO file, multiline strings are split
+ * to quoted lines after an empty string like gettext tools do.
+ * @param {string} value String value.
+ * @returns {string} Quoted string or several quoted lines.
+ */
+function formatString(value) {
+	const lines = String(value).match(/[^\n]*\n|[^\n]+$/g) || [];
+	return lines.length > 1 ?
+		['""'].concat(lines.map(quote)).join('\n') :
+		quote(value);
+}
+
+/**
+ * Quotes the string for PO file.
+ * @param {string} value String value.
+ * @returns {string} Quoted and escaped string.
+ */
+function quote(value) {
+	return `"${String(value).replace(/[\\"\n\r\t]/g, char => ESCAPES[char])}"`;
+}
+
+/**
+ * Removes quotes and escaping from the string of PO file.
+ * @param {string} quoted Quoted string.
+ * @returns {string} String value.
+ */
+function unquote(quoted) {
+	return quoted
+		.substring(1, quoted.length - 1)
+		.replace(/\\(.)/g, (match, char) => UNESCAPES[char] || char);
+}
+
+module.exports = poHelper;
@@ -0,0 +1,297 @@
+'use strict';
+
+const xmlHelper = require('./xmlHelper');
+
+const VERSION_1_2 = '1.2';
+const VERSION_2_0 = '2.0';
+const NAMESPACES = {
+	[VERSION_1_2]: 'urn:oasis:names:tc:xliff:document:1.2',
+	[VERSION_2_0]: 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+/**
+ * Group types of plural forms, XLIFF 1.2 uses the "restype" attribute
+ * and XLIFF 2.0 uses the "type" attribute which requires a prefix.
+ */
+const PLURAL_TYPES = {
+	[VERSION_1_2]: 'x-gettext-plurals',
+	[VERSION_2_0]: 'catberry:plural'
+};
+
+/**
+ * XLIFF 1.2 states of translations with matching XLIFF 2.0 states.
+ */
+const STATES_1_2 = {
+	new: 'initial',
+	'needs-translation': 'initial',
+	'needs-adaptation': 'initial',
+	'needs-l10n': 'initial',
+	'needs-review-translation': 'translated',
+	'needs-review-adaptation': 'translated',
+	'needs-review-l10n': 'translated',
+	translated: 'translated',
+	'signed-off': 'reviewed',
+	final: 'final'
+};
+
+/**
+ * XLIFF 2.0 states of translations with matching XLIFF 1.2 states.
+ */
+const STATES_2_0 = {
+	initial: 'new',
+	translated: 'translated',
+	reviewed: 'signed-off',
+	final: 'final'
+};
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+const xliffHelper = {
+
+	/**
+	 * Supported XLIFF versions.
+	 */
+	VERSIONS: [VERSION_1_2, VERSION_2_0],
+
+	/**
+	 * Converts the document to XLIFF of the document's version.
+	 * @param {Object} document Document with "version", "sourceLocale",
+	 * "targetLocale" and "files" (list of files with "id", "original" and
+	 * "units"). Every unit has "key", "notes" and either "source", "target"
+	 * and "state" or "forms" (list of units with plural forms).
+	 * @returns {string} XLIFF document.
+	 */
+	stringify(document) {
+		const version = document.version;
+		if (!(version in NAMESPACES)) {
+			throw new Error(`Unsupported XLIFF version ${version}`);
+		}
+		const isLegacy = version === VERSION_1_2;
+		const files = document.files.map(file => {
+			const units = file.units.map(unit => (isLegacy ?
+				createUnit12(unit) : createUnit20(unit)));
+			return isLegacy ?
+				xmlHelper.element('file', {
+					original: file.original,
+					'source-language': document.sourceLocale,
+					'target-language': document.targetLocale,
+					datatype: 'plaintext'
+				}, [xmlHelper.element('body', null, units)]) :
+				xmlHelper.element('file', {
+					id: file.id,
+					original: file.original
+				}, units);
+		});
+
+		return xmlHelper.stringify(xmlHelper.element('xliff', isLegacy ? {
+			version,
+			xmlns: NAMESPACES[version]
+		} : {
+			version,
+			xmlns: NAMESPACES[version],
+			srcLang: document.sourceLocale,
+			trgLang: document.targetLocale
+		}, files));
+	},
+
+	/**
+	 * Parses XLIFF 1.2 or 2.0 document.
+	 * @param {string} content XLIFF document.
+	 * @returns {Object} Document the same as "stringify" receives.
+	 * @throws {Error} Error if the document is not XLIFF of supported version.
+	 */
+	parse(content) {
+		const root = xmlHelper.parse(content);
+		const version = root.attributes.version;
+		if (root.name !== 'xliff' || !(version in NAMESPACES)) {
+			throw new Error(`Unsupported XLIFF version ${version || ''}`);
+		}
+		const isLegacy = version === VERSION_1_2;
+		const files = xmlHelper.children(root, 'file');
+		const first = files[0] || {attributes: {}};
+
+		return {
+			version,
+			sourceLocale: isLegacy ? first.attributes['source-language'] : root.attributes.srcLang,
+			targetLocale: isLegacy ? first.attributes['target-language'] : root.attributes.trgLang,
+			files: files.map(file => ({
+				id: file.attributes.id || null,
+				original: file.attributes.original || null,
+				units: isLegacy ?
+					readUnits12(xmlHelper.child(file, 'body') || file) :
+					readUnits20(file)
+			}))
+		};
+	},
+
+	/**
+	 * Converts the state of a translation to the state of the XLIFF version,
+	 * XLIFF 1.2 custom states starting with "x-" are kept.
+	 * @param {string?} state State of XLIFF 1.2 or 2.0.
+	 * @param {string} version XLIFF version.
+	 * @returns {string|null} State of the version or null if it is unknown.
+	 */
+	convertState(state, version) {
+		if (!state) {
+			return null;
+		}
+		if (version === VERSION_2_0) {
+			return state in STATES_2_0 ? state : STATES_1_2[state] || null;
+		}
+		return state in STATES_1_2 || state.indexOf('x-') === 0 ?
+			state : STATES_2_0[state] || null;
+	}
+};
+
+/**
+ * Creates XLIFF 1.2 "trans-unit" element or "group" of plural forms.
+ * @param {Object} unit Unit of the document.
+ * @returns {Object} Element.
+ */
+function createUnit12(unit) {
+	const notes = unit.notes.map(note => xmlHelper.element('note', null, [note]));
+	if (unit.forms) {
+		return xmlHelper.element('group', {
+			id: unit.key,
+			resname: unit.key,
+			restype: PLURAL_TYPES[VERSION_1_2]
+		}, notes.concat(unit.forms.map(createUnit12)));
+	}
+
+	const state = xliffHelper.convertState(unit.state, VERSION_1_2);
+	return xmlHelper.element('trans-unit', {
+		id: unit.key,
+		resname: unit.key
+	}, [
+		xmlHelper.element('source', null, [unit.source]),
+		unit.target !== null || state ?
+			xmlHelper.element('target', {state}, [unit.target]) : null
+	].concat(notes));
+}
+
+/**
+ * Creates XLIFF 2.0 "unit" element or "group" of plural forms.
+ * @param {Object} unit Unit of the document.
+ * @returns {Object} Element.
+ */
+function createUnit20(unit) {
+	const notes = unit.notes.length > 0 ?
+		xmlHelper.element('notes', null,
+			unit.notes.map(note => xmlHelper.element('note', null, [note]))) :
+		null;
+	if (unit.forms) {
+		return xmlHelper.element('group', {
+			id: unit.key,
+			name: unit.key,
+			type: PLURAL_TYPES[VERSION_2_0]
+		}, [notes].concat(unit.forms.map(createUnit20)));
+	}
+
+	return xmlHelper.element('unit', {
+		id: unit.key,
+		name: unit.key
+	}, [
+		notes,
+		xmlHelper.element('segment', {
+			state: xliffHelper.convertState(unit.state, VERSION_2_0)
+		}, [
+			xmlHelper.element('source', null, [unit.source]),
+			unit.target === null ? null : xmlHelper.element('target', null, [unit.target])
+		])
+	]);
+}
+
+/**
+ * Reads units of XLIFF 1.2 "body" or "group" element.
+ * @param {Object} parent Element with units.
+ * @returns {Array<Object>} List of units.
+ */
+function readUnits12(parent) {
+	const units = [];
+	xmlHelper.children(parent)
+		.forEach(element => {
+			const notes = xmlHelper.children(element, 'note').map(xmlHelper.text);
+			const key = element.attributes.resname || element.attributes.id;
+			if (element.name === 'group') {
+				if (element.attributes.restype === PLURAL_TYPES[VERSION_1_2]) {
+					units.push({key, notes, forms: readUnits12(element)});
+				} else {
+					units.push(...readUnits12(element));
+				}
+				return;
+			}
+			if (element.name !== 'trans-unit') {
+				return;
+			}
+			const target = xmlHelper.child(element, 'target');
+			units.push({
+				key,
+				notes,
+				source: readText(xmlHelper.child(element, 'source'), key),
+				target: target ? readText(target, key) : null,
+				state: target && target.attributes.state || null
+			});
+		});
+	return units;
+}
+
+/**
+ * Reads units of XLIFF 2.0 "file" or "group" element.
+ * @param {Object} parent Element with units.
+ * @returns {Array<Object>} List of units.
+ */
+function readUnits20(parent) {
+	const units = [];
+	xmlHelper.children(parent)
+		.forEach(element => {
+			const notes = xmlHelper.children(xmlHelper.child(element, 'notes') || element, 'note')
+				.map(xmlHelper.text);
+			const key = element.attributes.name || element.attributes.id;
+			if (element.name === 'group') {
+				if (element.attributes.type === PLURAL_TYPES[VERSION_2_0]) {
+					units.push({key, notes, forms: readUnits20(element)});
+				} else {
+					units.push(...readUnits20(element));
+				}
+				return;
+			}
+			if (element.name !== 'unit') {
+				return;
+			}
+			// translations of all segments are joined
+			const segments = xmlHelper.children(element, 'segment');
+			const targets = segments
+				.map(segment => xmlHelper.child(segment, 'target'))
+				.filter(target => target);
+			units.push({
+				key,
+				notes,
+				source: segments
+					.map(segment => readText(xmlHelper.child(segment, 'source'), key))
+					.join(''),
+				target: targets.length > 0 ?
+					targets.map(target => readText(target, key)).join('') : null,
+				state: segments.length > 0 ? segments[0].attributes.state || null : null
+			});
+		});
+	return units;
+}
+
+/**
+ * Gets text of the source or the target of the unit. Inline elements like
+ * <ph/> or <g> have no place in localization values, so they are rejected
+ * instead of losing placeholders of the translation.
+ * @param {Object?} element Source or target element.
+ * @param {string} key Key of the unit.
+ * @returns {string} Text content.
+ * @throws {Error} Error if the element has inline elements.
+ */
+function readText(element, key) {
+	const inline = element ? xmlHelper.children(element)[0] : null;
+	if (inline) {
+		throw new Error(`Unit "${key}" has inline element <${inline.name}> which is not supported, placeholders like {name} must be plain text`);
+	}
+	return xmlHelper.text(element);
+}
+
+module.exports = xliffHelper;
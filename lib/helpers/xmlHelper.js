@@ -0,0 +1,231 @@
+'use strict';
+
+const INDENT = '\t';
+const ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;'
+};
+const ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: '\''
+};
+
+/**
+ * Markup tokens of XML: comments, CDATA sections, processing instructions,
+ * declarations, closing tags and opening or self-closing tags.
+ */
+const TOKEN_REGEXP = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_REGEXP = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY_REGEXP = /&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi;
+
+const xmlHelper = {
+
+	/**
+	 * Parses XML document into a tree of elements.
+	 * @param {string} content XML document.
+	 * @returns {Object} Root element with "name", "attributes" and
+	 * "children" (list of elements and strings).
+	 * @throws {Error} Error if the document is not well-formed.
+	 */
+	parse(content) {
+		const source = String(content);
+		const root = createElement('', {}, []);
+		const stack = [root];
+		let lastIndex = 0;
+		let match;
+
+		TOKEN_REGEXP.lastIndex = 0;
+		while ((match = TOKEN_REGEXP.exec(source))) {
+			const current = stack[stack.length - 1];
+			addText(current, decode(source.substring(lastIndex, match.index)));
+			lastIndex = TOKEN_REGEXP.lastIndex;
+
+			if (match[1] !== undefined) {
+				addText(current, match[1]);
+			} else if (match[2]) {
+				if (stack.length === 1 || current.name !== match[2]) {
+					throw new Error(`Unexpected closing tag </${match[2]}> in XML`);
+				}
+				stack.pop();
+			} else if (match[3]) {
+				const element = createElement(match[3], parseAttributes(match[4]), []);
+				current.children.push(element);
+				if (!match[5]) {
+					stack.push(element);
+				}
+			}
+		}
+
+		if (stack.length > 1) {
+			throw new Error(`Tag <${stack[stack.length - 1].name}> is not closed in XML`);
+		}
+		const elements = root.children.filter(child => typeof (child) !== 'string');
+		if (elements.length !== 1) {
+			throw new Error('XML document must have exactly one root element');
+		}
+		return elements[0];
+	},
+
+	/**
+	 * Converts the tree of elements to XML document with declaration,
+	 * elements with text only are written on one line.
+	 * @param {Object} element Root element.
+	 * @returns {string} XML document.
+	 */
+	stringify(element) {
+		return `<?xml version="1.0" encoding="UTF-8"?>\n${stringifyElement(element, '')}\n`;
+	},
+
+	/**
+	 * Creates an element.
+	 * @param {string} name Element name.
+	 * @param {Object?} attributes Attribute values by names,
+	 * undefined and null values are skipped.
+	 * @param {Array<Object|string>?} children Nested elements and strings.
+	 * @returns {Object} Element.
+	 */
+	element(name, attributes, children) {
+		const defined = {};
+		Object.keys(attributes || {})
+			.filter(key => attributes[key] !== undefined && attributes[key] !== null)
+			.forEach(key => {
+				defined[key] = String(attributes[key]);
+			});
+		return createElement(name, defined, (children || []).filter(child => child));
+	},
+
+	/**
+	 * Finds nested elements with the name.
+	 * @param {Object} element Parent element.
+	 * @param {string} name Name of nested elements.
+	 * @returns {Array<Object>} List of found elements.
+	 */
+	children(element, name) {
+		return element.children.filter(child => typeof (child) !== 'string' &&
+			(!name || child.name === name));
+	},
+
+	/**
+	 * Finds the first nested element with the name.
+	 * @param {Object} element Parent element.
+	 * @param {string} name Name of the nested element.
+	 * @returns {Object|undefined} Found element.
+	 */
+	child(element, name) {
+		return xmlHelper.children(element, name)[0];
+	},
+
+	/**
+	 * Gets text content of the element including nested elements.
+	 * @param {Object?} element Element.
+	 * @returns {string} Text content.
+	 */
+	text(element) {
+		if (!element) {
+			return '';
+		}
+		return element.children
+			.map(child => (typeof (child) === 'string' ? child : xmlHelper.text(child)))
+			.join('');
+	}
+};
+
+/**
+ * Creates an element object.
+ * @param {string} name Element name.
+ * @param {Object} attributes Attribute values by names.
+ * @param {Array<Object|string>} children Nested elements and strings.
+ * @returns {Object} Element.
+ */
+function createElement(name, attributes, children) {
+	return {name, attributes, children};
+}
+
+/**
+ * Adds text to the element joining it with the previous text.
+ * @param {Object} element Element.
+ * @param {string} text Text.
+ */
+function addText(element, text) {
+	if (!text) {
+		return;
+	}
+	const last = element.children.length - 1;
+	if (typeof (element.children[last]) === 'string') {
+		element.children[last] += text;
+	} else {
+		element.children.push(text);
+	}
+}
+
+/**
+ * Parses attributes of the tag.
+ * @param {string} source Attributes part of the tag.
+ * @returns {Object} Attribute values by names.
+ */
+function parseAttributes(source) {
+	const attributes = {};
+	let match;
+	ATTRIBUTE_REGEXP.lastIndex = 0;
+	while ((match = ATTRIBUTE_REGEXP.exec(source || ''))) {
+		attributes[match[1]] = decode(match[2] === undefined ? match[3] : match[2]);
+	}
+	return attributes;
+}
+
+/**
+ * Replaces character and entity references with characters.
+ * @param {string} text Text with references.
+ * @returns {string} Decoded text.
+ */
+function decode(text) {
+	return text.replace(ENTITY_REGEXP, (reference, entity) => {
+		if (entity[0] !== '#') {
+			return entity in ENTITIES ? ENTITIES[entity] : reference;
+		}
+		const code = entity[1] === 'x' || entity[1] === 'X' ?
+			parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+		return String.fromCodePoint(code);
+	});
+}
+
+/**
+ * Escapes special characters of text and attribute values.
+ * @param {string} text Text.
+ * @returns {string} Escaped text.
+ */
+function escape(text) {
+	return String(text).replace(/[&<>"]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Converts the element to XML.
+ * @param {Object} element Element.
+ * @param {string} indent Indentation of the element.
+ * @returns {string} XML of the element.
+ */
+function stringifyElement(element, indent) {
+	const attributes = Object.keys(element.attributes)
+		.map(name => ` ${name}="${escape(element.attributes[name])}"`)
+		.join('');
+	if (element.children.length === 0) {
+		return `${indent}<${element.name}${attributes}/>`;
+	}
+
+	const isText = element.children.every(child => typeof (child) === 'string');
+	const content = isText ?
+		element.children.map(escape).join('') :
+		`\n${element.children
+			.map(child => (typeof (child) === 'string' ?
+				`${indent}${INDENT}${escape(child)}` :
+				stringifyElement(child, indent + INDENT)))
+			.join('\n')}\n${indent}`;
+	return `${indent}<${element.name}${attributes}>${content}</${element.name}>`;
+}
+
+module.exports = xmlHelper;
@@ -7,5 +7,7 @@ module.exports = {
 	exists: toCheck => new Promise(fulfill => fs.exists(toCheck, isExists => fulfill(isExists))),
 	stat: helper.callbackToPromise(fs.stat),
 	readdir: helper.callbackToPromise(fs.readdir),
-	readFile: helper.callbackToPromise(fs.readFile)
+	readFile: helper.callbackToPromise(fs.readFile),
+	writeFile: helper.callbackToPromise(fs.writeFile),
+	mkdir: helper.callbackToPromise(fs.mkdir)
 };
@@ -0,0 +1,11 @@
+'use strict';
+
+const zlib = require('zlib');
+const helper = require('./promiseHelper');
+
+module.exports = {
+	gzip: helper.callbackToPromise(zlib.gzip),
+	// brotli is supported since Node.js 11.7
+	brotliCompress: typeof (zlib.brotliCompress) === 'function' ?
+		helper.callbackToPromise(zlib.brotliCompress) : null
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+const path = require('path');
+const events = require('events');
+const yaml = require('js-yaml');
+const JSON5 = require('json5');
+const fs = require('../promises/fs');
+const localeHelper = require('../helpers/localeHelper');
+const localizationFileHelper = require('../helpers/localizationFileHelper');
+
+const LOCALIZATIONS_FOLDER_NAME = 'l10n';
+const EXTENSION_REGEXP = /^\.[^.\s\/\\]+$/;
+
+/**
+ * Built-in formats of localization files by file extensions, "parse" gets
+ * the file content and returns the localization object, "stringify" does
+ * the opposite for command line tools.
+ */
+const FORMATS = {
+	'.json': {
+		parse: content => JSON.parse(content),
+		stringify: object => `${JSON.stringify(object, null, '\t')}\n`
+	},
+	'.json5': {
+		parse: content => JSON5.parse(content),
+		stringify: object => `${JSON5.stringify(object, null, '\t')}\n`
+	},
+	'.yaml': {
+		parse: content => yaml.safeLoad(content),
+		stringify: object => yaml.safeDump(object)
+	},
+	'.yml': {
+		parse: content => yaml.safeLoad(content),
+		stringify: object => yaml.safeDump(object)
+	}
+};
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+class FileSystemSource extends events.EventEmitter {
+
+	/**
+	 * Creates new instance of the source of localization files
+	 * in "l10n" directories of the application and its components.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		super();
+		const l10n = locator.resolve('config').l10n || {};
+		this._localizationsPath = String(l10n.path ||
+			path.join(process.cwd(), LOCALIZATIONS_FOLDER_NAME));
+		this._componentFinder = locator.resolve('componentFinder');
+		this._eventBus = locator.resolve('eventBus');
+		this._loadingCache = Object.create(null);
+		this._formats = Object.assign(Object.create(null), FORMATS);
+		this._watchChanges();
+	}
+
+	/**
+	 * Registers parser of localization files with the extension,
+	 * files are loaded by the parser since next loading.
+	 * @param {string} extension File extension like ".toml".
+	 * @param {Function} parse Function that receives the file content
+	 * and returns the localization object.
+	 * @param {Function?} stringify Function that receives the localization
+	 * object and returns the file content, without it command line tools
+	 * can not change files of the format.
+	 */
+	registerParser(extension, parse, stringify) {
+		const normalized = String(extension).toLowerCase();
+		if (!EXTENSION_REGEXP.test(normalized)) {
+			throw new Error(`Wrong localization file extension ${extension} (".ext" expected)`);
+		}
+		if (typeof (parse) !== 'function') {
+			throw new Error(`Parser of "${normalized}" localization files must be a function`);
+		}
+		if (stringify !== undefined && typeof (stringify) !== 'function') {
+			throw new Error(`Stringifier of "${normalized}" localization files must be a function`);
+		}
+		this._formats[normalized] = {parse, stringify};
+	}
+
+	/**
+	 * Reads localization file using the parser of its extension.
+	 * @param {string} filename Path to the file.
+	 * @returns {Promise<Object>} Promise for the localization object,
+	 * it is empty if there is no file.
+	 */
+	readFile(filename) {
+		const format = this._getFormat(filename);
+		if (!format) {
+			return Promise.reject(new Error(`There is no parser of "${path.extname(filename)}" localization files`));
+		}
+		return fs.exists(filename)
+			.then(isExists => (isExists ? fs.readFile(filename) : null))
+			.then(file => (file ? format.parse(file.toString()) : null) || {});
+	}
+
+	/**
+	 * Writes localization file in the format of its extension.
+	 * @param {string} filename Path to the file.
+	 * @param {Object} localization Localization object.
+	 * @returns {Promise} Promise for the file is saved.
+	 */
+	writeFile(filename, localization) {
+		const format = this._getFormat(filename);
+		if (!format || typeof (format.stringify) !== 'function') {
+			return Promise.reject(new Error(`Localization file "${filename}" can not be written, register the parser of "${path.extname(filename)}" files with the stringify function`));
+		}
+		return fs.writeFile(filename, format.stringify(localization));
+	}
+
+	/**
+	 * Removes cached contents of files, so they are read again.
+	 */
+	clearCache() {
+		this._loadingCache = Object.create(null);
+	}
+
+	/**
+	 * Loads localization files of the application and then of its components.
+	 * @returns {Promise<Array<Object>>} Promise for the list of localizations
+	 * with "path" of the file, "locale" name from the file name, "component"
+	 * name or null and localization "object" which is null if the file
+	 * name is not a valid locale name.
+	 */
+	load() {
+		return this._loadDirectory(this._localizationsPath, null)
+			.then(application => this._componentFinder.find()
+				.then(components => Promise.all(Object.keys(components)
+					.map(name => this._loadDirectory(path.join(
+						path.dirname(components[name].path), LOCALIZATIONS_FOLDER_NAME
+					), name))))
+				.then(lists => application.concat(...lists)));
+	}
+
+	/**
+	 * Gets format of the localization file by its extension.
+	 * @param {string} filename Path to the file.
+	 * @returns {Object|undefined} Format with "parse" and "stringify".
+	 * @private
+	 */
+	_getFormat(filename) {
+		return this._formats[path.extname(filename).toLowerCase()];
+	}
+
+	/**
+	 * Watches all localization files for changes.
+	 * @private
+	 */
+	_watchChanges() {
+		this._componentFinder
+			.on('change', args => {
+				const componentDirectory = path.dirname(args.component.path);
+				const l10nDirectory = path.join(
+					componentDirectory, LOCALIZATIONS_FOLDER_NAME
+				);
+				const fileDirectory = path.dirname(args.filename);
+				if (fileDirectory !== l10nDirectory) {
+					return;
+				}
+				delete this._loadingCache[args.filename];
+				this.emit('change');
+			})
+			.on('add', () => this.emit('change'))
+			.on('unlink', component => {
+				const componentDirectory = path.dirname(component.path);
+				const l10nDirectory = path.join(
+					componentDirectory, LOCALIZATIONS_FOLDER_NAME
+				);
+				Object.keys(this._loadingCache)
+					.forEach(filename => {
+						const directory = path.dirname(filename);
+						if (directory !== l10nDirectory) {
+							return;
+						}
+						delete this._loadingCache[filename];
+					});
+				this.emit('change');
+			});
+	}
+
+	/**
+	 * Loads localization files of the directory if it exists.
+	 * @param {string} loadPath Path to the directory.
+	 * @param {string?} component Name of the component the files belong to.
+	 * @returns {Promise<Array<Object>>} Promise for the list of localizations.
+	 * @private
+	 */
+	_loadDirectory(loadPath, component) {
+		return fs.exists(loadPath)
+			.then(isExists => (isExists ? fs.stat(loadPath) : null))
+			.then(stat => (stat && stat.isDirectory() ? fs.readdir(loadPath) : []))
+			.then(filenames => Promise.all(filenames
+				.map(filename => {
+					const relative = path.relative(process.cwd(), path.join(loadPath, filename));
+					const extension = path.extname(relative);
+					const format = this._getFormat(relative);
+					// translator notes of XLIFF import are stored next to localization files
+					if (!format || localizationFileHelper.isMetaFile(relative)) {
+						return null;
+					}
+
+					const locale = path.basename(relative, extension);
+					if (!localeHelper.canonicalize(locale)) {
+						return {path: relative, locale, component, object: null};
+					}
+					return this._loadFile(relative, format.parse)
+						.then(object => ({path: relative, locale, component, object}));
+				})))
+			.then(localizations => localizations.filter(localization => localization))
+			.catch(reason => {
+				this._eventBus.emit('error', reason);
+				return [];
+			});
+	}
+
+	/**
+	 * Loads localization file or takes it from the cache.
+	 * @param {string} filename Path to the file.
+	 * @param {Function} parse Parser of the file.
+	 * @returns {Promise<Object>} Promise for the localization object.
+	 * @private
+	 */
+	_loadFile(filename, parse) {
+		if (filename in this._loadingCache) {
+			return Promise.resolve(this._loadingCache[filename]);
+		}
+		return fs.readFile(filename)
+			.then(file => {
+				// empty YAML files have no object
+				this._loadingCache[filename] = parse(file.toString()) || {};
+				return this._loadingCache[filename];
+			});
+	}
+}
+
+module.exports = FileSystemSource;
@@ -0,0 +1,186 @@
+'use strict';
+
+const url = require('url');
+const http = require('http');
+const https = require('https');
+const events = require('events');
+
+const DEFAULT_TIMEOUT = 30000;
+const TRANSPORTS = {
+	'http:': http,
+	'https:': https
+};
+
+class HttpSource extends events.EventEmitter {
+
+	/**
+	 * Creates new instance of the source of localizations from an HTTP/JSON
+	 * translation service. The service responds with JSON like
+	 * {"localizations": {"en": {...}}, "components": {"cart": {"en": {...}}}}.
+	 * @param {Object} options Source options.
+	 * @param {string} options.url URL of the service.
+	 * @param {number?} options.pollInterval Interval in milliseconds to check
+	 * the service for changes, changes are not checked by default.
+	 * @param {number?} options.timeout Request timeout in milliseconds
+	 * (30 seconds by default).
+	 * @param {Object?} options.headers Additional request headers.
+	 */
+	constructor(options) {
+		super();
+		options = options || {};
+		const parsed = url.parse(String(options.url || ''));
+		if (!(parsed.protocol in TRANSPORTS) || !parsed.host) {
+			throw new Error(`Wrong localization source URL ${options.url || ''} (HTTP or HTTPS URL expected)`);
+		}
+		this._url = parsed;
+		this._href = parsed.href;
+		this._pollInterval = Number(options.pollInterval) || 0;
+		this._timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+		this._headers = Object.assign({}, options.headers);
+		this._etag = null;
+		this._body = null;
+		this._pollTimer = null;
+		this._isClosed = false;
+	}
+
+	/**
+	 * Loads localizations from the service and starts checking it
+	 * for changes if the poll interval is set.
+	 * @returns {Promise<Array<Object>>} Promise for the list of localizations
+	 * with "path", "locale", "component" and localization "object".
+	 */
+	load() {
+		return this._request()
+			.then(response => {
+				this._schedulePoll();
+				if (response.status !== 200) {
+					throw new Error(`Localization source ${this._href} responded with status ${response.status}`);
+				}
+				this._etag = response.etag;
+				this._body = response.body;
+				return this._toLocalizations(JSON.parse(response.body));
+			}, reason => {
+				// the service can be down at startup, "change" is emitted when it recovers
+				this._schedulePoll();
+				throw reason;
+			});
+	}
+
+	/**
+	 * Stops checking the service for changes.
+	 */
+	close() {
+		this._isClosed = true;
+		clearTimeout(this._pollTimer);
+		this._pollTimer = null;
+	}
+
+	/**
+	 * Schedules the next check of the service for changes.
+	 * @private
+	 */
+	_schedulePoll() {
+		if (this._pollInterval <= 0 || this._isClosed || this._pollTimer) {
+			return;
+		}
+		this._pollTimer = setTimeout(() => {
+			this._pollTimer = null;
+			this._poll();
+		}, this._pollInterval);
+		// polling does not keep the process alive
+		this._pollTimer.unref();
+	}
+
+	/**
+	 * Checks the service for changes and emits the "change" event
+	 * if the response differs from the loaded one.
+	 * @private
+	 */
+	_poll() {
+		const headers = this._etag ? {'If-None-Match': this._etag} : {};
+		this._request(headers)
+			.then(response => {
+				this._schedulePoll();
+				if (this._isClosed || response.status === 304) {
+					return;
+				}
+				if (response.status !== 200) {
+					throw new Error(`Localization source ${this._href} responded with status ${response.status}`);
+				}
+				if (response.body !== this._body) {
+					this._etag = response.etag;
+					this._body = response.body;
+					this.emit('change');
+				}
+			}, reason => {
+				this._schedulePoll();
+				throw reason;
+			})
+			.catch(reason => {
+				// "error" event without listeners throws
+				if (this.listenerCount('error') > 0) {
+					this.emit('error', reason);
+				}
+			});
+	}
+
+	/**
+	 * Converts the service response to the list of localizations.
+	 * @param {Object} data Parsed response.
+	 * @returns {Array<Object>} List of localizations.
+	 * @private
+	 */
+	_toLocalizations(data) {
+		const localizations = [];
+		const application = data.localizations || {};
+		const components = data.components || {};
+		Object.keys(application)
+			.forEach(locale => localizations.push({
+				path: `${this._href}#${locale}`,
+				locale,
+				component: null,
+				object: application[locale]
+			}));
+		Object.keys(components)
+			.forEach(component => Object.keys(components[component])
+				.forEach(locale => localizations.push({
+					path: `${this._href}#${component}/${locale}`,
+					locale,
+					component,
+					object: components[component][locale]
+				})));
+		return localizations;
+	}
+
+	/**
+	 * Requests the service.
+	 * @param {Object?} headers Additional request headers.
+	 * @returns {Promise<{status: number, etag: string?, body: string}>} Promise
+	 * for the response.
+	 * @private
+	 */
+	_request(headers) {
+		return new Promise((fulfill, reject) => {
+			const request = TRANSPORTS[this._url.protocol].get(Object.assign({}, this._url, {
+				headers: Object.assign({Accept: 'application/json'}, this._headers, headers)
+			}), response => {
+				let body = '';
+				response.setEncoding('utf8');
+				response
+					.on('data', chunk => {
+						body += chunk;
+					})
+					.on('end', () => fulfill({
+						status: response.statusCode,
+						etag: response.headers.etag || null,
+						body
+					}))
+					.on('error', reject);
+			});
+			request.setTimeout(this._timeout, () => request.abort());
+			request.on('error', reject);
+		});
+	}
+}
+
+module.exports = HttpSource;
@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const caseHelper = require('../helpers/caseHelper');
+
+const caseRoot = path.join(__dirname, '..', 'cases', 'bin', 'catberry-l10n');
+const scriptPath = path.join(__dirname, '..', '..', 'bin', 'catberry-l10n.js');
+
+/* eslint max-nested-callbacks: [2, 5]*/
+/* eslint no-sync: 0*/
+
+describe('bin/catberry-l10n', () => {
+	describe('arguments', () => {
+		it('should print usage and exit with 2 without command', () =>
+			run(caseRoot, [])
+				.then(result => {
+					assert.strictEqual(result.code, 2);
+					assert.strictEqual(result.stdout, '');
+					assert.strictEqual(result.stderr.indexOf('Usage: catberry-l10n'), 0);
+				}));
+
+		it('should print usage and exit with 2 for unknown command', () =>
+			run(caseRoot, ['unknown'])
+				.then(result => {
+					assert.strictEqual(result.code, 2);
+					assert.strictEqual(result.stderr.indexOf('Usage: catberry-l10n'), 0);
+				}));
+
+		it('should print usage and exit with 2 if config option has no value', () =>
+			run(caseRoot, ['check', '--config'])
+				.then(result => {
+					assert.strictEqual(result.code, 2);
+					assert.strictEqual(result.stderr.indexOf('Usage: catberry-l10n'), 0);
+				}));
+
+		it('should exit with 2 if there is no config file', () =>
+			run(caseRoot, ['check', '--config', 'missing.json'])
+				.then(result => {
+					assert.strictEqual(result.code, 2);
+					assert.notStrictEqual(result.stderr.indexOf('missing.json'), -1);
+				}));
+
+		it('should print usage and exit with 2 if import has no files', () =>
+			run(caseRoot, ['import-po', '--config', path.join('config', 'environment.json')])
+				.then(result => {
+					assert.strictEqual(result.code, 2);
+					assert.strictEqual(result.stderr.indexOf('Usage: catberry-l10n'), 0);
+				}));
+	});
+
+	describe('check', () => {
+		it('should print problems and exit with 1', () =>
+			run(caseRoot, ['check'])
+				.then(result => {
+					assert.strictEqual(result.code, 1);
+					assert.strictEqual(result.stdout,
+						'Localization key "BUY" is missing in locale "ru", the value of locale "en" is used\n' +
+						'1 localization problems found\n');
+				}));
+
+		it('should exit with 0 if there are no problems', () =>
+			run(caseRoot, ['check', '--config', path.join('config', 'consistent.json')])
+				.then(result => {
+					assert.strictEqual(result.code, 0);
+					assert.strictEqual(result.stdout, 'No localization problems found\n');
+				}));
+	});
+
+	describe('export-po and import-po', () => {
+		it('should export PO files to output directory and import them back', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			const poPath = path.join(root, 'po', 'ru.po');
+
+			return run(root, ['export-po', '--output', 'po'])
+				.then(result => {
+					assert.strictEqual(result.code, 0);
+					assert.deepEqual(fs.readdirSync(path.join(root, 'po')).sort(), ['messages.pot', 'ru.po']);
+					fs.writeFileSync(poPath, fs.readFileSync(poPath, 'utf8')
+						.replace('msgid "Buy"\nmsgstr ""', 'msgid "Buy"\nmsgstr "Купить"'));
+					return run(root, ['import-po', poPath]);
+				})
+				.then(result => {
+					assert.strictEqual(result.code, 0);
+					assert.strictEqual(result.stdout,
+						`Imported 2 translations of locale "ru" from ${poPath}\n`);
+					assert.deepEqual(JSON.parse(fs.readFileSync(path.join(root, 'l10n', 'ru.json'), 'utf8')), {
+						TITLE: 'Магазин',
+						BUY: 'Купить'
+					});
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+	});
+});
+
+/**
+ * Runs the command line script in the directory.
+ * @param {string} cwd Working directory.
+ * @param {Array<string>} args Command line arguments.
+ * @returns {Promise<Object>} Promise for the exit code and output.
+ */
+function run(cwd, args) {
+	return new Promise(fulfill => {
+		childProcess.execFile(process.execPath, [scriptPath].concat(args), {cwd}, (error, stdout, stderr) =>
+			fulfill({
+				code: error ? error.code : 0,
+				stdout,
+				stderr
+			}));
+	});
+}
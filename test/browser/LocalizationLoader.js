@@ -3,8 +3,9 @@
 const assert = require('assert');
 const LocalizationLoader = require('../../browser/LocalizationLoader');
 const ServiceLocator = require('catberry-locator');
+const events = require('events');
 
-/* eslint max-nested-callbacks: [2, 4]*/
+/* eslint max-nested-callbacks: [2, 5]*/
 
 describe('client/LocalizationLoader', () => {
 	describe('#load', () => {
@@ -25,5 +26,421 @@ describe('client/LocalizationLoader', () => {
 				assert.strictEqual(loader.load('ru'), localization, 'Wrong localization');
 			}
         );
+
+		it('should use configured global variable name', () => {
+			const locator = new ServiceLocator();
+			const localization = {
+				TEST_VALUE: 'test'
+			};
+			locator.registerInstance('config', {
+				l10n: {
+					globalName: 'appDictionary'
+				}
+			});
+			locator.registerInstance('window', {
+				localization: {},
+				appDictionary: localization
+			});
+
+			const loader = new LocalizationLoader(locator);
+			assert.strictEqual(loader.load('en'), localization, 'Wrong localization');
+		});
+	});
+
+	describe('#loadLocale', () => {
+		it('should load other locales and use fallbacks until they are loaded', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 200},
+					content: {TITLE: `${url} title`}
+				});
+			});
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale: 'en',
+					fallbacks: {
+						uk: ['ru']
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const loaded = [];
+			eventBus.on('l10nLocaleLoaded', args => loaded.push(args));
+
+			const loader = new LocalizationLoader(locator);
+			const en = loader.load('en');
+			assert.deepEqual(en, {TITLE: 'en title'});
+			assert.strictEqual(loader.load('ru'), en);
+			assert.deepEqual(requests, ['/l10n/ru.json']);
+
+			return loader.loadLocale('ru')
+				.then(ru => {
+					assert.deepEqual(ru, {TITLE: '/l10n/ru.json title'});
+					assert.strictEqual(loader.load('ru'), ru);
+					assert.strictEqual(loader.load('uk'), ru);
+					assert.strictEqual(loader.load('fr'), en);
+					assert.strictEqual(loader.load('en'), en);
+					assert.strictEqual(locator.resolve('window').localization, en);
+					return loader.loadLocale('uk');
+				})
+				.then(uk => {
+					assert.strictEqual(loader.load('uk'), uk);
+					assert.deepEqual(requests, ['/l10n/ru.json', '/l10n/uk.json', '/l10n/fr.json']);
+					assert.deepEqual(loaded.slice(0, 2), [
+						{locale: 'ru'}, {locale: 'uk'}
+					]);
+				});
+		});
+
+		it('should request only locales which have localizations on the server', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 200},
+					content: {TITLE: 'ru title', $pluralization: {locale: 'ru'}}
+				});
+			});
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale: 'en'
+				}
+			});
+			locator.resolve('window').localizationLocales = ['en', 'ru'];
+
+			const loader = new LocalizationLoader(locator);
+			const en = loader.load('en');
+			assert.strictEqual(loader.load('en-us'), en);
+			assert.strictEqual(loader.load('fr'), en);
+			assert.strictEqual(loader.load('ru-ru'), en);
+			assert.strictEqual(loader.load('ru'), en);
+
+			return loader.loadLocale('ru-RU')
+				.then(ru => {
+					assert.strictEqual(loader.load('ru'), ru);
+					assert.strictEqual(loader.load('ru-ru'), ru);
+					assert.strictEqual(loader.load('fr'), en);
+					assert.deepEqual(requests, ['/l10n/ru.json']);
+				});
+		});
+
+		it('should not load again localization the server responded with', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 200},
+					content: {TITLE: 'en title', $pluralization: {locale: 'en'}}
+				});
+			});
+			const eventBus = locator.resolve('eventBus');
+			const loaded = [];
+			eventBus.on('l10nLocaleLoaded', args => loaded.push(args));
+
+			const loader = new LocalizationLoader(locator);
+			const en = loader.load('en');
+
+			return loader.loadLocale('en-us')
+				.then(localization => {
+					assert.strictEqual(localization, en);
+					assert.strictEqual(loader.load('en-us'), en);
+					return loader.loadLocale('en-us');
+				})
+				.then(localization => {
+					assert.strictEqual(localization, en);
+					assert.deepEqual(requests, ['/l10n/en-us.json']);
+					assert.deepEqual(loaded, []);
+				});
+		});
+
+		it('should emit error and request failed locale again only explicitly', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 500},
+					content: ''
+				});
+			});
+			const eventBus = locator.resolve('eventBus');
+			const errors = [];
+			eventBus.on('error', error => errors.push(error));
+
+			const loader = new LocalizationLoader(locator);
+			const en = loader.load('en');
+			assert.strictEqual(loader.load('de'), en);
+
+			return loader.loadLocale('de')
+				.then(() => assert.fail('Error expected'), reason => {
+					assert.strictEqual(reason.message,
+						'Can not load localization of locale "de" (status 500)');
+					assert.strictEqual(loader.load('de'), en);
+					assert.strictEqual(errors.length, 1);
+					assert.strictEqual(errors[0].message, reason.message);
+					assert.deepEqual(requests, ['/l10n/de.json']);
+					return loader.loadLocale('de');
+				})
+				.then(() => assert.fail('Error expected'), () => {
+					assert.deepEqual(requests, ['/l10n/de.json', '/l10n/de.json']);
+				});
+		});
+
+		it('should reject wrong locale name', () => {
+			const loader = new LocalizationLoader(createLocalesLocator());
+			return loader.loadLocale('wrong locale')
+				.then(() => assert.fail('Error expected'), reason => {
+					assert.strictEqual(reason.message,
+						'Wrong locale name wrong locale (BCP 47 language tag expected)');
+				});
+		});
+	});
+
+	describe('hot reload', () => {
+		it('should reload affected localizations announced by the server', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 200},
+					content: {TITLE: `new ${url} title`}
+				});
+			});
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale: 'en',
+					hotReload: true
+				}
+			});
+			const sources = [];
+			const window = locator.resolve('window');
+			window.EventSource = function(url) {
+				this.url = url;
+				this.listeners = {};
+				this.addEventListener = (name, listener) => {
+					this.listeners[name] = listener;
+				};
+				sources.push(this);
+			};
+			const eventBus = locator.resolve('eventBus');
+			const announce = (locales, count) => new Promise(fulfill => {
+				const reloaded = [];
+				const handler = args => {
+					reloaded.push(args.locale);
+					if (reloaded.length === count) {
+						eventBus.removeListener('l10nReloaded', handler);
+						fulfill(reloaded.sort());
+					}
+				};
+				eventBus.on('l10nReloaded', handler);
+				sources[0].listeners.l10nUpdate({data: JSON.stringify({locales})});
+			});
+
+			const loader = new LocalizationLoader(locator);
+			assert.strictEqual(sources.length, 1);
+			assert.strictEqual(sources[0].url, '/l10n/events');
+
+			return Promise.all([
+				loader.loadLocale('ru'),
+				loader.loadLocale('de')
+			])
+				.then(() => {
+					requests.length = 0;
+					return announce(['ru'], 1);
+				})
+				.then(reloaded => {
+					assert.deepEqual(reloaded, ['ru']);
+					assert.deepEqual(requests, ['/l10n/ru.json']);
+					assert.deepEqual(loader.load('ru'), {TITLE: 'new /l10n/ru.json title'});
+					assert.deepEqual(loader.load('en'), {TITLE: 'en title'});
+
+					requests.length = 0;
+					return announce(['en'], 3);
+				})
+				.then(reloaded => {
+					assert.deepEqual(reloaded, ['de', 'en', 'ru']);
+					assert.deepEqual(requests.sort(), ['/l10n/de.json', '/l10n/en.json', '/l10n/ru.json']);
+					assert.deepEqual(loader.load('en'), {TITLE: 'new /l10n/en.json title'});
+					assert.strictEqual(window.localization, loader.load('en'));
+				});
+		});
+
+		it('should emit error for malformed events of the server', () => {
+			const requests = [];
+			const locator = createLocalesLocator(url => {
+				requests.push(url);
+				return Promise.resolve({status: {code: 200}, content: {}});
+			});
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale: 'en',
+					hotReload: true
+				}
+			});
+			const listeners = {};
+			locator.resolve('window').EventSource = function() {
+				this.addEventListener = (name, listener) => {
+					listeners[name] = listener;
+				};
+			};
+			const errors = [];
+			locator.resolve('eventBus').on('error', error => errors.push(error));
+
+			const loader = new LocalizationLoader(locator);
+			assert.doesNotThrow(() => {
+				listeners.l10nUpdate({data: '{"locales": ["ru"'});
+				listeners.l10nUpdate({data: '{}'});
+			});
+			assert.strictEqual(errors.length, 1);
+			assert.strictEqual(errors[0] instanceof SyntaxError, true);
+			assert.deepEqual(requests, []);
+			assert.deepEqual(loader.load('en'), {TITLE: 'en title'});
+		});
+	});
+
+	describe('#loadComponent', () => {
+		it('should load component chunk once and merge it into localization',
+			() => {
+				const requests = [];
+				const locator = createChunksLocator(url => {
+					requests.push(url);
+					return Promise.resolve({
+						status: {code: 200},
+						content: '{"cart": {"title": "en cart title"}}'
+					});
+				});
+				const eventBus = locator.resolve('eventBus');
+				const loaded = [];
+				eventBus.on('l10nChunkLoaded', args => loaded.push(args));
+
+				const loader = new LocalizationLoader(locator);
+				const localization = loader.load('en', 'cart');
+				assert.deepEqual(localization, {TITLE: 'en title'});
+				assert.strictEqual(loader.load('en', 'unknown'), localization);
+
+				return loader.loadComponent('cart')
+					.then(result => {
+						assert.strictEqual(result, localization);
+						assert.deepEqual(localization, {
+							TITLE: 'en title',
+							cart: {
+								title: 'en cart title'
+							}
+						});
+						assert.deepEqual(requests, ['/l10n/en/cart.json']);
+						assert.deepEqual(loaded, [{locale: 'en', component: 'cart'}]);
+					});
+			});
+
+		it('should emit error and allow retry if chunk was not loaded',
+			() => {
+				let requests = 0;
+				const locator = createChunksLocator(() => {
+					requests++;
+					return Promise.resolve({
+						status: {code: 500},
+						content: ''
+					});
+				});
+				const eventBus = locator.resolve('eventBus');
+				const errors = [];
+				eventBus.on('error', error => errors.push(error));
+
+				const loader = new LocalizationLoader(locator);
+				return loader.loadComponent('cart')
+					.then(() => loader.loadComponent('cart'))
+					.then(() => {
+						assert.strictEqual(requests, 2);
+						assert.strictEqual(errors.length, 2);
+						assert.strictEqual(
+							errors[0].message,
+							'Can not load localization chunk of component "cart" (status 500)'
+						);
+					});
+			});
+	});
+
+	describe('#changeLocale', () => {
+		it('should replace localization and emit event', () => {
+			const requests = [];
+			const locator = createChunksLocator(url => {
+				requests.push(url);
+				return Promise.resolve({
+					status: {code: 200},
+					content: {TITLE: 'ru title', cart: {title: 'ru cart title'}}
+				});
+			});
+			const window = locator.resolve('window');
+			const eventBus = locator.resolve('eventBus');
+			const changes = [];
+			eventBus.on('l10nChanged', args => changes.push(args));
+
+			const loader = new LocalizationLoader(locator);
+			return loader.changeLocale('ru')
+				.then(localization => {
+					const expected = {TITLE: 'ru title', cart: {title: 'ru cart title'}};
+					assert.deepEqual(localization, expected);
+					assert.strictEqual(loader.load('ru', 'cart'), localization);
+					assert.strictEqual(window.localization, localization);
+					assert.deepEqual(requests, ['/l10n/ru.json']);
+					assert.deepEqual(changes, [{locale: 'ru'}]);
+				});
+		});
+
+		it('should reject if localization was not loaded', () => {
+			const locator = createChunksLocator(() => Promise.resolve({
+				status: {code: 404},
+				content: ''
+			}));
+			const loader = new LocalizationLoader(locator);
+			const localization = loader.load('en');
+
+			return loader.changeLocale('ru')
+				.then(() => assert.fail('Error expected'), reason => {
+					assert.strictEqual(reason.message,
+						'Can not load localization of locale "ru" (status 404)');
+					assert.strictEqual(loader.load('ru'), localization);
+				});
+		});
 	});
 });
+
+/**
+ * Creates locator with localization of the known locale in window.
+ * @param {Function?} get Function that handles HTTP GET requests.
+ * @returns {ServiceLocator} Service locator.
+ */
+function createLocalesLocator(get) {
+	const locator = new ServiceLocator();
+	locator.registerInstance('window', {
+		localization: {
+			TITLE: 'en title'
+		},
+		localizationLocale: 'en'
+	});
+	locator.registerInstance('eventBus', new events.EventEmitter());
+	locator.registerInstance('uhr', {get});
+	return locator;
+}
+
+/**
+ * Creates locator with localization chunks in window.
+ * @param {Function} get Function that handles HTTP GET requests.
+ * @returns {ServiceLocator} Service locator.
+ */
+function createChunksLocator(get) {
+	const locator = new ServiceLocator();
+	locator.registerInstance('window', {
+		localization: {
+			TITLE: 'en title'
+		},
+		localizationChunks: {
+			locale: 'en',
+			components: ['cart']
+		}
+	});
+	locator.registerInstance('eventBus', new events.EventEmitter());
+	locator.registerInstance('uhr', {get});
+	return locator;
+}
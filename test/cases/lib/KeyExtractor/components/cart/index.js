@@ -0,0 +1,29 @@
+'use strict';
+
+class Cart {
+
+	/**
+	 * Creates new instance of the cart component.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		this._l10n = locator.resolve('localizationProvider');
+	}
+
+	/**
+	 * Gets data for the template.
+	 * @returns {Object} Data for the template.
+	 */
+	render() {
+		const count = 5;
+		return {
+			title: this._l10n.get(this.$context, 'TITLE'),
+			items: this._l10n.pluralize(this.$context, 'cart.ITEMS', count),
+			price: this._l10n.format(this.$context, 'cart.PRICE', {count}),
+			welcome: this._l10n.select(this.$context, 'cart.WELCOME', 'female'),
+			dynamic: this._l10n.get(this.$context, `cart.${count}`)
+		};
+	}
+}
+
+module.exports = Cart;
@@ -0,0 +1,26 @@
+'use strict';
+
+class Header {
+
+	/**
+	 * Creates new instance of the header component.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		this._l10n = locator.resolve('localizationProvider');
+	}
+
+	/**
+	 * Gets data for the template.
+	 * @returns {Object} Data for the template.
+	 */
+	render() {
+		return {
+			title: this._l10n.get(this.$context, 'cart.HINT'),
+			subtitle: this._l10n.get(this.$context, 'header.SUBTITLE'),
+			greeting: this._l10n.select(this.$context, 'header.GREETING', 'male')
+		};
+	}
+}
+
+module.exports = Header;
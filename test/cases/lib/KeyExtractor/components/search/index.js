@@ -0,0 +1,35 @@
+'use strict';
+
+const _ = require('lodash');
+
+class Search {
+
+	/**
+	 * Creates new instance of the search component.
+	 * @param {ServiceLocator} locator Locator to resolve dependencies.
+	 */
+	constructor(locator) {
+		this._locator = locator;
+		this._l10n = locator.resolve('localizationProvider');
+		this._filters = new Map();
+	}
+
+	/**
+	 * Gets data for the template.
+	 * @returns {Object} Data for the template.
+	 */
+	render() {
+		const query = {text: {value: ''}};
+		const locale = this._l10n.getCurrentLocale(this.$context);
+		return {
+			value: _.get(query, 'text.value'),
+			filter: this._filters.get(query, 'search.FILTER'),
+			title: this._l10n.get(this._l10n.getCurrentLocale(this.$context), 'search.TITLE'),
+			results: this._locator.resolve('localizationProvider')
+				.pluralize(locale, 'search.RESULTS', 0),
+			hint: this._l10n.get(this.$context, 'TITLE')
+		};
+	}
+}
+
+module.exports = Search;
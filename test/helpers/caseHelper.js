@@ -0,0 +1,85 @@
+'use strict';
+
+const events = require('events');
+const fs = require('fs');
+const path = require('path');
+const ServiceLocator = require('catberry-locator');
+const LocalizationLoader = require('../../lib/LocalizationLoader');
+
+/* eslint no-sync: 0*/
+
+const caseHelper = {
+
+	/**
+	 * Creates locator with the event bus and the component finder.
+	 * @param {Object?} components Components the finder finds by names.
+	 * @returns {ServiceLocator} Service locator.
+	 */
+	createServiceLocator(components) {
+		const locator = new ServiceLocator();
+		locator.registerInstance('eventBus', new events.EventEmitter());
+		const componentFinder = new events.EventEmitter();
+		componentFinder.find = () => Promise.resolve(components || {});
+		locator.registerInstance('componentFinder', componentFinder);
+		return locator;
+	},
+
+	/**
+	 * Creates locator with the localization loader and components
+	 * of the case directory.
+	 * @param {string} root Case directory.
+	 * @param {Object} l10n Localization config.
+	 * @param {Array<string>?} components Names of components in the
+	 * "components" directory of the case ("cart" by default).
+	 * @returns {ServiceLocator} Service locator.
+	 */
+	createLocator(root, l10n, components) {
+		const found = {};
+		(components || ['cart']).forEach(name => {
+			found[name] = {
+				path: path.join(root, 'components', name, 'cat-component.json')
+			};
+		});
+		const locator = caseHelper.createServiceLocator(found);
+		locator.registerInstance('config', {l10n});
+		locator.register('localizationLoader', LocalizationLoader, true);
+		return locator;
+	},
+
+	/**
+	 * Copies the directory with all files and nested directories.
+	 * @param {string} from Source directory.
+	 * @param {string} to Destination directory.
+	 */
+	copyDirectory(from, to) {
+		if (!fs.existsSync(to)) {
+			fs.mkdirSync(to);
+		}
+		fs.readdirSync(from).forEach(name => {
+			const source = path.join(from, name);
+			if (fs.statSync(source).isDirectory()) {
+				caseHelper.copyDirectory(source, path.join(to, name));
+			} else {
+				fs.writeFileSync(path.join(to, name), fs.readFileSync(source));
+			}
+		});
+	},
+
+	/**
+	 * Removes the directory with all files and nested directories.
+	 * @param {string} directory Directory to remove.
+	 */
+	removeDirectory(directory) {
+		fs.readdirSync(directory).forEach(name => {
+			const fullPath = path.join(directory, name);
+			if (fs.statSync(fullPath).isDirectory()) {
+				caseHelper.removeDirectory(fullPath);
+			} else {
+				fs.unlinkSync(fullPath);
+			}
+		});
+		fs.rmdirSync(directory);
+	}
+};
+
+module.exports = caseHelper;
@@ -0,0 +1,211 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const JSON5 = require('json5');
+const GettextConverter = require('../../lib/GettextConverter');
+const caseHelper = require('../helpers/caseHelper');
+
+const caseRoot = path.join(__dirname, '..', 'cases', 'lib', 'GettextConverter');
+
+/* eslint max-nested-callbacks: [2, 5]*/
+/* eslint no-sync: 0*/
+
+describe('lib/GettextConverter', () => {
+	describe('#exportCatalogs', () => {
+		it('should export template and catalogs of locales', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new GettextConverter(locator);
+			const file = name => path.relative(process.cwd(), path.join(caseRoot, name));
+			const cartFile = file(path.join('components', 'cart', 'l10n', 'en.json'));
+
+			return converter.exportCatalogs()
+				.then(result => {
+					assert.deepEqual(result.skipped, ['VISITS']);
+					assert.strictEqual(result.template, [
+						'msgid ""',
+						'msgstr ""',
+						'"Content-Type: text/plain; charset=UTF-8\\n"',
+						'"Content-Transfer-Encoding: 8bit\\n"',
+						'"Language: \\n"',
+						'"Plural-Forms: nplurals=INTEGER; plural=EXPRESSION;\\n"',
+						'',
+						`#: ${cartFile}`,
+						'msgctxt "EMPTY"',
+						'msgid ""',
+						'"Cart is \\"empty\\"\\n"',
+						'"Add some items"',
+						'msgstr ""',
+						'',
+						`#: ${file('en.json')}`,
+						'msgctxt "ITEMS"',
+						'msgid "{count} item"',
+						'msgid_plural "{count} items"',
+						'msgstr[0] ""',
+						'msgstr[1] ""',
+						'',
+						`#: ${file('en.json')}`,
+						'msgctxt "TITLE"',
+						'msgid "Shop"',
+						'msgstr ""',
+						''
+					].join('\n'));
+
+					assert.deepEqual(Object.keys(result.catalogs), ['ru']);
+					const catalog = result.catalogs.ru;
+					assert.notStrictEqual(catalog.indexOf(
+						'"Plural-Forms: nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"'
+					), -1);
+					assert.notStrictEqual(catalog.indexOf([
+						'msgctxt "ITEMS"',
+						'msgid "{count} item"',
+						'msgid_plural "{count} items"',
+						'msgstr[0] "{count} товар"',
+						'msgstr[1] "{count} товара"',
+						'msgstr[2] ""'
+					].join('\n')), -1);
+					assert.notStrictEqual(catalog.indexOf('msgid "Shop"\nmsgstr "Магазин"'), -1);
+				});
+		});
+	});
+
+	describe('#importCatalog', () => {
+		it('should import translations to files keys come from', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root,
+				componentNamespaces: true
+			});
+			const converter = new GettextConverter(locator);
+			const readJSON = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+			const content = [
+				'msgid ""',
+				'msgstr "Language: ru\\n"',
+				'',
+				'msgctxt "cart.EMPTY"',
+				'msgid "Cart is empty"',
+				'msgstr "Корзина пуста"',
+				'',
+				'msgctxt "ITEMS"',
+				'msgid "{count} item"',
+				'msgid_plural "{count} items"',
+				'msgstr[0] "{count} товар"',
+				'msgstr[1] "{count} товара"',
+				'msgstr[2] "{count} товаров"',
+				'',
+				'#, fuzzy',
+				'msgctxt "TITLE"',
+				'msgid "Shop"',
+				'msgstr "Лавка"',
+				'',
+				'msgctxt "UNKNOWN"',
+				'msgid "Unknown"',
+				'msgstr "Неизвестно"'
+			].join('\n');
+
+			return converter.importCatalog(content)
+				.then(result => {
+					assert.strictEqual(result.locale, 'ru');
+					assert.deepEqual(result.skipped, ['UNKNOWN']);
+					assert.deepEqual(result.imported.map(entry => entry.key), ['cart.EMPTY', 'ITEMS']);
+					assert.deepEqual(readJSON('components/cart/l10n/ru.json'), {
+						EMPTY: 'Корзина пуста'
+					});
+					assert.deepEqual(readJSON('ru.json'), {
+						TITLE: 'Магазин',
+						ITEMS: ['{count} товар', '{count} товара', '{count} товаров']
+					});
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should keep formats of YAML and JSON5 files', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(path.join(caseRoot, 'formats'), root);
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root
+			});
+			const converter = new GettextConverter(locator);
+			const content = [
+				'msgctxt "TITLE"',
+				'msgid "Shop"',
+				'msgstr "Лавка"',
+				'',
+				'msgctxt "CHECKOUT"',
+				'msgid "Checkout"',
+				'msgstr "Оформить заказ"'
+			].join('\n');
+
+			return converter.importCatalog(content, {locale: 'ru'})
+				.then(result => {
+					const file = path.relative(process.cwd(), path.join(root, 'ru.json5'));
+					assert.deepEqual(result.imported, [
+						{key: 'TITLE', file},
+						{key: 'CHECKOUT', file}
+					]);
+					assert.deepEqual(JSON5.parse(fs.readFileSync(path.join(root, 'ru.json5'), 'utf8')), {
+						TITLE: 'Лавка',
+						CHECKOUT: 'Оформить заказ'
+					});
+					assert.deepEqual(fs.readdirSync(root).sort(), ['en.yml', 'ru.json5']);
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should create locale files in the format of default locale files', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(path.join(caseRoot, 'formats'), root);
+			fs.unlinkSync(path.join(root, 'ru.json5'));
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root
+			});
+			const converter = new GettextConverter(locator);
+			const content = [
+				'msgctxt "TITLE"',
+				'msgid "Shop"',
+				'msgstr "Лавка"'
+			].join('\n');
+
+			return converter.importCatalog(content, {locale: 'ru'})
+				.then(() => {
+					assert.deepEqual(yaml.safeLoad(fs.readFileSync(path.join(root, 'ru.yml'), 'utf8')), {
+						TITLE: 'Лавка'
+					});
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should reject for wrong locale', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new GettextConverter(locator);
+
+			return converter.importCatalog('msgid ""\nmsgstr ""', {locale: 'messages_'})
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message,
+						'Wrong locale name messages_ (BCP 47 language tag expected)');
+				});
+		});
+	});
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const IntlFormatter = require('../../lib/IntlFormatter');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/IntlFormatter', () => {
+	describe('#getStyle', () => {
+		it('should get built-in styles by types', () => {
+			const formatter = new IntlFormatter();
+			assert.deepEqual(formatter.getStyle('number', 'percent'), {style: 'percent'});
+			assert.strictEqual(formatter.getStyle('number', 'short'), undefined);
+			assert.strictEqual(formatter.getStyle('date', 'toString'), undefined);
+			assert.strictEqual(formatter.getStyle('currency', 'short'), undefined);
+		});
+	});
+
+	describe('#formatNumber', () => {
+		it('should format number using the first supported locale', () => {
+			const formatter = new IntlFormatter();
+			// Node.js with small ICU has only English data
+			assert.strictEqual(formatter.formatNumber(['de', 'en'], '1234.5'),
+				new Intl.NumberFormat(['de', 'en']).format(1234.5));
+			assert.strictEqual(formatter.formatNumber(['en'], 0.5, {style: 'percent'}), '50%');
+		});
+	});
+
+	describe('#formatDate', () => {
+		it('should format dates, timestamps and date strings', () => {
+			const formatter = new IntlFormatter();
+			const options = {timeZone: 'UTC'};
+			const date = new Date(Date.UTC(2020, 2, 8));
+			assert.strictEqual(formatter.formatDate(['en'], date, options), '3/8/2020');
+			assert.strictEqual(formatter.formatDate(['en'], date.getTime(), options), '3/8/2020');
+			assert.strictEqual(formatter.formatDate(['en'], '2020-03-08T00:00:00Z', options), '3/8/2020');
+		});
+
+		it('should throw error for invalid date', () => {
+			const formatter = new IntlFormatter();
+			assert.throws(() => formatter.formatDate(['en'], 'not a date'), RangeError);
+		});
+	});
+
+	describe('#formatRelativeTime', () => {
+		const itRelativeTime = typeof (Intl.RelativeTimeFormat) === 'function' ? it : it.skip;
+
+		itRelativeTime('should format relative time', () => {
+			const formatter = new IntlFormatter();
+			assert.strictEqual(formatter.formatRelativeTime(['en'], -2, 'day'), '2 days ago');
+			assert.strictEqual(formatter.formatRelativeTime(['en'], 1, 'day', {numeric: 'auto'}), 'tomorrow');
+		});
+
+		it('should format English relative time without Intl.RelativeTimeFormat', () => {
+			const RelativeTimeFormat = Intl.RelativeTimeFormat;
+			delete Intl.RelativeTimeFormat;
+			try {
+				const formatter = new IntlFormatter();
+				assert.strictEqual(formatter.formatRelativeTime(['en'], -2, 'day'), '2 days ago');
+				assert.strictEqual(formatter.formatRelativeTime(['en'], '1', 'hours', {numeric: 'auto'}),
+					'in 1 hour');
+				assert.strictEqual(formatter.formatRelativeTime(['en'], 1500, 'year'), 'in 1,500 years');
+				assert.throws(() => formatter.formatRelativeTime(['en'], 1, 'decade'), RangeError);
+			} finally {
+				if (RelativeTimeFormat) {
+					Intl.RelativeTimeFormat = RelativeTimeFormat;
+				}
+			}
+		});
+	});
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const KeyExtractor = require('../../lib/KeyExtractor');
+const caseHelper = require('../helpers/caseHelper');
+
+const caseRoot = path.join(__dirname, '..', 'cases', 'lib', 'KeyExtractor');
+const extractPatterns = ['\\{\\{l10n\\s+"([^"]+)"'];
+const components = ['cart', 'header'];
+
+/* eslint max-nested-callbacks: [2, 5]*/
+/* eslint no-sync: 0*/
+
+describe('lib/KeyExtractor', () => {
+	describe('#extract', () => {
+		it('should find new and not used keys of components', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot,
+				extractPatterns
+			}, components);
+			const extractor = new KeyExtractor(locator);
+			const componentsRoot = path.join(caseRoot, 'components');
+
+			return extractor.extract({dryRun: true})
+				.then(result => {
+					assert.deepEqual(result.added, [
+						{
+							component: 'cart',
+							key: 'cart.ITEMS',
+							plural: true,
+							select: false,
+							file: path.join(componentsRoot, 'cart', 'l10n', 'en.json')
+						},
+						{
+							component: 'cart',
+							key: 'cart.HINT',
+							plural: false,
+							select: false,
+							file: path.join(componentsRoot, 'cart', 'l10n', 'en.json')
+						},
+						{
+							component: 'header',
+							key: 'header.SUBTITLE',
+							plural: false,
+							select: false,
+							file: path.join(componentsRoot, 'header', 'l10n', 'en.json')
+						},
+						{
+							component: 'header',
+							key: 'header.GREETING',
+							plural: false,
+							select: true,
+							file: path.join(componentsRoot, 'header', 'l10n', 'en.json')
+						}
+					]);
+					assert.deepEqual(result.unused, [
+						{
+							key: 'OLD',
+							files: [path.relative(process.cwd(), path.join(caseRoot, 'en.json'))]
+						}
+					]);
+				});
+		});
+
+		it('should use component namespaces', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot,
+				componentNamespaces: true
+			}, components);
+			const extractor = new KeyExtractor(locator);
+
+			return extractor.extract({dryRun: true})
+				.then(result => {
+					assert.deepEqual(result.added.map(entry => `${entry.component}:${entry.key}`), [
+						'cart:cart.ITEMS',
+						'header:cart.HINT',
+						'header:header.SUBTITLE',
+						'header:header.GREETING'
+					]);
+					assert.deepEqual(result.unused.map(entry => entry.key), ['OLD']);
+				});
+		});
+
+		it('should find only calls of localization provider', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			}, ['search']);
+			const extractor = new KeyExtractor(locator);
+
+			return extractor.extract({dryRun: true})
+				.then(result => {
+					assert.deepEqual(result.added.map(entry => `${entry.key}:${entry.plural}`), [
+						'search.TITLE:false',
+						'search.RESULTS:true'
+					]);
+					assert.deepEqual(result.unused.map(entry => entry.key), ['OLD']);
+				});
+		});
+
+		it('should find calls of configured receivers', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot,
+				extractReceivers: ['_filters']
+			}, ['search']);
+			const extractor = new KeyExtractor(locator);
+
+			return extractor.extract({dryRun: true})
+				.then(result => {
+					assert.deepEqual(result.added.map(entry => entry.key), [
+						'search.FILTER',
+						'search.RESULTS'
+					]);
+				});
+		});
+
+		it('should throw error for wrong receiver', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				extractReceivers: ['this._l10n']
+			});
+
+			assert.throws(() => new KeyExtractor(locator),
+				/^Error: Wrong extract receiver this\._l10n \(JavaScript identifier expected\)$/);
+		});
+
+		it('should add new keys to default locale files', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'ru',
+				path: root,
+				extractPatterns
+			}, components);
+			const extractor = new KeyExtractor(locator);
+			const readJSON = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+			return extractor.extract()
+				.then(() => {
+					assert.deepEqual(readJSON('components/cart/l10n/ru.json'), {
+						TITLE: '',
+						cart: {
+							ITEMS: ['', '', ''],
+							PRICE: '',
+							WELCOME: {other: ''},
+							HINT: ''
+						}
+					});
+					assert.deepEqual(readJSON('components/cart/l10n/en.json'), {
+						cart: {
+							PRICE: '{count} items',
+							WELCOME: {
+								female: 'Welcome back, dear',
+								other: 'Welcome back'
+							}
+						}
+					});
+					assert.deepEqual(readJSON('components/header/l10n/ru.json'), {
+						header: {
+							SUBTITLE: '',
+							GREETING: {other: ''}
+						}
+					});
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should add new keys to existing files of other formats', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			const cartDirectory = path.join(root, 'components', 'cart', 'l10n');
+			fs.unlinkSync(path.join(cartDirectory, 'en.json'));
+			fs.writeFileSync(path.join(cartDirectory, 'en.yml'), 'cart:\n  PRICE: "{count} items"\n');
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root
+			}, components);
+			const extractor = new KeyExtractor(locator);
+
+			return extractor.extract()
+				.then(result => {
+					const cartFiles = result.added
+						.filter(entry => entry.component === 'cart')
+						.map(entry => entry.file);
+					assert.deepEqual(cartFiles, [
+						path.join(cartDirectory, 'en.yml'),
+						path.join(cartDirectory, 'en.yml')
+					]);
+					assert.deepEqual(fs.readdirSync(cartDirectory), ['en.yml']);
+					assert.deepEqual(yaml.safeLoad(fs.readFileSync(path.join(cartDirectory, 'en.yml'), 'utf8')), {
+						cart: {
+							PRICE: '{count} items',
+							ITEMS: ['', ''],
+							WELCOME: {other: ''}
+						}
+					});
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+	});
+});
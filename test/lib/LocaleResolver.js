@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const LocaleResolver = require('../../lib/LocaleResolver');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/LocaleResolver', () => {
+	describe('#constructor', () => {
+		it('should throw error for unknown resolver', () => {
+			assert.throws(() => new LocaleResolver({resolvers: ['wrong']}),
+				/Unknown locale resolver "wrong"/);
+		});
+
+		it('should throw error if supported locales are required', () => {
+			assert.throws(() => new LocaleResolver({resolvers: ['path']}),
+				/"l10n.locales" config is required for "path" locale resolver/);
+			assert.throws(() => new LocaleResolver({resolvers: ['subdomain']}),
+				/"l10n.locales" config is required/);
+		});
+
+		it('should throw error for wrong supported locale', () => {
+			assert.throws(() => new LocaleResolver({locales: ['en', 'wrong']}),
+				/Wrong locale name wrong/);
+		});
+	});
+
+	describe('#resolve', () => {
+		it('should resolve locale from cookie and header by default', () => {
+			const resolver = new LocaleResolver({});
+			assert.deepEqual(
+				resolver.resolve({cookie: 'en_US', browserLocale: 'ru'}),
+				{locale: 'en-us', resolver: 'cookie'}
+			);
+			assert.deepEqual(
+				resolver.resolve({cookie: 'wrong', browserLocale: 'ru'}),
+				{locale: 'ru', resolver: 'header'}
+			);
+			assert.deepEqual(
+				resolver.resolve({path: '/de/about', query: {lang: 'fr'}}),
+				null
+			);
+		});
+
+		it('should resolve locale using resolvers in configured order', () => {
+			const resolver = new LocaleResolver({
+				locales: ['en', 'de', 'pt-BR'],
+				resolvers: ['path', 'subdomain', 'query', 'cookie']
+			});
+
+			assert.deepEqual(
+				resolver.resolve({path: '/pt-br/about', host: 'de.example.com'}),
+				{locale: 'pt-br', resolver: 'path'}
+			);
+			assert.deepEqual(
+				resolver.resolve({path: '/faq/about', host: 'de.example.com:3000'}),
+				{locale: 'de', resolver: 'subdomain'}
+			);
+			assert.deepEqual(
+				resolver.resolve({path: '/', host: 'www.example.com', query: {lang: ['fr', 'en']}}),
+				{locale: 'fr', resolver: 'query'}
+			);
+			assert.deepEqual(
+				resolver.resolve({path: '/', host: 'example.com', cookie: 'ru'}),
+				{locale: 'ru', resolver: 'cookie'}
+			);
+		});
+
+		it('should resolve locale using custom functions and query parameter name', () => {
+			const sources = [];
+			const resolver = new LocaleResolver({
+				queryParameter: 'locale',
+				resolvers: [
+					source => {
+						sources.push(source);
+						return source.path === '/special' ? 'es' : null;
+					},
+					'query'
+				]
+			});
+
+			assert.deepEqual(resolver.resolve({path: '/special'}),
+				{locale: 'es', resolver: 'custom'});
+			assert.deepEqual(resolver.resolve({path: '/', query: {locale: 'it', lang: 'fr'}}),
+				{locale: 'it', resolver: 'query'});
+			assert.strictEqual(sources.length, 2);
+		});
+	});
+
+	describe('#removePathPrefix', () => {
+		it('should remove only supported locale prefix', () => {
+			const resolver = new LocaleResolver({locales: ['de']});
+			assert.strictEqual(resolver.removePathPrefix('/de/about?a=1'), '/about?a=1');
+			assert.strictEqual(resolver.removePathPrefix('/DE'), '/');
+			assert.strictEqual(resolver.removePathPrefix('/de?a=1'), '/?a=1');
+			assert.strictEqual(resolver.removePathPrefix('/dev/about'), '/dev/about');
+			assert.strictEqual(resolver.removePathPrefix('/fr/about'), '/fr/about');
+		});
+	});
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const LocalizationChecker = require('../../lib/LocalizationChecker');
+const caseHelper = require('../helpers/caseHelper');
+
+const caseRoot = path.join(__dirname, '..', 'cases', 'lib', 'LocalizationChecker');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/LocalizationChecker', () => {
+	describe('#constructor', () => {
+		it('should throw error for wrong default locale', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'wrong'
+			});
+			assert.throws(() => new LocalizationChecker(locator),
+				/Wrong locale name wrong/);
+		});
+	});
+
+	describe('#check', () => {
+		it('should report all problems of localization files', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const checker = new LocalizationChecker(locator);
+			const file = name => path.relative(process.cwd(), path.join(caseRoot, name));
+			const cartFile = path.relative(process.cwd(),
+				path.join(caseRoot, 'components', 'cart', 'l10n', 'en.json'));
+
+			return checker.check()
+				.then(problems => {
+					assert.deepEqual(problems.map(problem => problem.type), [
+						'wrongFilename',
+						'duplicateKey',
+						'missingKey',
+						'missingKey',
+						'extraKey',
+						'pluralForms',
+						'missingKey'
+					]);
+					assert.deepEqual(problems[0].files, [file('wrong-locale.json')]);
+					assert.deepEqual(problems[1], {
+						type: 'duplicateKey',
+						locale: 'en',
+						key: 'TITLE',
+						files: [file('en.json'), cartFile],
+						message: `Localization key "TITLE" is defined in several files of locale "en": ${file('en.json')}, ${cartFile}`
+					});
+					// the locale chain includes the default locale
+					assert.deepEqual(problems.slice(2, 4).map(problem => problem.message), [
+						'Localization key "ITEMS" is missing in locale "en-us", the value of locale "en" is used',
+						'Localization key "cart.empty" is missing in locale "en-us", the value of locale "en" is used'
+					]);
+					assert.strictEqual(problems[4].message,
+						'Localization key "EXTRA" of locale "ru" is absent in default locale "en"');
+					assert.strictEqual(problems[5].message,
+						'Localization key "ITEMS" has 2 plural forms in locale "ru" but 3 expected');
+					assert.deepEqual(problems[6], {
+						type: 'missingKey',
+						locale: 'ru',
+						key: 'cart.empty',
+						fallback: 'en',
+						files: [file('en.json')],
+						message: 'Localization key "cart.empty" is missing in locale "ru", the value of locale "en" is used'
+					});
+				});
+		});
+
+		it('should use fallbacks and component namespaces', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'ru',
+				path: caseRoot,
+				componentNamespaces: true,
+				fallbacks: {
+					'en-us': 'en'
+				}
+			});
+			const checker = new LocalizationChecker(locator);
+
+			return checker.check()
+				.then(problems => {
+					assert.deepEqual(problems.map(problem => problem.message), [
+						`Wrong localization filename "${path.relative(process.cwd(),
+							path.join(caseRoot, 'wrong-locale.json'))}" (BCP 47 language tag expected)`,
+						'Localization key "cart.TITLE" of locale "en" is absent in default locale "ru"',
+						'Localization key "cart.empty" of locale "en" is absent in default locale "ru"',
+						'Localization key "EXTRA" is missing in locale "en", the value of locale "ru" is used',
+						'Localization key "EXTRA" is missing in locale "en-us", the value of locale "ru" is used',
+						'Localization key "ITEMS" is missing in locale "en-us", the value of locale "en" is used',
+						'Localization key "ITEMS" has 2 plural forms in locale "ru" but 3 expected'
+					]);
+				});
+		});
+	});
+});
@@ -3,9 +3,12 @@
 const assert = require('assert');
 const events = require('events');
 const http = require('http');
+const zlib = require('zlib');
+const os = require('os');
 const path = require('path');
 const LocalizationLoader = require('../../lib/LocalizationLoader');
-const ServiceLocator = require('catberry-locator');
+const HttpSource = require('../../lib/sources/HttpSource');
+const caseHelper = require('../helpers/caseHelper');
 
 const caseRoot = path.join(
 	__dirname, '..', 'cases', 'lib', 'server', 'LocalizationLoader'
@@ -49,16 +52,20 @@ const localizations = {
 };
 const defaultLocalization = localizations[defaultLocale];
 
-localizations['en-us'].$pluralization = localizations.en.$pluralization = {
-	rule: '(n != 1)',
-	defaultRule: '(n%10==1 && n%100!=11 ? 0 : ' +
-	'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
-	fromDefaultLocale: {}
-};
+['en', 'en-us'].forEach(locale => {
+	localizations[locale].$pluralization = {
+		rule: '(n != 1)',
+		locale,
+		defaultRule: '(n%10==1 && n%100!=11 ? 0 : ' +
+		'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+		fromDefaultLocale: {THIRD_VALUE: true}
+	};
+});
 
 localizations.ru.$pluralization = {
 	rule: '(n%10==1 && n%100!=11 ? 0 : ' +
-	'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)'
+	'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+	locale: 'ru'
 };
 
 /* eslint max-nested-callbacks: [2, 7]*/
@@ -68,7 +75,7 @@ describe('server/LocalizationLoader', () => {
 		it('should throw exception when default locale is not specified',
 			() => {
 				assert.throws(() => {
-					const locator = createLocator();
+					const locator = caseHelper.createServiceLocator();
 					const localizationLoader = new LocalizationLoader(locator);
 				}, 'Error expected');
 			});
@@ -81,7 +88,7 @@ describe('server/LocalizationLoader', () => {
 							defaultLocale: 'china'
 						}
 					};
-					const locator = createLocator();
+					const locator = caseHelper.createServiceLocator();
 					locator.registerInstance('config', config);
 					const localizationLoader = new LocalizationLoader(locator);
 				}, 'Error expected');
@@ -89,7 +96,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should throw exception when default localization can not be loaded',
 			done => {
-				const locator = createLocator(components);
+				const locator = caseHelper.createServiceLocator(components);
 				const eventBus = locator.resolve('eventBus');
 				const config = {
 					l10n: {
@@ -114,7 +121,7 @@ describe('server/LocalizationLoader', () => {
 		it('should not throw exception when default locale is specified',
 			() => {
 				assert.doesNotThrow(() => {
-					const locator = createLocator();
+					const locator = caseHelper.createServiceLocator();
 					locator.registerInstance('config', defaultConfig);
 					const localizationLoader = new LocalizationLoader(locator);
 				});
@@ -123,7 +130,7 @@ describe('server/LocalizationLoader', () => {
 
 	describe('#load', () => {
 		it('should throw exception on wrong locale', () => {
-			const locator = createLocator();
+			const locator = caseHelper.createServiceLocator();
 			locator.registerInstance('config', defaultConfig);
 			const localizationLoader = new LocalizationLoader(locator);
 
@@ -132,7 +139,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return default localization when argument is default locale',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -152,7 +159,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return non-default localization merged with default',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -185,7 +192,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return localization merged with default using full name',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -228,7 +235,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return localization merged with components localization',
 			done => {
-				const locator = createLocator(components);
+				const locator = caseHelper.createServiceLocator(components);
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -247,7 +254,9 @@ describe('server/LocalizationLoader', () => {
 							SIXTH_VALUE: 'en-us locale sixth by module1',
 							SEVENTH_VALUE: 'en-us locale seventh by module2',
 							EIGHTH_VALUE: 'en-us locale eighth by module2',
-							$pluralization: localizations['en-us'].$pluralization
+							$pluralization: Object.assign({}, localizations['en-us'].$pluralization, {
+								fromDefaultLocale: {THIRD_VALUE: true, EIGHTH_VALUE: true}
+							})
 						};
 
 						assert.deepEqual(localization, expectedLocalization,
@@ -259,9 +268,89 @@ describe('server/LocalizationLoader', () => {
 			}
 		);
 
+		it('should walk subtags of BCP 47 language tag to find localization',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.strictEqual(
+							loader.load('zh-Hant-TW').FIRST_VALUE,
+							'zh-hant locale first',
+							'Localization do not match'
+						);
+						assert.strictEqual(
+							loader.load('es-419').FIRST_VALUE,
+							'es-419 locale first',
+							'Localization do not match'
+						);
+						assert.strictEqual(
+							loader.load('zh-Hans').FIRST_VALUE,
+							defaultLocalization.FIRST_VALUE,
+							'Localization do not match'
+						);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+
+		it('should prefix component keys with component names if enabled',
+			done => {
+				const locator = caseHelper.createServiceLocator(components);
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						componentNamespaces: true
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const warnings = [];
+
+				eventBus
+					.on('error', done)
+					.on('warn', message => warnings.push(message))
+					.on('l10nLoaded', () => {
+						const localization = loader.load('en-us');
+
+						const expectedLocalization = {
+							FIRST_VALUE: 'en-us locale first',
+							SECOND_VALUE: 'en-us locale second',
+							THIRD_VALUE: 'ru locale third',
+							FOURTH_VALUE: 'en-us locale fourth',
+							FIFTH_VALUE: 'en-us locale fifth',
+							component1: {
+								FIRST_VALUE: 'en-us locale first by module1',
+								SIXTH_VALUE: 'en-us locale sixth by module1'
+							},
+							component2: {
+								FOURTH_VALUE: 'en-us locale fourth by module2',
+								SEVENTH_VALUE: 'en-us locale seventh by module2',
+								EIGHTH_VALUE: 'en-us locale eighth by module2'
+							},
+							$pluralization: Object.assign({}, localizations['en-us'].$pluralization, {
+								fromDefaultLocale: {THIRD_VALUE: true, 'component2.EIGHTH_VALUE': true}
+							})
+						};
+
+						assert.deepEqual(localization, expectedLocalization,
+							'Localization do not match'
+						);
+						assert.deepEqual(warnings.filter(message => /overridden/.test(message)), []);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			}
+		);
+
 		it('should return same localization on short or full name',
 			done => {
-				const locator = createLocator(components);
+				const locator = caseHelper.createServiceLocator(components);
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -281,10 +370,578 @@ describe('server/LocalizationLoader', () => {
 			});
 	});
 
+	describe('#load (nested keys)', () => {
+		const nestedRoot = path.join(caseRoot, 'nested');
+		const nestedConfig = {
+			l10n: {
+				defaultLocale,
+				path: nestedRoot
+			}
+		};
+		const nestedComponents = {
+			component1: {
+				path: path.join(
+					nestedRoot, 'components', 'component1', 'test-comp.json'
+				)
+			}
+		};
+
+		it('should merge nested keys with default localization per leaf',
+			done => {
+				const locator = caseHelper.createServiceLocator(nestedComponents);
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', nestedConfig);
+				const loader = new LocalizationLoader(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						const localization = loader.load('en');
+						assert.deepEqual(localization, {
+							TITLE: 'ru title',
+							cart: {
+								title: 'en cart title by component1',
+								empty: 'ru cart empty',
+								items: ['ru item form1', 'ru item form2', 'ru item form3'],
+								checkout: {
+									button: 'en checkout button by component1'
+								}
+							},
+							$pluralization: {
+								rule: localizations.en.$pluralization.rule,
+								locale: 'en',
+								defaultRule: localizations.en.$pluralization.defaultRule,
+								fromDefaultLocale: {
+									TITLE: true,
+									'cart.empty': true,
+									'cart.items': true
+								}
+							}
+						}, 'Localization do not match');
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+
+		it('should merge plural forms by categories as values', done => {
+			const locator = caseHelper.createServiceLocator({});
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: path.join(caseRoot, 'plural-categories')
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					const localization = loader.load('en');
+					assert.deepEqual(localization.ITEMS, {
+						one: 'en item one',
+						other: 'en item other'
+					}, 'Localization do not match');
+					assert.strictEqual(
+						localization.cart.files.few, 'ru file few',
+						'Localization do not match'
+					);
+					assert.deepEqual(localization.$pluralization.fromDefaultLocale, {
+						'cart.files': true
+					}, 'Localization do not match');
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should serve component keys as separate chunks', done => {
+			const locator = caseHelper.createServiceLocator(nestedComponents);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: nestedRoot,
+					componentChunks: true
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+			const server = createServer(loader.getMiddleware());
+			const port = 8094;
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					Promise.all([
+						getResponse(port, '/l10n.js'),
+						getResponse(port, '/l10n/en/component1.json'),
+						getResponse(port, '/l10n/ru/component1.json'),
+						getResponse(port, '/l10n/en/component2.json')
+					])
+						.then(responses => {
+							/* eslint no-eval: 0*/
+							const window = {};
+							eval(responses[0].data);
+							assert.deepEqual(window.localization, {
+								TITLE: 'ru title',
+								cart: {
+									empty: 'ru cart empty',
+									items: ['ru item form1', 'ru item form2', 'ru item form3']
+								},
+								$pluralization: loader.load('en').$pluralization
+							}, 'Localization do not match');
+							assert.strictEqual(window.localizationLocale, 'en');
+							assert.deepEqual(window.localizationLocales, ['en', 'ru']);
+							assert.deepEqual(window.localizationChunks, {
+								locale: 'en',
+								endpoint: '/l10n',
+								components: ['component1']
+							});
+
+							assert.strictEqual(responses[1].statusCode, 200);
+							assert.deepEqual(JSON.parse(responses[1].data), {
+								cart: {
+									title: 'en cart title by component1',
+									checkout: {
+										button: 'en checkout button by component1'
+									}
+								}
+							}, 'Chunk do not match');
+							assert.deepEqual(JSON.parse(responses[2].data), {
+								cart: {
+									title: 'ru cart title'
+								}
+							}, 'Chunk do not match');
+							assert.strictEqual(responses[3].statusCode, 404);
+						})
+						.then(() => server.close(() => done()))
+						.catch(reason => server.close(() => done(reason)));
+				});
+			server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+		});
+
+		it('should answer 404 for malformed URLs of localization files', done => {
+			const locator = caseHelper.createServiceLocator(nestedComponents);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: nestedRoot,
+					componentChunks: true
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+			const server = createServer(loader.getMiddleware());
+			const port = 8080;
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					Promise.all([
+						getResponse(port, '/l10n/%E0%A4%A.json'),
+						getResponse(port, '/l10n/%E0%A4%A/component1.json'),
+						getResponse(port, '/l10n/en/%E0%A4%A.json')
+					])
+						.then(responses => {
+							assert.deepEqual(responses.map(response => response.statusCode),
+								[404, 404, 404]);
+						})
+						.then(() => server.close(() => done()))
+						.catch(reason => server.close(() => done(reason)));
+				});
+			server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+		});
+
+		it('should warn about overridden nested keys',
+			done => {
+				const locator = caseHelper.createServiceLocator(nestedComponents);
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', nestedConfig);
+				const loader = new LocalizationLoader(locator);
+				const warnings = [];
+
+				eventBus
+					.on('error', done)
+					.on('warn', message => warnings.push(message))
+					.on('l10nLoaded', () => {
+						assert.deepEqual(warnings, [
+							'Localization key "cart.title" was defined again and overridden in locale "en"'
+						]);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+	});
+
+	describe('#load (fallbacks)', () => {
+		const fallbacksConfig = {
+			l10n: {
+				defaultLocale: 'en',
+				path: path.join(caseRoot, 'fallbacks'),
+				fallbacks: {
+					PT: ['es']
+				}
+			}
+		};
+
+		it('should throw exception when fallback locale is wrong', () => {
+			assert.throws(() => {
+				const locator = caseHelper.createServiceLocator();
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale: 'en',
+						fallbacks: {
+							uk: ['wrong']
+						}
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+			}, /Wrong locale name wrong/);
+		});
+
+		it('should merge localization following fallback chain',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', fallbacksConfig);
+				const loader = new LocalizationLoader(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.deepEqual(loader.load('pt-br'), {
+							GREETING: 'pt-br greeting',
+							FAREWELL: 'es farewell',
+							THANKS: 'pt thanks',
+							APPLE: ['es manzana', 'es manzanas'],
+							PEAR: ['en pear', 'en pears'],
+							$pluralization: {
+								rule: '(n > 1)',
+								locale: 'pt-br',
+								defaultRule: '(n != 1)',
+								fromDefaultLocale: {
+									PEAR: true
+								},
+								fromFallbackLocale: {
+									FAREWELL: 'es',
+									THANKS: 'pt',
+									APPLE: 'es'
+								},
+								fallbackRules: {
+									es: '(n != 1)',
+									pt: '(n != 1)'
+								}
+							}
+						}, 'Localization do not match');
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+
+		it('should return nearest localization in fallback chain',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', fallbacksConfig);
+				const loader = new LocalizationLoader(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.strictEqual(
+							loader.load('pt-pt').THANKS, 'pt thanks',
+							'Localization do not match'
+						);
+						assert.strictEqual(
+							loader.load('es-mx').FAREWELL, 'es farewell',
+							'Localization do not match'
+						);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+	});
+
+	describe('#load (file formats)', () => {
+		const formatsRoot = path.join(caseRoot, 'formats');
+		const formatsConfig = {
+			l10n: {
+				defaultLocale,
+				path: formatsRoot
+			}
+		};
+		const formatsComponents = {
+			component1: {
+				path: path.join(
+					formatsRoot, 'components', 'component1', 'test-comp.json'
+				)
+			}
+		};
+
+		it('should load YAML and JSON5 localization files', done => {
+			const locator = caseHelper.createServiceLocator(formatsComponents);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', formatsConfig);
+			const loader = new LocalizationLoader(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					const localization = loader.load('en');
+					assert.strictEqual(localization.TITLE, 'en title');
+					assert.strictEqual(localization.BUTTON, 'en button by component1');
+					assert.deepEqual(localization.cart, {
+						empty: 'Your cart is empty,\nadd some items',
+						items: ['en item', 'en items']
+					});
+					assert.deepEqual(loader.load('ru'), {
+						TITLE: 'ru title',
+						cart: {
+							empty: 'ru cart empty',
+							items: ['ru item form1', 'ru item form2', 'ru item form3']
+						},
+						$pluralization: localizations.ru.$pluralization
+					});
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should load files with registered parsers', done => {
+			const locator = caseHelper.createServiceLocator(formatsComponents);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', formatsConfig);
+			const loader = new LocalizationLoader(locator);
+			loader.registerParser('.PROPERTIES', content => {
+				const localization = {};
+				content.split('\n')
+					.filter(line => line)
+					.forEach(line => {
+						const parts = line.split('=');
+						localization[parts[0]] = parts[1];
+					});
+				return localization;
+			});
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					assert.strictEqual(loader.load('ru').BUTTON, 'ru button by component1');
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should read and write files in their formats', () => {
+			const locator = caseHelper.createServiceLocator();
+			locator.registerInstance('config', formatsConfig);
+			const loader = new LocalizationLoader(locator);
+			const file = path.join(os.tmpdir(), `catberry-l10n-${process.pid}.properties`);
+			loader.registerParser('.properties', content => {
+				const parts = content.trim().split('=');
+				return {[parts[0]]: parts[1]};
+			});
+
+			return loader.readFile(path.join(formatsRoot, 'en.yaml'))
+				.then(localization => {
+					assert.strictEqual(localization.TITLE, 'en title');
+					return loader.readFile(file);
+				})
+				.then(localization => {
+					assert.deepEqual(localization, {});
+					return loader.writeFile(file, {TITLE: 'title'});
+				})
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message,
+						`Localization file "${file}" can not be written, register the parser of ".properties" files with the stringify function`);
+				});
+		});
+
+		it('should throw error on wrong parser registration', () => {
+			const locator = caseHelper.createServiceLocator();
+			locator.registerInstance('config', formatsConfig);
+			const loader = new LocalizationLoader(locator);
+
+			assert.throws(() => loader.registerParser('toml', () => ({})),
+				/Wrong localization file extension toml/);
+			assert.throws(() => loader.registerParser('.toml', 'parse'),
+				/Parser of "\.toml" localization files must be a function/);
+			assert.throws(() => loader.registerParser('.toml', () => ({}), 'stringify'),
+				/Stringifier of "\.toml" localization files must be a function/);
+		});
+	});
+
+	describe('#load (unsafe keys)', () => {
+		it('should not pollute prototypes with "__proto__" keys of files', done => {
+			const locator = caseHelper.createServiceLocator({});
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: path.join(caseRoot, 'pollution')
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					const localization = loader.load('ru');
+					assert.strictEqual(localization.TITLE, 'ru title');
+					assert.strictEqual(({}).polluted, undefined);
+					assert.strictEqual(Object.prototype.polluted, undefined);
+					assert.strictEqual(Object.prototype.hasOwnProperty.call(localization, 'cart'), false);
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+	});
+
+	describe('#load (format presets)', () => {
+		it('should keep format presets of components in the root', done => {
+			const locator = caseHelper.createServiceLocator({});
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: path.join(caseRoot, 'absent'),
+					componentNamespaces: true
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+			loader.addSource({
+				load: () => Promise.resolve([{
+					path: 'service#component1/ru',
+					locale: 'ru',
+					component: 'component1',
+					object: {
+						TITLE: 'ru title',
+						$formats: {
+							currency: {
+								default: {currency: 'RUB'}
+							}
+						}
+					}
+				}])
+			});
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					const localization = loader.load('ru');
+					assert.strictEqual(localization.component1.TITLE, 'ru title');
+					assert.strictEqual(localization.$formats.currency.default.currency, 'RUB');
+					loader.loadFiles()
+						.then(loaded => {
+							assert.deepEqual(loaded.files.map(file => file.values), [
+								{'component1.TITLE': 'ru title'}
+							]);
+						})
+						.then(done, done);
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+	});
+
+	describe('#addSource', () => {
+		it('should merge localizations of sources after files', done => {
+			const locator = caseHelper.createServiceLocator(components);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', defaultConfig);
+			const loader = new LocalizationLoader(locator);
+			const source = new events.EventEmitter();
+			let data = {TITLE: 'ru title from service'};
+			source.load = () => Promise.resolve([
+				{path: 'service#ru', locale: 'ru', component: null, object: data},
+				{path: 'service#component1/ru', locale: 'ru', component: 'component1', object: {SERVICE: 'ru service'}}
+			]);
+			loader.addSource(source);
+
+			let loadings = 0;
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					loadings++;
+					const localization = loader.load('ru');
+					if (loadings === 1) {
+						assert.strictEqual(localization.TITLE, 'ru title from service');
+						assert.strictEqual(localization.SERVICE, 'ru service');
+						data = {TITLE: 'ru title changed in service'};
+						source.emit('change');
+						return;
+					}
+					assert.strictEqual(localization.TITLE, 'ru title changed in service');
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should load localizations from HTTP service', done => {
+			const server = http.createServer((request, response) => {
+				response.writeHead(200, {
+					'Content-Type': 'application/json',
+					Connection: 'close'
+				});
+				response.end(JSON.stringify({
+					localizations: {
+						en: {SERVICE: 'en service'}
+					}
+				}));
+			});
+			const finish = error => server.close(() => done(error));
+
+			server.listen(0, '127.0.0.1', () => {
+				const locator = caseHelper.createServiceLocator(components);
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				loader.addSource(new HttpSource({
+					url: `http://127.0.0.1:${server.address().port}/l10n`
+				}));
+
+				eventBus
+					.on('error', finish)
+					.on('l10nLoaded', () => {
+						try {
+							assert.strictEqual(loader.load('en').SERVICE, 'en service');
+							finish();
+						} catch (e) {
+							finish(e);
+						}
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+		});
+
+		it('should emit errors of sources on the event bus', done => {
+			const locator = caseHelper.createServiceLocator(components);
+			const eventBus = locator.resolve('eventBus');
+			locator.registerInstance('config', defaultConfig);
+			const loader = new LocalizationLoader(locator);
+			const source = new events.EventEmitter();
+			source.load = () => Promise.resolve([]);
+			loader.addSource(source);
+
+			eventBus.on('error', error => {
+				assert.strictEqual(error.message, 'Service is unavailable');
+				done();
+			});
+			source.emit('error', new Error('Service is unavailable'));
+		});
+
+		it('should throw error for source without "load" method', () => {
+			const locator = caseHelper.createServiceLocator();
+			locator.registerInstance('config', defaultConfig);
+			const loader = new LocalizationLoader(locator);
+
+			assert.throws(() => loader.addSource({}),
+				/Localization source must have the "load" method/);
+		});
+	});
+
 	describe('#getMiddleware', () => {
 		it('should set browser locale if it is absent in cookie',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
 				const server = createServer(loader.getMiddleware());
@@ -326,10 +983,535 @@ describe('server/LocalizationLoader', () => {
 				});
 			});
 
+		it('should set canonical BCP 47 browser locale',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+
+				server.listen(8088, () => {
+					const request = http.request({
+						port: 8088,
+						agent: false,
+						headers: {
+							'Accept-Language': 'zh-Hant-TW,en;q=0.5'
+						}
+					},
+						response => {
+							assert.strictEqual(/^locale=zh-hant-tw;/
+									.test(response.headers['set-cookie'][0]),
+								true,
+								'Response cookie should have locale'
+							);
+
+							server.close(() => done());
+						});
+
+					request.end();
+				});
+			});
+
+		it('should resolve locale from path prefix and strip it before routing',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						locales: ['en', 'ru'],
+						resolvers: ['path', 'query', 'cookie', 'header']
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const urls = [];
+				const server = createServer(loader.getMiddleware(),
+					request => urls.push(request.url));
+
+				server.listen(8092, () => {
+					const request = http.request({
+						port: 8092,
+						agent: false,
+						path: '/ru/some/page?lang=en',
+						headers: {
+							Cookie: 'locale=en'
+						}
+					},
+						response => {
+							assert.strictEqual(/^locale=ru;/
+									.test(response.headers['set-cookie'][0]),
+								true,
+								'Response cookie should have locale'
+							);
+							assert.deepEqual(urls, ['/some/page?lang=en']);
+
+							server.close(() => done());
+						});
+
+					request.end();
+				});
+			});
+
+		it('should resolve locale from query parameter',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						resolvers: ['query', 'cookie']
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+
+				server.listen(8093, () => {
+					const request = http.request({
+						port: 8093,
+						agent: false,
+						path: '/page?lang=en-US',
+						headers: {
+							Cookie: 'locale=ru'
+						}
+					},
+						response => {
+							assert.strictEqual(/^locale=en-us;/
+									.test(response.headers['set-cookie'][0]),
+								true,
+								'Response cookie should have locale'
+							);
+
+							server.close(() => done());
+						});
+
+					request.end();
+				});
+			});
+
+		it('should resolve locale from cookie with specified name',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						cookie: {
+							name: 'lang'
+						},
+						resolvers: ['query', 'cookie', 'header']
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const cookies = [];
+				const server = createServer(loader.getMiddleware(),
+					request => cookies.push(request.headers.cookie));
+
+				server.listen(8090, () => {
+					const request = http.request({
+						port: 8090,
+						agent: false,
+						headers: {
+							'Accept-Language': 'en',
+							Cookie: 'locale=en; lang=ru'
+						}
+					},
+						response => {
+							assert.strictEqual(response.headers['set-cookie'], undefined,
+								'Response should not overwrite the locale cookie');
+							assert.deepEqual(cookies, ['locale=en; lang=ru']);
+
+							server.close(() => done());
+						});
+
+					request.end();
+				});
+			});
+
+		it('should answer with cache headers and not modified status',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+				const port = 8095;
+				const headers = {
+					Cookie: 'locale=en'
+				};
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						getResponse(port, '/l10n.js', headers)
+							.then(response => {
+								assert.strictEqual(response.statusCode, 200);
+								assert.strictEqual(/^"[\da-f]{40}"$/.test(response.headers.etag), true);
+								assert.strictEqual(response.headers['cache-control'], 'private, no-cache');
+								assert.strictEqual(response.headers.vary, 'Accept-Encoding, Cookie');
+								assert.strictEqual(
+									response.headers['last-modified'], new Date(response.headers['last-modified']).toUTCString()
+								);
+								assert.strictEqual(Number(response.headers['content-length']), response.body.length);
+
+								return Promise.all([
+									getResponse(port, '/l10n.js', {
+										Cookie: 'locale=en',
+										'If-None-Match': `"other", W/${response.headers.etag}`
+									}),
+									getResponse(port, '/l10n.js', {
+										Cookie: 'locale=en',
+										'If-Modified-Since': response.headers['last-modified']
+									}),
+									getResponse(port, '/l10n.js', {
+										Cookie: 'locale=ru',
+										'If-None-Match': response.headers.etag
+									}),
+									getResponse(port, '/l10n.js', {
+										Cookie: 'locale=en',
+										'Accept-Encoding': 'gzip',
+										'If-None-Match': response.headers.etag
+									}),
+									getResponse(port, '/l10n.js', {
+										Cookie: 'locale=en',
+										'Accept-Encoding': 'gzip',
+										'If-None-Match': response.headers.etag.replace(/"$/, '-gzip"')
+									})
+								]);
+							})
+							.then(responses => {
+								assert.strictEqual(responses[0].statusCode, 304);
+								assert.strictEqual(responses[0].body.length, 0);
+								assert.strictEqual(responses[1].statusCode, 304);
+								assert.strictEqual(responses[2].statusCode, 200);
+								// the gzipped representation has its own ETag
+								assert.strictEqual(responses[3].statusCode, 200);
+								assert.strictEqual(responses[4].statusCode, 304);
+								assert.strictEqual(responses[4].headers.etag, responses[3].headers.etag);
+							})
+							.then(() => server.close(() => done()))
+							.catch(reason => server.close(() => done(reason)));
+					});
+				server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+			});
+
+		it('should compress localization file and serve it by fingerprinted URL',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+				const port = 8096;
+
+				assert.strictEqual(loader.getLocalizationUrl('en'), '/l10n.js');
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						const fingerprintUrl = loader.getLocalizationUrl('en');
+						assert.strictEqual(/^\/l10n\.[\da-f]{16}\.js$/.test(fingerprintUrl), true);
+
+						Promise.all([
+							getResponse(port, '/l10n.js', {
+								Cookie: 'locale=en'
+							}),
+							getResponse(port, '/l10n.js', {
+								Cookie: 'locale=en',
+								'Accept-Encoding': 'gzip, deflate'
+							}),
+							getResponse(port, '/l10n.js', {
+								Cookie: 'locale=en',
+								'Accept-Encoding': 'gzip;q=0.5, br'
+							}),
+							getResponse(port, '/l10n.js', {
+								Cookie: 'locale=en',
+								'Accept-Encoding': 'br;q=0, gzip;q=0'
+							}),
+							getResponse(port, fingerprintUrl, {}),
+							getResponse(port, '/l10n.0123456789abcdef.js', {})
+						])
+							.then(responses => {
+								const data = responses[0].data;
+
+								/* eslint no-sync: 0*/
+								const etag = responses[0].headers.etag;
+								assert.strictEqual(responses[1].headers['content-encoding'], 'gzip');
+								assert.strictEqual(zlib.gunzipSync(responses[1].body).toString(), data);
+								assert.strictEqual(responses[1].headers.etag, etag.replace(/"$/, '-gzip"'));
+								if (zlib.brotliDecompressSync) {
+									assert.strictEqual(responses[2].headers['content-encoding'], 'br');
+									assert.strictEqual(zlib.brotliDecompressSync(responses[2].body).toString(), data);
+									assert.strictEqual(responses[2].headers.etag, etag.replace(/"$/, '-br"'));
+								}
+								assert.strictEqual(responses[3].headers.etag, etag);
+								assert.strictEqual(responses[3].headers['content-encoding'], undefined);
+								assert.strictEqual(responses[3].data, data);
+
+								assert.strictEqual(responses[4].statusCode, 200);
+								assert.strictEqual(responses[4].data, data);
+								assert.strictEqual(
+									responses[4].headers['cache-control'], 'public, max-age=31536000, immutable'
+								);
+								assert.strictEqual(responses[5].statusCode, 404);
+							})
+							.then(() => server.close(() => done()))
+							.catch(reason => server.close(() => done(reason)));
+					});
+				server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+			});
+
+		it('should serve configured formats by configured endpoint',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						endpoint: '/assets/i18n/',
+						globalName: 'dictionary',
+						formats: ['js', 'json', 'mjs']
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+				const port = 8097;
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						const jsonUrl = loader.getLocalizationUrl('en', 'json');
+						assert.strictEqual(/^\/assets\/i18n\.[\da-f]{16}\.json$/.test(jsonUrl), true);
+
+						Promise.all([
+							getResponse(port, '/assets/i18n.js'),
+							getResponse(port, '/assets/i18n.json'),
+							getResponse(port, '/assets/i18n.mjs'),
+							getResponse(port, jsonUrl),
+							getResponse(port, '/l10n.js'),
+							getResponse(port, '/assets/i18n/ru.json'),
+							getResponse(port, '/assets/i18n/wrong.json'),
+							getResponse(port, '/assets/i18n/ru.xml')
+						])
+							.then(responses => {
+								const localization = JSON.parse(JSON.stringify(loader.load('en')));
+
+								/* eslint no-eval: 0*/
+								const window = {};
+								eval(responses[0].data);
+								assert.deepEqual(window.dictionary, localization);
+
+								assert.strictEqual(
+									responses[1].headers['content-type'], 'application/json; charset=utf-8'
+								);
+								assert.deepEqual(JSON.parse(responses[1].data), localization);
+								assert.strictEqual(
+									responses[2].data, `export default ${JSON.stringify(localization)};\n`
+								);
+								assert.strictEqual(responses[3].data, responses[1].data);
+								assert.strictEqual(responses[4].data, '');
+								assert.deepEqual(
+									JSON.parse(responses[5].data), JSON.parse(JSON.stringify(loader.load('ru')))
+								);
+								assert.strictEqual(responses[5].headers['cache-control'], 'public, no-cache');
+								assert.strictEqual(responses[6].statusCode, 404);
+								assert.strictEqual(responses[7].data, '');
+							})
+							.then(() => server.close(() => done()))
+							.catch(reason => server.close(() => done(reason)));
+					});
+				server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+			});
+
+		it('should serve JSON locale files for browser loader whatever formats are configured',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', {
+					l10n: {
+						defaultLocale,
+						path: caseRoot,
+						formats: ['mjs']
+					}
+				});
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+				const port = 8100;
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.strictEqual(loader.getLocalizationUrl('en', 'json'), '/l10n.json');
+
+						Promise.all([
+							getResponse(port, '/l10n/ru.json'),
+							getResponse(port, '/l10n.json'),
+							getResponse(port, '/l10n/ru.js'),
+							getResponse(port, '/l10n.mjs')
+						])
+							.then(responses => {
+								assert.strictEqual(responses[0].statusCode, 200);
+								assert.deepEqual(
+									JSON.parse(responses[0].data), JSON.parse(JSON.stringify(loader.load('ru')))
+								);
+								assert.strictEqual(responses[1].data, '');
+								assert.strictEqual(responses[2].statusCode, 404);
+								assert.strictEqual(responses[3].statusCode, 200);
+							})
+							.then(() => server.close(() => done()))
+							.catch(reason => server.close(() => done(reason)));
+					});
+				server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+			});
+
+		it('should push changed locales to connected browsers', done => {
+			const hotComponents = {};
+			const locator = caseHelper.createServiceLocator(hotComponents);
+			const eventBus = locator.resolve('eventBus');
+			const nestedRoot = path.join(caseRoot, 'nested');
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: nestedRoot,
+					hotReload: true
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+			const server = createServer(loader.getMiddleware());
+			const port = 8098;
+
+			eventBus
+				.on('error', done)
+				.once('l10nLoaded', () => {
+					const request = http.request({
+						port,
+						path: '/l10n/events',
+						agent: false
+					}, response => {
+						assert.strictEqual(
+							response.headers['content-type'], 'text/event-stream; charset=utf-8'
+						);
+						let data = '';
+						response.setEncoding('utf8');
+						response.on('data', chunk => {
+							data += chunk;
+							if (!/\n\n$/.test(data) || data.indexOf('event:') === -1) {
+								return;
+							}
+							request.destroy();
+							server.close(() => {
+								assert.strictEqual(data,
+									': connected\n\nevent: l10nUpdate\ndata: {"locales":["en"]}\n\n');
+								done();
+							});
+						});
+
+						// a new component brings its localization
+						hotComponents.component1 = {
+							path: path.join(nestedRoot, 'components', 'component1', 'test-comp.json')
+						};
+						locator.resolve('componentFinder').emit('add');
+					});
+					request.end();
+				});
+			server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+		});
+
+		it('should serve report of missing keys if it is enabled', done => {
+			const locator = caseHelper.createServiceLocator();
+			const eventBus = locator.resolve('eventBus');
+			const report = {
+				total: 1,
+				keys: [{locale: 'en', key: 'ABSENT', fallback: null, count: 2}]
+			};
+			locator.registerInstance('localizationProvider', {
+				getMissingKeysReport: () => report
+			});
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					path: caseRoot,
+					missingKeysReport: true
+				}
+			});
+			const loader = new LocalizationLoader(locator);
+			const server = createServer(loader.getMiddleware());
+			const port = 8099;
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					getResponse(port, '/l10n/missing-keys.json')
+						.then(response => {
+							assert.strictEqual(response.statusCode, 200);
+							assert.strictEqual(response.headers['cache-control'], 'no-store');
+							assert.deepEqual(JSON.parse(response.data), report);
+						})
+						.then(() => server.close(() => done()))
+						.catch(reason => server.close(() => done(reason)));
+				});
+			server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+		});
+
+		it('should throw error on unknown format or wrong global name', () => {
+			const locator = caseHelper.createServiceLocator();
+			locator.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					formats: ['js', 'xml']
+				}
+			});
+			assert.throws(() => new LocalizationLoader(locator),
+				/Unknown localization format "xml"/);
+
+			const locator2 = caseHelper.createServiceLocator();
+			locator2.registerInstance('config', {
+				l10n: {
+					defaultLocale,
+					globalName: 'window.l10n'
+				}
+			});
+			assert.throws(() => new LocalizationLoader(locator2),
+				/Wrong global name window\.l10n \(JavaScript identifier expected\)/);
+		});
+
+		it('should negotiate browser locale using quality values and loaded locales',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+				const port = 8089;
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						Promise.all([
+							getLocaleCookie(port, 'xx, en;q=0.5, ru;q=0.9'),
+							getLocaleCookie(port, 'en-AU;q=0.8, fr'),
+							getLocaleCookie(port, 'ru;q=0, en-US;q=0.1'),
+							getLocaleCookie(port, 'zh;q=0.7, xx'),
+							getLocaleCookie(port, 'xx, fr')
+						])
+							.then(cookies => {
+								assert.deepEqual(cookies, [
+									'locale=ru', 'locale=en', 'locale=en-us',
+									'locale=zh-hant', `locale=${defaultLocale}`
+								]);
+							})
+							.then(() => server.close(() => done()))
+							.catch(done);
+					});
+				server.listen(port, () => eventBus.emit('allComponentsLoaded'));
+			});
+
 		it('should set browser locale with specified cookie parameters',
 			done => {
-				const locator = createLocator();
-				const config = Object.create(defaultConfig);
+				const locator = caseHelper.createServiceLocator();
+				const config = {
+					l10n: Object.create(defaultConfig.l10n)
+				};
 
 				config.l10n.cookie = {
 					name: 'testName',
@@ -391,7 +1573,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should set default locale if browser locale is absent',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
 				const server = createServer(loader.getMiddleware());
@@ -417,8 +1599,7 @@ describe('server/LocalizationLoader', () => {
 								'Response should have one cookie setup'
 							);
 
-							// TODO: refactoring, old value 'locale'
-							assert.strictEqual(/^testName=ru/
+							assert.strictEqual(/^locale=ru/
 									.test(response.headers['set-cookie'][0]),
 								true,
 								'Response cookie should have locale'
@@ -433,7 +1614,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should set default locale if wrong locale is used in cookies',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
 				const server = createServer(loader.getMiddleware());
@@ -463,7 +1644,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return localization file using cookie locale',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -527,7 +1708,7 @@ describe('server/LocalizationLoader', () => {
 
 		it('should return localization file using cookie short locale',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -585,9 +1766,54 @@ describe('server/LocalizationLoader', () => {
 				server.listen(8085, () => eventBus.emit('allComponentsLoaded'));
 			});
 
+		it('should return localization file using cookie BCP 47 locale',
+			done => {
+				const locator = caseHelper.createServiceLocator();
+				const eventBus = locator.resolve('eventBus');
+				locator.registerInstance('config', defaultConfig);
+				const loader = new LocalizationLoader(locator);
+				const server = createServer(loader.getMiddleware());
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						const request = http.request({
+							port: 8087,
+							agent: false,
+							path: '/l10n.js',
+							headers: {
+								Cookie: 'other=value; locale=zh-Hant-TW'
+							}
+						},
+							response => {
+								let data = '';
+
+								response.setEncoding('utf8');
+								response
+									.on('data', chunk => {
+										data += chunk;
+									})
+									.on('end', () => {
+
+										/* eslint no-eval: 0*/
+										const window = {};
+										eval(data);
+										assert.strictEqual(
+											window.localization.FIRST_VALUE,
+											'zh-hant locale first',
+											'Localization do not match'
+										);
+										server.close(() => done());
+									});
+							});
+						request.end();
+					});
+				server.listen(8087, () => eventBus.emit('allComponentsLoaded'));
+			});
+
 		it('should return default localization file using cookie wrong locale',
 			done => {
-				const locator = createLocator();
+				const locator = caseHelper.createServiceLocator();
 				const eventBus = locator.resolve('eventBus');
 				locator.registerInstance('config', defaultConfig);
 				const loader = new LocalizationLoader(locator);
@@ -637,19 +1863,61 @@ describe('server/LocalizationLoader', () => {
 });
 
 /**
- * Create ServiceLocator object
- * @param components
- * @returns {ServiceLocator}
+ * Requests the server with "Accept-Language" header and gets locale cookie.
+ * @param {number} port Server port.
+ * @param {string} acceptLanguage Value of "Accept-Language" header.
+ * @returns {Promise<string>} Promise for locale cookie pair.
+ */
+function getLocaleCookie(port, acceptLanguage) {
+	return new Promise((fulfill, reject) => {
+		const request = http.request({
+			port,
+			agent: false,
+			headers: {
+				'Accept-Language': acceptLanguage
+			}
+		}, response => {
+			response.resume();
+			fulfill(response.headers['set-cookie'][0].split(';')[0]);
+		});
+		request.on('error', reject);
+		request.end();
+	});
+}
+
+/**
+ * Gets response of the server.
+ * @param {number} port Server port.
+ * @param {string} urlPath URL path.
+ * @param {Object?} headers Request headers, the "en" locale cookie by default.
+ * @returns {Promise<Object>} Promise for status code, headers, body and data.
  */
-function createLocator(components) {
-	components = components || {};
-	const locator = new ServiceLocator();
-	locator.registerInstance('serviceLocator', locator);
-	const componentFinder = new events.EventEmitter();
-	componentFinder.find = () => Promise.resolve(components);
-	locator.registerInstance('componentFinder', componentFinder);
-	locator.registerInstance('eventBus', new events.EventEmitter());
-	return locator;
+function getResponse(port, urlPath, headers) {
+	return new Promise((fulfill, reject) => {
+		const request = http.request({
+			port,
+			path: urlPath,
+			agent: false,
+			headers: headers || {
+				Cookie: 'locale=en'
+			}
+		}, response => {
+			const chunks = [];
+			response
+				.on('data', chunk => chunks.push(chunk))
+				.on('end', () => {
+					const body = Buffer.concat(chunks);
+					fulfill({
+						statusCode: response.statusCode,
+						headers: response.headers,
+						body,
+						data: body.toString('utf8')
+					});
+				});
+		});
+		request.on('error', reject);
+		request.end();
+	});
 }
 
 /**
@@ -2,11 +2,11 @@
 
 const LocalizationLoaderMock = require('../mocks/LocalizationLoader');
 const LocalizationLoader = require('../../lib/LocalizationLoader');
+const BrowserLocalizationLoader = require('../../browser/LocalizationLoader');
 const LocalizationProvider = require('../../lib/LocalizationProvider');
 const assert = require('assert');
 const path = require('path');
-const events = require('events');
-const ServiceLocator = require('catberry-locator');
+const caseHelper = require('../helpers/caseHelper');
 
 const localizationPath = path.join(__dirname, '..',
 	'cases', 'lib', 'LocalizationProvider');
@@ -84,6 +84,129 @@ describe('LocalizationProvider', () => {
 					locale, config.l10n.defaultLocale, 'Wrong localized value'
 				);
 			});
+		it('should resolve locale from context location using configured resolvers', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en',
+					locales: ['en', 'de'],
+					resolvers: ['path', 'subdomain', 'query', 'cookie']
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+			const createContext = (path, host, query) => ({
+				location: {
+					path,
+					authority: {host},
+					query: {values: query}
+				},
+				cookie: {
+					get: () => 'ru'
+				}
+			});
+
+			assert.strictEqual(
+				provider.getCurrentLocale(createContext('/de/about', 'example.com', null)),
+				'de'
+			);
+			assert.strictEqual(
+				provider.getCurrentLocale(createContext('/about', 'de.example.com', null)),
+				'de'
+			);
+			assert.strictEqual(
+				provider.getCurrentLocale(createContext('/about', 'example.com', {lang: 'fr'})),
+				'fr'
+			);
+			assert.strictEqual(
+				provider.getCurrentLocale(createContext('/about', 'example.com', null)),
+				'ru'
+			);
+		});
+	});
+	describe('#changeLocale', () => {
+		it('should load localization in browser without reload', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				}
+			});
+			const changed = [];
+			locator.resolve('localizationLoader').changeLocale = locale => {
+				changed.push(locale);
+				return Promise.resolve({});
+			};
+			const provider = new LocalizationProvider(locator);
+			const context = createBrowserContext();
+
+			return provider.changeLocale('ru_RU', context)
+				.then(() => {
+					assert.deepEqual(changed, ['ru-ru']);
+					assert.strictEqual(context.cookies[0].key, 'locale');
+					assert.strictEqual(context.cookies[0].value, 'ru-ru');
+					assert.strictEqual(context.reloads, 0);
+				});
+		});
+
+		it('should reload page if it is configured', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en',
+					reloadOnLocaleChange: true
+				}
+			});
+			locator.resolve('localizationLoader').changeLocale = () =>
+				assert.fail('Localization should not be loaded');
+			const provider = new LocalizationProvider(locator);
+			const context = createBrowserContext();
+
+			return provider.changeLocale('ru', context)
+				.then(() => assert.strictEqual(context.reloads, 1));
+		});
+
+		it('should emit error and reload page if localization was not loaded', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				}
+			});
+			const errors = [];
+			locator.resolve('eventBus').on('error', error => errors.push(error));
+			locator.resolve('localizationLoader').changeLocale = () =>
+				Promise.reject(new Error('Not found'));
+			const provider = new LocalizationProvider(locator);
+			const context = createBrowserContext();
+
+			return provider.changeLocale('ru', context)
+				.then(() => {
+					assert.strictEqual(errors.length, 1);
+					assert.strictEqual(context.reloads, 1);
+				});
+		});
+
+		it('should redirect to the same location on server', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+			const redirects = [];
+			const context = {
+				isBrowser: false,
+				location: {
+					toString: () => '/some/page'
+				},
+				cookie: {
+					set: () => {}
+				},
+				redirect: uri => {
+					redirects.push(uri);
+					return Promise.resolve();
+				}
+			};
+
+			return provider.changeLocale('ru', context)
+				.then(() => assert.deepEqual(redirects, ['/some/page']));
+		});
 	});
 	describe('#get', () => {
 		it('should get value from localization', () => {
@@ -115,6 +238,107 @@ describe('LocalizationProvider', () => {
 			);
 		});
 
+		it('should get nested value by dotted path', () => {
+			const localizations = {
+				en: {
+					cart: {
+						title: 'en cart title',
+						items: ['en item', 'en items']
+					}
+				}
+			};
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(
+				provider.get('en', 'cart.title'), 'en cart title',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.get('en', 'cart.items'), 'en item',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.get('en', 'cart.absent'), '',
+				'Wrong localized value'
+			);
+		});
+
+		it('should get component key first if component context is specified',
+			() => {
+				const localizations = {
+					en: {
+						TITLE: 'application title',
+						FOOTER: 'application footer',
+						component1: {
+							TITLE: 'component1 title'
+						}
+					}
+				};
+				const locator = createLocator({
+					l10n: {
+						defaultLocale: 'en',
+						componentNamespaces: true
+					},
+					localizations
+				});
+				const provider = new LocalizationProvider(locator);
+				const context = {
+					name: 'component1',
+					cookie: {
+						get: () => 'en'
+					}
+				};
+
+				assert.strictEqual(
+					provider.get(context, 'TITLE'), 'component1 title',
+					'Wrong localized value'
+				);
+				assert.strictEqual(
+					provider.get(context, 'FOOTER'), 'application footer',
+					'Wrong localized value'
+				);
+				assert.strictEqual(
+					provider.get('en', 'TITLE'), 'application title',
+					'Wrong localized value'
+				);
+			});
+
+		it('should not look up component keys if namespaces are disabled',
+			() => {
+				const localizations = {
+					en: {
+						TITLE: 'application title',
+						component1: {
+							TITLE: 'component1 title'
+						}
+					}
+				};
+				const locator = createLocator({
+					l10n: {
+						defaultLocale: 'en'
+					},
+					localizations
+				});
+				const provider = new LocalizationProvider(locator);
+				const context = {
+					name: 'component1',
+					cookie: {
+						get: () => 'en'
+					}
+				};
+
+				assert.strictEqual(
+					provider.get(context, 'TITLE'), 'application title',
+					'Wrong localized value'
+				);
+			});
+
 		it('should return empty string if localization value is absent',
 			() => {
 				const locator = createLocator({
@@ -159,6 +383,57 @@ describe('LocalizationProvider', () => {
 				);
 			});
 
+		it('should substitute named parameters', () => {
+			const localizations = {
+				en: {
+					TEST_VALUE: 'Hello, {userName}! {userName}, you have {count} messages'
+				}
+			};
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(
+				provider.get('en', 'TEST_VALUE', {userName: 'John', count: 0}),
+				'Hello, John! John, you have 0 messages',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.get('en', 'TEST_VALUE'),
+				localizations.en.TEST_VALUE,
+				'Wrong localized value'
+			);
+		});
+
+		it('should warn about missing named parameters', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: 'Hello, {userName}!'
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const warnings = [];
+			eventBus.on('warn', message => warnings.push(message));
+
+			assert.strictEqual(
+				provider.get('en', 'TEST_VALUE', {}), 'Hello, {userName}!',
+				'Wrong localized value'
+			);
+			assert.deepEqual(warnings, [
+				'Parameter "userName" is missing for localization key "TEST_VALUE" in locale "en"'
+			]);
+		});
+
 		it('should return first plural form if value is array',
 			done => {
 				const config = {
@@ -191,12 +466,95 @@ describe('LocalizationProvider', () => {
 			});
 	});
 
-	describe('#pluralize', () => {
-		it('should return plural form from locale', done => {
+	describe('#format', () => {
+		it('should warn about missing arguments', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: 'Hello, {name}!'
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const warnings = [];
+			eventBus.on('warn', message => warnings.push(message));
+
+			provider.format('en', 'TEST_VALUE', {});
+			assert.deepEqual(warnings, [
+				'Parameter "name" is missing for localization key "TEST_VALUE" in locale "en"'
+			]);
+		});
+
+		it('should format message with arguments', () => {
+			const localizations = {
+				en: {
+					TEST_VALUE: 'Hello, {name}!'
+				}
+			};
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(
+				provider.format('en', 'TEST_VALUE', {name: 'John'}), 'Hello, John!',
+				'Wrong localized value'
+			);
+		});
+
+		it('should return empty string if localization value is absent', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(
+				provider.format('en', 'TEST_VALUE', {}), '',
+				'Wrong localized value'
+			);
+		});
+
+		it('should emit error and return empty string if message is wrong', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: 'Hello, {name'
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+			const eventBus = locator.resolve('eventBus');
+
+			let error = null;
+			eventBus.on('error', reason => {
+				error = reason;
+			});
+
+			assert.strictEqual(
+				provider.format('en', 'TEST_VALUE', {}), '',
+				'Wrong localized value'
+			);
+			assert.strictEqual(error instanceof Error, true, 'Error expected');
+		});
+
+		it('should format plural argument using locale rule', done => {
 			const config = {
 				l10n: {
 					defaultLocale: 'ru',
-					path: localizationPath
+					path: path.join(localizationPath, 'messages')
 				}
 			};
 			const locator = createLocator(config);
@@ -208,28 +566,23 @@ describe('LocalizationProvider', () => {
 				.on('error', done)
 				.on('l10nLoaded', () => {
 					assert.strictEqual(
-						provider.pluralize('en', 'TEST_VALUE', 1),
-						'en form1',
-						'Wrong localized value'
-					);
-					assert.strictEqual(
-						provider.pluralize('en', 'TEST_VALUE', 2),
-						'en form2',
+						provider.format('en', 'TEST_MESSAGE', {count: 1}),
+						'1 apple',
 						'Wrong localized value'
 					);
 					assert.strictEqual(
-						provider.pluralize('ru', 'TEST_VALUE', 1),
-						'ru form1',
+						provider.format('en', 'TEST_MESSAGE', {count: 5}),
+						'5 apples',
 						'Wrong localized value'
 					);
 					assert.strictEqual(
-						provider.pluralize('ru', 'TEST_VALUE', 2),
-						'ru form2',
+						provider.format('ru', 'TEST_MESSAGE', {count: 2}),
+						'2 яблока',
 						'Wrong localized value'
 					);
 					assert.strictEqual(
-						provider.pluralize('ru', 'TEST_VALUE', 5),
-						'ru form3',
+						provider.format('ru', 'TEST_MESSAGE', {count: 5}),
+						'5 яблок',
 						'Wrong localized value'
 					);
 					done();
@@ -237,12 +590,12 @@ describe('LocalizationProvider', () => {
 			eventBus.emit('allComponentsLoaded');
 		});
 
-		it('should return plural form from default locale if not found',
+		it('should format plural argument using default locale rule if not found',
 			done => {
 				const config = {
 					l10n: {
 						defaultLocale: 'ru',
-						path: localizationPath
+						path: path.join(localizationPath, 'messages')
 					}
 				};
 				const locator = createLocator(config);
@@ -254,13 +607,8 @@ describe('LocalizationProvider', () => {
 					.on('error', done)
 					.on('l10nLoaded', () => {
 						assert.strictEqual(
-							provider.pluralize('en', 'TEST_VALUE_ONLY_RU', 5),
-							'ru-only form3',
-							'Wrong localized value'
-						);
-						assert.strictEqual(
-							provider.pluralize('ru', 'TEST_VALUE_ONLY_RU', 5),
-							'ru-only form3',
+							provider.format('en', 'TEST_MESSAGE_ONLY_RU', {count: 5}),
+							'5 форм',
 							'Wrong localized value'
 						);
 						done();
@@ -268,14 +616,331 @@ describe('LocalizationProvider', () => {
 				eventBus.emit('allComponentsLoaded');
 			});
 
-		it('should return string value if not array specified',
-			done => {
-				const config = {
+		it('should format plural argument with browser localization loader',
+			() => {
+				const locator = createLocator({
 					l10n: {
-						defaultLocale: 'ru',
-						path: localizationPath
+						defaultLocale: 'ru'
 					}
-				};
+				});
+				locator.registerInstance('window', {
+					localization: {
+						TEST_MESSAGE: '{count, plural, one {# form} other {# forms}}',
+						$pluralization: {
+							rule: '(n != 1)'
+						}
+					}
+				});
+				locator.register('localizationLoader', BrowserLocalizationLoader);
+				const provider = new LocalizationProvider(locator);
+
+				assert.strictEqual(
+					provider.format('en', 'TEST_MESSAGE', {count: 1}),
+					'1 form',
+					'Wrong localized value'
+				);
+				assert.strictEqual(
+					provider.format('en', 'TEST_MESSAGE', {count: 3}),
+					'3 forms',
+					'Wrong localized value'
+				);
+			});
+	});
+
+	describe('#pluralize', () => {
+		it('should return plural form from locale', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'ru',
+					path: localizationPath
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					assert.strictEqual(
+						provider.pluralize('en', 'TEST_VALUE', 1),
+						'en form1',
+						'Wrong localized value'
+					);
+					assert.strictEqual(
+						provider.pluralize('en', 'TEST_VALUE', 2),
+						'en form2',
+						'Wrong localized value'
+					);
+					assert.strictEqual(
+						provider.pluralize('ru', 'TEST_VALUE', 1),
+						'ru form1',
+						'Wrong localized value'
+					);
+					assert.strictEqual(
+						provider.pluralize('ru', 'TEST_VALUE', 2),
+						'ru form2',
+						'Wrong localized value'
+					);
+					assert.strictEqual(
+						provider.pluralize('ru', 'TEST_VALUE', 5),
+						'ru form3',
+						'Wrong localized value'
+					);
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should substitute named parameters and number', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: ['{userName} has {n} apple', '{userName} has {n} apples'],
+						TEST_VALUE2: '{userName} has {n} items',
+						$pluralization: {
+							rule: '(n != 1)'
+						}
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const warnings = [];
+			eventBus.on('warn', message => warnings.push(message));
+
+			assert.strictEqual(
+				provider.pluralize('en', 'TEST_VALUE', 1, {userName: 'Ann'}),
+				'Ann has 1 apple',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.pluralize('en', 'TEST_VALUE', 7, {userName: 'Ann'}),
+				'Ann has 7 apples',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.pluralize('en', 'TEST_VALUE2', 7, {userName: 'Ann'}),
+				'Ann has 7 items',
+				'Wrong localized value'
+			);
+			assert.strictEqual(
+				provider.pluralize('en', 'TEST_VALUE', 2),
+				'{userName} has 2 apples',
+				'Wrong localized value'
+			);
+			assert.deepEqual(warnings, [
+				'Parameter "userName" is missing for localization key "TEST_VALUE" in locale "en"'
+			]);
+		});
+
+		it('should return plural form by CLDR category', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						ITEMS: {
+							one: '{n} item',
+							other: '{n} items'
+						},
+						$pluralization: {
+							rule: '(n != 1)'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.pluralize('en', 'ITEMS', 1), '1 item');
+			assert.strictEqual(provider.pluralize('en', 'ITEMS', 0), '0 items');
+			assert.strictEqual(provider.pluralize('en', 'ITEMS', 1.5), '1.5 items');
+			assert.strictEqual(provider.pluralize('en', 'ITEMS', '1.0'), '1.0 items');
+			assert.strictEqual(provider.get('en', 'ITEMS'), '{n} items');
+		});
+
+		it('should use CLDR rule of the locale including decimals', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'ru'
+				},
+				localizations: {
+					ru: {
+						APPLES: {
+							one: '{n} яблоко',
+							few: '{n} яблока',
+							many: '{n} яблок',
+							other: '{n} яблока (дробь)'
+						},
+						$pluralization: {
+							rule: '(n%10==1 && n%100!=11 ? 0 : ' +
+								'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.pluralize('ru', 'APPLES', 21), '21 яблоко');
+			assert.strictEqual(provider.pluralize('ru', 'APPLES', 3), '3 яблока');
+			assert.strictEqual(provider.pluralize('ru', 'APPLES', 11), '11 яблок');
+			assert.strictEqual(provider.pluralize('ru', 'APPLES', 1.5), '1.5 яблока (дробь)');
+		});
+
+		it('should use CLDR rule of the default locale for its plural forms', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					ru: {
+						FILES: {
+							one: '{n} file',
+							other: '{n} files'
+						},
+						$pluralization: {
+							rule: '(n%10==1 && n%100!=11 ? 0 : ' +
+								'n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+							defaultRule: '(n != 1)',
+							fromDefaultLocale: {
+								FILES: true
+							}
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.pluralize('ru', 'FILES', 21), '21 files');
+			assert.strictEqual(provider.pluralize('ru', 'FILES', 1), '1 file');
+		});
+
+		it('should use gettext rule if there is no CLDR rule for the language', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'oc'
+				},
+				localizations: {
+					oc: {
+						ITEMS: {
+							one: '{n} element',
+							other: '{n} elements'
+						},
+						$pluralization: {
+							rule: '(n > 1)'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.pluralize('oc', 'ITEMS', 0), '0 element');
+			assert.strictEqual(provider.pluralize('oc', 'ITEMS', 2), '2 elements');
+		});
+
+		it('should emit error and use first form if rule is wrong', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: ['form1', 'form2'],
+						$pluralization: {
+							rule: 'n != 1; this.hacked = true'
+						}
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const errors = [];
+			eventBus.on('error', error => errors.push(error));
+
+			assert.strictEqual(provider.pluralize('en', 'TEST_VALUE', 5), 'form1');
+			assert.strictEqual(errors.length, 1);
+			assert.ok(/Wrong pluralization rule/.test(errors[0].message));
+		});
+
+		it('should return plural form from default locale if not found',
+			done => {
+				const config = {
+					l10n: {
+						defaultLocale: 'ru',
+						path: localizationPath
+					}
+				};
+				const locator = createLocator(config);
+				const eventBus = locator.resolve('eventBus');
+				locator.register('localizationLoader', LocalizationLoader);
+				const provider = new LocalizationProvider(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.strictEqual(
+							provider.pluralize('en', 'TEST_VALUE_ONLY_RU', 5),
+							'ru-only form3',
+							'Wrong localized value'
+						);
+						assert.strictEqual(
+							provider.pluralize('ru', 'TEST_VALUE_ONLY_RU', 5),
+							'ru-only form3',
+							'Wrong localized value'
+						);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+
+		it('should use rule of fallback locale the plural form was taken from',
+			done => {
+				const config = {
+					l10n: {
+						defaultLocale: 'en',
+						path: path.join(__dirname, '..', 'cases', 'lib', 'server',
+							'LocalizationLoader', 'fallbacks'),
+						fallbacks: {
+							pt: ['es']
+						}
+					}
+				};
+				const locator = createLocator(config);
+				const eventBus = locator.resolve('eventBus');
+				locator.register('localizationLoader', LocalizationLoader);
+				const provider = new LocalizationProvider(locator);
+
+				eventBus
+					.on('error', done)
+					.on('l10nLoaded', () => {
+						assert.strictEqual(
+							provider.pluralize('pt-br', 'APPLE', 0),
+							'es manzanas',
+							'Wrong localized value'
+						);
+						assert.strictEqual(
+							provider.pluralize('pt-br', 'PEAR', 0),
+							'en pears',
+							'Wrong localized value'
+						);
+						done();
+					});
+				eventBus.emit('allComponentsLoaded');
+			});
+
+		it('should return string value if not array specified',
+			done => {
+				const config = {
+					l10n: {
+						defaultLocale: 'ru',
+						path: localizationPath
+					}
+				};
 				const locator = createLocator(config);
 				const eventBus = locator.resolve('eventBus');
 				locator.register('localizationLoader', LocalizationLoader);
@@ -399,20 +1064,520 @@ describe('LocalizationProvider', () => {
 				eventBus.emit('allComponentsLoaded');
 			});
 	});
+
+	describe('#select', () => {
+		it('should select variant by category', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						INVITED: {
+							male: 'He invited you',
+							female: 'She invited you',
+							other: 'They invited you'
+						},
+						LIKED: {
+							female: '{name} liked her photo',
+							other: '{name} liked their photo'
+						},
+						PLAIN: 'Invited'
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.select('en', 'INVITED', 'female'), 'She invited you');
+			assert.strictEqual(provider.select('en', 'INVITED', 'unknown'), 'They invited you');
+			assert.strictEqual(provider.select('en', 'LIKED', 'female', {name: 'Ann'}),
+				'Ann liked her photo');
+			assert.strictEqual(provider.select('en', 'LIKED', 'male', {name: 'John'}),
+				'John liked their photo');
+			assert.strictEqual(provider.select('en', 'PLAIN', 'male'), 'Invited');
+		});
+
+		it('should return empty string and record missing key if there is no variant', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						INVITED: {
+							male: 'He invited you'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.select('en', 'INVITED', 'female'), '');
+			assert.strictEqual(provider.select('en', 'ABSENT', 'female'), '');
+			assert.deepEqual(provider.getMissingKeysReport().keys.map(entry => entry.key),
+				['ABSENT', 'INVITED']);
+		});
+
+		it('should return "other" variant from other methods', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						LIKED: {
+							female: '{name} liked her photo',
+							other: '{name} liked their photo'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.get('en', 'LIKED', {name: 'Alex'}), 'Alex liked their photo');
+			assert.strictEqual(provider.format('en', 'LIKED', {name: 'Alex'}), 'Alex liked their photo');
+			assert.strictEqual(provider.pluralize('en', 'LIKED', 1, {name: 'Alex'}),
+				'Alex liked their photo');
+		});
+
+		it('should treat groups of keys as missing keys', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en',
+					placeholder: true
+				},
+				localizations: {
+					en: {
+						cart: {
+							title: 'Cart',
+							empty: 'Cart is empty'
+						},
+						ITEMS: {
+							one: '{n} item'
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.get('en', 'cart'), 'cart');
+			assert.strictEqual(provider.format('en', 'cart'), 'cart');
+			assert.strictEqual(provider.pluralize('en', 'cart', 2), 'cart');
+			assert.strictEqual(provider.pluralize('en', 'ITEMS', 1), 'ITEMS');
+			assert.deepEqual(provider.getMissingKeysReport().keys, [
+				{locale: 'en', key: 'ITEMS', fallback: null, count: 1},
+				{locale: 'en', key: 'cart', fallback: null, count: 3}
+			]);
+		});
+
+		it('should take variants absent in locale from default locale', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'en',
+					path: path.join(localizationPath, 'select')
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					assert.strictEqual(provider.select('ru', 'LIKED', 'female', {name: 'Анна'}),
+						'Анна оценила своё фото');
+					assert.strictEqual(provider.select('ru', 'LIKED', 'other', {name: 'Alex'}),
+						'Alex liked their photo');
+					assert.strictEqual(provider.select('ru', 'INVITED', 'male'), 'He invited you');
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should record variants taken from default locale as missing keys', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'en',
+					path: path.join(localizationPath, 'select')
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+			const missingKeys = [];
+
+			eventBus
+				.on('error', done)
+				.on('l10nMissingKey', missingKey => missingKeys.push(missingKey))
+				.on('l10nLoaded', () => {
+					provider.select('ru', 'LIKED', 'female', {name: 'Анна'});
+					provider.select('ru', 'LIKED', 'unknown', {name: 'Alex'});
+					provider.select('ru', 'INVITED', 'male');
+					assert.deepEqual(missingKeys, [
+						{locale: 'ru', key: 'LIKED.other', fallback: 'en'},
+						{locale: 'ru', key: 'INVITED.male', fallback: 'en'}
+					]);
+					assert.deepEqual(provider.getMissingKeysReport().keys.map(entry => entry.key),
+						['INVITED.male', 'LIKED.other']);
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+	});
+
+	describe('#formatNumber', () => {
+		it('should format number using presets, styles and options', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					de: {
+						$formats: {
+							number: {
+								default: {maximumFractionDigits: 1}
+							}
+						},
+						$pluralization: {rule: '(n != 1)', locale: 'de'}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.formatNumber('de', 1234.56),
+				new Intl.NumberFormat('de', {maximumFractionDigits: 1}).format(1234.56));
+			assert.strictEqual(provider.formatNumber('de', 0.25, 'percent'),
+				new Intl.NumberFormat('de', {style: 'percent'}).format(0.25));
+			assert.strictEqual(provider.formatNumber('en', 1234.56, {minimumFractionDigits: 3}),
+				'1,234.560');
+		});
+
+		it('should warn about undefined preset', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const warnings = [];
+			eventBus.on('warn', message => warnings.push(message));
+
+			assert.strictEqual(provider.formatNumber('en', 1234, 'compact'), '1,234');
+			assert.deepEqual(warnings, [
+				'Format preset "compact" of type "number" is not defined in locale "en"'
+			]);
+		});
+	});
+
+	describe('#formatCurrency', () => {
+		it('should take currency from presets of locale fallback chain', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'en',
+					path: path.join(localizationPath, 'formats')
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					assert.strictEqual(provider.formatCurrency('ru', 1234.5),
+						new Intl.NumberFormat('ru', {style: 'currency', currency: 'RUB'}).format(1234.5));
+					// locales without localizations are formatted as their loaded locales
+					assert.strictEqual(provider.formatCurrency('en-gb', 1234.5), '$1,234.50');
+					assert.strictEqual(provider.formatCurrency('ru', 10, 'EUR'),
+						new Intl.NumberFormat('ru', {style: 'currency', currency: 'EUR'}).format(10));
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should emit error and return value if currency is unknown', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const provider = new LocalizationProvider(locator);
+			const errors = [];
+			eventBus.on('error', error => errors.push(error));
+
+			assert.strictEqual(provider.formatCurrency('en', 10), '10');
+			assert.strictEqual(errors.length, 1);
+		});
+	});
+
+	describe('#formatDate', () => {
+		it('should format date using presets of default locale', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'en',
+					path: path.join(localizationPath, 'formats')
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+			const date = Date.UTC(2020, 2, 8);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					const birthday = {month: 'long', day: 'numeric', timeZone: 'UTC'};
+					assert.strictEqual(provider.formatDate('en', date, 'birthday'), 'March 8');
+					assert.strictEqual(provider.formatDate('ru', new Date(date), 'birthday'),
+						new Intl.DateTimeFormat(['ru', 'en'], birthday).format(date));
+					assert.strictEqual(provider.formatDate('ru', '2020-03-08T00:00:00Z', {timeZone: 'UTC'}),
+						new Intl.DateTimeFormat(['ru', 'en'], {timeZone: 'UTC'}).format(date));
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+	});
+
+	describe('#formatRelativeTime', () => {
+		const itRelativeTime = typeof (Intl.RelativeTimeFormat) === 'function' ? it : it.skip;
+
+		itRelativeTime('should format relative time', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						$formats: {
+							relativeTime: {
+								default: {numeric: 'auto'}
+							}
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.formatRelativeTime('en', -1, 'day'), 'yesterday');
+			assert.strictEqual(provider.formatRelativeTime('en', 3, 'hour', {}), 'in 3 hours');
+		});
+	});
+
+	describe('#format (typed arguments)', () => {
+		it('should format numbers, dates and relative time in messages', done => {
+			const config = {
+				l10n: {
+					defaultLocale: 'en',
+					path: path.join(localizationPath, 'formats')
+				}
+			};
+			const locator = createLocator(config);
+			const eventBus = locator.resolve('eventBus');
+			locator.register('localizationLoader', LocalizationLoader);
+			const provider = new LocalizationProvider(locator);
+
+			eventBus
+				.on('error', done)
+				.on('l10nLoaded', () => {
+					assert.strictEqual(provider.format('en', 'TOTAL', {price: 1234.5}), 'Total: $1,234.50');
+					assert.strictEqual(provider.format('ru', 'TOTAL', {price: 10}),
+						`Итого: ${new Intl.NumberFormat('ru', {style: 'currency', currency: 'RUB'}).format(10)}`);
+					done();
+				});
+			eventBus.emit('allComponentsLoaded');
+		});
+
+		it('should use built-in styles and presets of argument types', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					en: {
+						$formats: {
+							time: {
+								default: {hour: 'numeric', minute: 'numeric', timeZone: 'UTC'}
+							}
+						},
+						TEST_VALUE: '{n, number} {share, number, percent} at {date, time} {days, relativeTime, day}'
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			const date = Date.UTC(2020, 2, 8, 15, 30);
+			const time = new Intl.DateTimeFormat('en', {
+				hour: 'numeric', minute: 'numeric', timeZone: 'UTC'
+			}).format(date);
+
+			assert.strictEqual(provider.format('en', 'TEST_VALUE', {
+				n: 1000,
+				share: 0.5,
+				date,
+				days: 2
+			}), `1,000 50% at ${time} in 2 days`);
+		});
+	});
+
+	describe('#getMissingKeysReport', () => {
+		it('should record missing keys and emit event once per locale and key', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en',
+					placeholder: true
+				},
+				localizations: {
+					en: {
+						TEST_VALUE: 'test',
+						FORMS: ['one form'],
+						$pluralization: {rule: '1', locale: 'en'}
+					},
+					ru: {
+						TEST_VALUE: 'test',
+						FORMS: ['one form'],
+						$pluralization: {
+							rule: '0',
+							locale: 'ru',
+							defaultRule: '0',
+							fromDefaultLocale: {TEST_VALUE: true, FORMS: true}
+						}
+					}
+				}
+			});
+			const eventBus = locator.resolve('eventBus');
+			const missing = [];
+			eventBus.on('l10nMissingKey', args => missing.push(args));
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.get('en', 'TEST_VALUE'), 'test');
+			assert.strictEqual(provider.get('en', 'ABSENT'), 'ABSENT');
+			assert.strictEqual(provider.format('en', 'ABSENT'), 'ABSENT');
+			assert.strictEqual(provider.pluralize('en', 'FORMS', 5), 'FORMS');
+			assert.strictEqual(provider.pluralize('ru', 'ABSENT', 5), 'ABSENT');
+			assert.strictEqual(provider.get('ru', 'TEST_VALUE'), 'test');
+			assert.strictEqual(provider.format('ru', 'TEST_VALUE'), 'test');
+
+			assert.deepEqual(missing, [
+				{locale: 'en', key: 'ABSENT', fallback: null},
+				{locale: 'en', key: 'FORMS', fallback: null},
+				{locale: 'ru', key: 'ABSENT', fallback: null},
+				{locale: 'ru', key: 'TEST_VALUE', fallback: 'en'}
+			]);
+			assert.deepEqual(provider.getMissingKeysReport(), {
+				total: 4,
+				keys: [
+					{locale: 'en', key: 'ABSENT', fallback: null, count: 2},
+					{locale: 'en', key: 'FORMS', fallback: null, count: 1},
+					{locale: 'ru', key: 'ABSENT', fallback: null, count: 1},
+					{locale: 'ru', key: 'TEST_VALUE', fallback: 'en', count: 2}
+				]
+			});
+
+			provider.clearMissingKeys();
+			assert.deepEqual(provider.getMissingKeysReport(), {total: 0, keys: []});
+		});
+
+		it('should record keys supplied by fallback locales', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en'
+				},
+				localizations: {
+					'pt-br': {
+						TITLE: 'Título',
+						ITEMS: {one: '{n} artículo', other: '{n} artículos'},
+						GREETING: {male: 'Welcome', other: 'Welcome'},
+						$pluralization: {
+							rule: '0',
+							locale: 'pt-br',
+							defaultRule: '0',
+							fromDefaultLocale: {'GREETING.male': true},
+							fromFallbackLocale: {TITLE: 'pt', ITEMS: 'es'},
+							fallbackRules: {pt: '0', es: '0'}
+						}
+					}
+				}
+			});
+			const provider = new LocalizationProvider(locator);
+
+			assert.strictEqual(provider.get('pt-br', 'TITLE'), 'Título');
+			assert.strictEqual(provider.pluralize('pt-br', 'ITEMS', 2), '2 artículos');
+			assert.strictEqual(provider.select('pt-br', 'GREETING', 'male'), 'Welcome');
+
+			assert.deepEqual(provider.getMissingKeysReport().keys, [
+				{locale: 'pt-br', key: 'GREETING.male', fallback: 'en', count: 1},
+				{locale: 'pt-br', key: 'ITEMS', fallback: 'es', count: 1},
+				{locale: 'pt-br', key: 'TITLE', fallback: 'pt', count: 1}
+			]);
+		});
+
+		it('should record keys of not loaded locales in the default locale', () => {
+			const locator = createLocator({
+				l10n: {
+					defaultLocale: 'en',
+					componentNamespaces: true
+				},
+				localizations: {}
+			});
+			const provider = new LocalizationProvider(locator);
+			const context = {
+				name: 'cart',
+				cookie: {
+					get: () => 'xx-unknown'
+				}
+			};
+
+			assert.strictEqual(provider.get(context, 'title'), '');
+			assert.strictEqual(provider.get('yy-other', 'title'), '');
+			assert.deepEqual(provider.getMissingKeysReport().keys, [
+				{locale: 'en', key: 'title', fallback: null, count: 2}
+			]);
+		});
+	});
 });
 
+/**
+ * Creates browser component context that records cookies and page reloads.
+ * @returns {Object} Component context.
+ */
+function createBrowserContext() {
+	const context = {
+		isBrowser: true,
+		cookies: [],
+		reloads: 0,
+		cookie: {
+			set: cookie => context.cookies.push({key: cookie.key, value: cookie.value})
+		}
+	};
+	const window = {
+		document: {
+			location: {
+				reload: () => context.reloads++
+			}
+		}
+	};
+	context.locator = {
+		resolve: () => window
+	};
+	return context;
+}
+
 /**
  * Create ServiceLocator object
  * @param {Object} config
  * @returns {ServiceLocator}
  */
 function createLocator(config) {
-	const locator = new ServiceLocator();
+	const locator = caseHelper.createServiceLocator();
 	locator.registerInstance('config', config);
-	locator.registerInstance('eventBus', new events.EventEmitter());
-	const componentFinder = new events.EventEmitter();
-	componentFinder.find = () => Promise.resolve({});
-	locator.registerInstance('componentFinder', componentFinder);
 	locator.registerInstance('localizationLoader', new LocalizationLoaderMock(config.localizations));
 	locator.register('localizationProvider', LocalizationProvider);
 
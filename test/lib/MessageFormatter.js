@@ -0,0 +1,195 @@
+'use strict';
+
+const assert = require('assert');
+const MessageFormatter = require('../../lib/MessageFormatter');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+/**
+ * Gets plural category for English.
+ * @param {number} n Number.
+ * @returns {string} Plural category.
+ */
+function englishPluralize(n) {
+	return n === 1 ? 'one' : 'other';
+}
+
+const englishOptions = {
+	pluralize: englishPluralize
+};
+
+describe('lib/MessageFormatter', () => {
+	describe('#parse', () => {
+		it('should parse plain text', () => {
+			const formatter = new MessageFormatter();
+			assert.deepEqual(formatter.parse('some text'), ['some text']);
+		});
+
+		it('should parse arguments with types and styles', () => {
+			const formatter = new MessageFormatter();
+			assert.deepEqual(formatter.parse('{a} {b, number} {c, date, short}'), [
+				{type: 'argument', name: 'a'},
+				' ',
+				{type: 'argument', name: 'b', format: 'number'},
+				' ',
+				{type: 'argument', name: 'c', format: 'date', style: 'short'}
+			]);
+		});
+
+		it('should return the same tree for the same message', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(formatter.parse('{a}'), formatter.parse('{a}'));
+		});
+
+		it('should throw error on unclosed argument', () => {
+			const formatter = new MessageFormatter();
+			assert.throws(() => formatter.parse('{a'), /"," expected/);
+		});
+
+		it('should throw error on unmatched closing brace', () => {
+			const formatter = new MessageFormatter();
+			assert.throws(() => formatter.parse('a}'), /end of message expected/);
+		});
+
+		it('should throw error if plural has no "other" option', () => {
+			const formatter = new MessageFormatter();
+			assert.throws(() => formatter.parse('{n, plural, one {#}}'),
+				/"other" option expected/);
+		});
+	});
+
+	describe('#format', () => {
+		it('should substitute arguments', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(
+				formatter.format('Hello, {name}!', {name: 'John'}, englishOptions),
+				'Hello, John!'
+			);
+		});
+
+		it('should format plural argument', () => {
+			const formatter = new MessageFormatter();
+			const message = '{count, plural, =0 {no apples} one {# apple} other {# apples}}';
+			assert.strictEqual(
+				formatter.format(message, {count: 0}, englishOptions), 'no apples'
+			);
+			assert.strictEqual(
+				formatter.format(message, {count: 1}, englishOptions), '1 apple'
+			);
+			assert.strictEqual(
+				formatter.format(message, {count: 5}, englishOptions), '5 apples'
+			);
+		});
+
+		it('should format plural argument with offset', () => {
+			const formatter = new MessageFormatter();
+			const message = '{count, plural, offset:1 =0 {nobody} =1 {{name}} ' +
+				'one {{name} and # other} other {{name} and # others}}';
+			assert.strictEqual(
+				formatter.format(message, {count: 1, name: 'Ann'}, englishOptions),
+				'Ann'
+			);
+			assert.strictEqual(
+				formatter.format(message, {count: 2, name: 'Ann'}, englishOptions),
+				'Ann and 1 other'
+			);
+			assert.strictEqual(
+				formatter.format(message, {count: 4, name: 'Ann'}, englishOptions),
+				'Ann and 3 others'
+			);
+		});
+
+		it('should format select argument with nested plural', () => {
+			const formatter = new MessageFormatter();
+			const message = '{gender, select, ' +
+				'female {She has {n, plural, one {# cat} other {# cats}}} ' +
+				'other {They have {n, plural, one {# cat} other {# cats}}}}';
+			assert.strictEqual(
+				formatter.format(message, {gender: 'female', n: 1}, englishOptions),
+				'She has 1 cat'
+			);
+			assert.strictEqual(
+				formatter.format(message, {gender: 'unknown', n: 3}, englishOptions),
+				'They have 3 cats'
+			);
+		});
+
+		it('should handle apostrophe quoting', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(
+				formatter.format('It\'\'s \'{name}\' and it\'s {name}',
+					{name: 'x'}, englishOptions),
+				'It\'s {name} and it\'s x'
+			);
+			assert.strictEqual(
+				formatter.format('{n, plural, other {\'#\' is #}}',
+					{n: 2}, englishOptions),
+				'# is 2'
+			);
+		});
+
+		it('should report absent arguments and keep them in message', () => {
+			const formatter = new MessageFormatter();
+			const missing = [];
+			const options = {
+				pluralize: englishPluralize,
+				missing: name => missing.push(name)
+			};
+			assert.strictEqual(
+				formatter.format('{a} {b, select, other {x}} {c}', {c: 0}, options),
+				'{a} x 0'
+			);
+			assert.deepEqual(missing, ['a', 'b']);
+		});
+
+		it('should format typed arguments using formatters', () => {
+			const formatter = new MessageFormatter();
+			const options = {
+				pluralize: englishPluralize,
+				formatters: {
+					number: (value, style) => `${style || 'plain'}:${value.toFixed(2)}`
+				}
+			};
+			assert.strictEqual(
+				formatter.format('{a, number} {b, number, money} {c, date}', {a: 1, b: 2, c: 3}, options),
+				'plain:1.00 money:2.00 3'
+			);
+		});
+
+		it('should keep "#" as is outside of plural', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(
+				formatter.format('#{n}', {n: 1}, englishOptions), '#1'
+			);
+		});
+	});
+
+	describe('#interpolate', () => {
+		it('should substitute named placeholders', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(
+				formatter.interpolate('{userName} has { n } items, {userName}!',
+					{userName: 'Ann', n: 0}),
+				'Ann has 0 items, Ann!'
+			);
+		});
+
+		it('should report absent parameters and keep placeholders', () => {
+			const formatter = new MessageFormatter();
+			const missing = [];
+			assert.strictEqual(
+				formatter.interpolate('{a} and {b}', {b: 'B'},
+					name => missing.push(name)),
+				'{a} and B'
+			);
+			assert.deepEqual(missing, ['a']);
+		});
+
+		it('should keep text without placeholders as is', () => {
+			const formatter = new MessageFormatter();
+			assert.strictEqual(
+				formatter.interpolate('%d apples {', {}), '%d apples {'
+			);
+		});
+	});
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const XliffConverter = require('../../lib/XliffConverter');
+const xliffHelper = require('../../lib/helpers/xliffHelper');
+const caseHelper = require('../helpers/caseHelper');
+
+const caseRoot = path.join(__dirname, '..', 'cases', 'lib', 'XliffConverter');
+
+/* eslint max-nested-callbacks: [2, 5]*/
+/* eslint no-sync: 0*/
+
+describe('lib/XliffConverter', () => {
+	describe('#exportDocuments', () => {
+		it('should export components as files and plural forms as groups', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new XliffConverter(locator);
+			const directory = name => path.relative(process.cwd(), path.join(caseRoot, name))
+				.split(path.sep).join('/');
+
+			return converter.exportDocuments()
+				.then(result => {
+					assert.deepEqual(result.skipped, ['VISITS']);
+					assert.deepEqual(Object.keys(result.documents), ['ru']);
+
+					const document = xliffHelper.parse(result.documents.ru);
+					assert.strictEqual(document.version, '2.0');
+					assert.strictEqual(document.sourceLocale, 'en');
+					assert.strictEqual(document.targetLocale, 'ru');
+					assert.deepEqual(document.files.map(file => [file.id, file.original]), [
+						['application', directory('')],
+						['component-cart', directory('components/cart/l10n')]
+					]);
+					assert.deepEqual(document.files[0].units, [
+						{
+							key: 'ITEMS',
+							notes: [],
+							forms: [
+								{
+									key: 'ITEMS[0]',
+									notes: [],
+									source: '{count} item',
+									target: '{count} товар',
+									state: 'translated'
+								},
+								{
+									key: 'ITEMS[1]',
+									notes: [],
+									source: '{count} items',
+									target: '{count} товара',
+									state: 'translated'
+								},
+								{
+									key: 'ITEMS[2]',
+									notes: [],
+									source: '{count} items',
+									target: null,
+									state: null
+								}
+							]
+						},
+						{
+							key: 'TITLE',
+							notes: ['Shown in the page header'],
+							source: 'Shop',
+							target: 'Магазин',
+							state: 'final'
+						}
+					]);
+					assert.deepEqual(document.files[1].units, [
+						{
+							key: 'EMPTY',
+							notes: [],
+							source: 'Cart is <empty> & "sad"',
+							target: null,
+							state: null
+						}
+					]);
+				});
+		});
+
+		it('should export XLIFF 1.2', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new XliffConverter(locator);
+
+			return converter.exportDocuments({version: '1.2'})
+				.then(result => {
+					const content = result.documents.ru;
+					assert.notStrictEqual(content.indexOf(
+						'<group id="ITEMS" resname="ITEMS" restype="x-gettext-plurals">'
+					), -1);
+					assert.notStrictEqual(content.indexOf('<target state="final">Магазин</target>'), -1);
+					assert.strictEqual(xliffHelper.parse(content).files.length, 2);
+				});
+		});
+
+		it('should reject for unsupported version', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new XliffConverter(locator);
+
+			return converter.exportDocuments({version: '1.0'})
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message, 'Unsupported XLIFF version 1.0');
+				});
+		});
+	});
+
+	describe('#importDocument', () => {
+		it('should keep notes and states after export and import', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root,
+				componentNamespaces: true
+			});
+			const converter = new XliffConverter(locator);
+			const readJSON = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+			return converter.exportDocuments({version: '1.2'})
+				.then(result => {
+					const document = xliffHelper.parse(result.documents.ru);
+					const items = document.files[0].units[0].forms[2];
+					items.target = '{count} товаров';
+					items.state = 'needs-review-translation';
+					items.notes = ['Genitive plural'];
+					const empty = document.files[1].units[0];
+					empty.target = 'Корзина пуста';
+					document.files[1].units.push({
+						key: 'UNKNOWN',
+						notes: [],
+						source: 'Unknown',
+						target: 'Неизвестно',
+						state: null
+					});
+					return converter.importDocument(xliffHelper.stringify(document));
+				})
+				.then(result => {
+					assert.strictEqual(result.locale, 'ru');
+					assert.deepEqual(result.skipped, ['UNKNOWN']);
+					assert.deepEqual(result.imported.map(entry => entry.key),
+						['ITEMS', 'TITLE', 'cart.EMPTY']);
+					assert.deepEqual(readJSON('ru.json'), {
+						TITLE: 'Магазин',
+						ITEMS: ['{count} товар', '{count} товара', '{count} товаров']
+					});
+					assert.deepEqual(readJSON('components/cart/l10n/ru.json'), {
+						EMPTY: 'Корзина пуста'
+					});
+					assert.deepEqual(readJSON('ru.meta.json'), {
+						TITLE: {
+							notes: ['Shown in the page header'],
+							state: 'final'
+						},
+						'ITEMS[2]': {
+							notes: ['Genitive plural'],
+							state: 'needs-review-translation'
+						}
+					});
+					assert.strictEqual(fs.existsSync(path.join(root, 'components', 'cart', 'l10n', 'ru.meta.json')), false);
+					return converter.exportDocuments();
+				})
+				.then(result => {
+					const document = xliffHelper.parse(result.documents.ru);
+					assert.deepEqual(document.files[0].units[0].forms[2], {
+						key: 'ITEMS[2]',
+						notes: ['Genitive plural'],
+						source: '{count} items',
+						target: '{count} товаров',
+						state: 'translated'
+					});
+					assert.strictEqual(document.files[0].units[1].state, 'final');
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should save notes and states in the format of localization files', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			fs.writeFileSync(path.join(root, 'en.yml'), 'TITLE: Shop\nEMPTY: Cart is empty\n');
+			fs.writeFileSync(path.join(root, 'ru.yml'), 'EMPTY: Корзина пуста\n');
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root
+			}, []);
+			const converter = new XliffConverter(locator);
+
+			return converter.exportDocuments()
+				.then(result => {
+					const document = xliffHelper.parse(result.documents.ru);
+					const title = document.files[0].units.find(unit => unit.key === 'TITLE');
+					title.target = 'Магазин';
+					title.state = 'final';
+					title.notes = ['Shown in the page header'];
+					return converter.importDocument(xliffHelper.stringify(document));
+				})
+				.then(() => {
+					assert.deepEqual(fs.readdirSync(root).sort(), ['en.yml', 'ru.meta.yml', 'ru.yml']);
+					assert.deepEqual(yaml.safeLoad(fs.readFileSync(path.join(root, 'ru.meta.yml'), 'utf8')), {
+						TITLE: {
+							notes: ['Shown in the page header'],
+							state: 'final'
+						}
+					});
+					return locator.resolve('localizationLoader').loadFiles();
+				})
+				.then(loaded => assert.deepEqual(loaded.wrongFiles, []))
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should not let meta files change prototype of notes', () => {
+			const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catberry-l10n-'));
+			caseHelper.copyDirectory(caseRoot, root);
+			fs.writeFileSync(path.join(root, 'ru.meta.json'),
+				'{"__proto__": {"TITLE": {"notes": ["Injected"], "state": "final"}}}');
+			const locator = caseHelper.createLocator(root, {
+				defaultLocale: 'en',
+				path: root
+			});
+			const converter = new XliffConverter(locator);
+
+			return converter.exportDocuments()
+				.then(result => {
+					const document = xliffHelper.parse(result.documents.ru);
+					const title = document.files[0].units.find(unit => unit.key === 'TITLE');
+					assert.deepEqual(title.notes, []);
+					assert.notStrictEqual(title.state, 'final');
+				})
+				.then(() => caseHelper.removeDirectory(root), reason => {
+					caseHelper.removeDirectory(root);
+					throw reason;
+				});
+		});
+
+		it('should reject document with inline elements', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new XliffConverter(locator);
+			const content = fs.readFileSync(path.join(caseRoot, 'inline.xlf'), 'utf8');
+
+			return converter.importDocument(content)
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message,
+						'Unit "GREETING" has inline element <ph> which is not supported, ' +
+						'placeholders like {name} must be plain text');
+				});
+		});
+
+		it('should reject for document without target locale', () => {
+			const locator = caseHelper.createLocator(caseRoot, {
+				defaultLocale: 'en',
+				path: caseRoot
+			});
+			const converter = new XliffConverter(locator);
+
+			return converter.importDocument('<xliff version="2.0" srcLang="en"></xliff>')
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message,
+						'Wrong locale name  (BCP 47 language tag expected)');
+				});
+		});
+	});
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const assert = require('assert');
+const ServiceLocator = require('catberry-locator');
+const configHelper = require('../../../lib/helpers/configHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/configHelper', () => {
+	describe('#getL10nConfig', () => {
+		it('should get localization config section', () => {
+			const l10n = {defaultLocale: 'en'};
+			const locator = new ServiceLocator();
+			locator.registerInstance('config', {l10n});
+			assert.strictEqual(configHelper.getL10nConfig(locator), l10n);
+		});
+
+		it('should throw error if config section is absent', () => {
+			const locator = new ServiceLocator();
+			locator.registerInstance('config', {});
+			assert.throws(() => configHelper.getL10nConfig(locator),
+				/^Error: "l10n" config section is required$/);
+		});
+	});
+
+	describe('#getDefaultLocale', () => {
+		it('should canonicalize default locale', () => {
+			assert.strictEqual(configHelper.getDefaultLocale({defaultLocale: 'en_US'}), 'en-us');
+		});
+
+		it('should throw error on wrong or absent default locale', () => {
+			assert.throws(() => configHelper.getDefaultLocale({defaultLocale: 'china'}),
+				/^Error: Wrong locale name china \(BCP 47 language tag expected\)$/);
+			assert.throws(() => configHelper.getDefaultLocale({}),
+				/^Error: Wrong locale name {2}\(BCP 47 language tag expected\)$/);
+		});
+	});
+});
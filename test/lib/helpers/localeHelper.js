@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert');
+const localeHelper = require('../../../lib/helpers/localeHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/localeHelper', () => {
+	describe('#canonicalize', () => {
+		it('should canonicalize valid BCP 47 language tags', () => {
+			assert.strictEqual(localeHelper.canonicalize('en'), 'en');
+			assert.strictEqual(localeHelper.canonicalize('en-US'), 'en-us');
+			assert.strictEqual(localeHelper.canonicalize('pt_BR'), 'pt-br');
+			assert.strictEqual(localeHelper.canonicalize('fil'), 'fil');
+			assert.strictEqual(localeHelper.canonicalize('es-419'), 'es-419');
+			assert.strictEqual(localeHelper.canonicalize('sr-Latn'), 'sr-latn');
+			assert.strictEqual(localeHelper.canonicalize('zh-Hant-TW'), 'zh-hant-tw');
+			assert.strictEqual(
+				localeHelper.canonicalize('de-CH-1996'), 'de-ch-1996'
+			);
+			assert.strictEqual(
+				localeHelper.canonicalize('en-US-u-ca-gregory-x-test'),
+				'en-us-u-ca-gregory-x-test'
+			);
+		});
+
+		it('should return null for invalid language tags', () => {
+			assert.strictEqual(localeHelper.canonicalize(''), null);
+			assert.strictEqual(localeHelper.canonicalize(null), null);
+			assert.strictEqual(localeHelper.canonicalize('e'), null);
+			assert.strictEqual(localeHelper.canonicalize('china'), null);
+			assert.strictEqual(localeHelper.canonicalize('en-'), null);
+			assert.strictEqual(localeHelper.canonicalize('en-u'), null);
+			assert.strictEqual(localeHelper.canonicalize('en us'), null);
+			assert.strictEqual(localeHelper.canonicalize('*'), null);
+		});
+	});
+
+	describe('#createWrongLocaleError', () => {
+		it('should create error with the hint about language tags', () => {
+			assert.strictEqual(localeHelper.createWrongLocaleError('china').message,
+				'Wrong locale name china (BCP 47 language tag expected)');
+			assert.strictEqual(localeHelper.createWrongLocaleError(undefined).message,
+				'Wrong locale name  (BCP 47 language tag expected)');
+		});
+	});
+
+	describe('#parse', () => {
+		it('should parse language tag into subtags', () => {
+			assert.deepEqual(localeHelper.parse('zh-Hant-TW'), {
+				language: 'zh',
+				script: 'hant',
+				region: 'tw',
+				variants: [],
+				extensions: [],
+				privateUse: []
+			});
+			assert.deepEqual(localeHelper.parse('sl-rozaj-biske-u-nu-latn-x-priv'), {
+				language: 'sl',
+				script: null,
+				region: null,
+				variants: ['rozaj', 'biske'],
+				extensions: ['u', 'nu', 'latn'],
+				privateUse: ['priv']
+			});
+		});
+
+		it('should return null for invalid language tag', () => {
+			assert.strictEqual(localeHelper.parse('wrong'), null);
+		});
+	});
+
+	describe('#prepareFallbacks', () => {
+		it('should canonicalize all locale names', () => {
+			assert.deepEqual(localeHelper.prepareFallbacks({
+				'PT-br': ['PT', 'es'],
+				uk: 'ru'
+			}), {
+				'pt-br': ['pt', 'es'],
+				uk: ['ru']
+			});
+		});
+
+		it('should throw error on wrong locale name', () => {
+			assert.throws(() => localeHelper.prepareFallbacks({
+				uk: ['wrong']
+			}), /Wrong locale name wrong/);
+		});
+	});
+
+	describe('#getFallbackChain', () => {
+		it('should walk subtags from the most specific one', () => {
+			assert.deepEqual(
+				localeHelper.getFallbackChain('zh-Hant-TW'),
+				['zh-hant-tw', 'zh-hant', 'zh']
+			);
+			assert.deepEqual(localeHelper.getFallbackChain('fil'), ['fil']);
+		});
+
+		it('should skip trailing singleton subtags', () => {
+			assert.deepEqual(
+				localeHelper.getFallbackChain('en-u-ca-gregory'),
+				['en-u-ca-gregory', 'en-u-ca', 'en']
+			);
+		});
+
+		it('should use configured fallbacks instead of language', () => {
+			const fallbacks = localeHelper.prepareFallbacks({
+				'pt-BR': ['pt', 'es', 'en'],
+				pt: 'es',
+				uk: ['ru', 'en']
+			});
+			assert.deepEqual(
+				localeHelper.getFallbackChain('pt-br', fallbacks),
+				['pt-br', 'pt', 'es', 'en']
+			);
+			assert.deepEqual(
+				localeHelper.getFallbackChain('pt-pt', fallbacks),
+				['pt-pt', 'pt', 'es']
+			);
+			assert.deepEqual(
+				localeHelper.getFallbackChain('uk-UA', fallbacks),
+				['uk-ua', 'uk', 'ru', 'en']
+			);
+		});
+
+		it('should not loop on cyclic fallbacks', () => {
+			const fallbacks = localeHelper.prepareFallbacks({
+				uk: ['ru'],
+				ru: ['uk']
+			});
+			assert.deepEqual(
+				localeHelper.getFallbackChain('uk', fallbacks), ['uk', 'ru']
+			);
+		});
+
+		it('should return empty list for invalid locale', () => {
+			assert.deepEqual(localeHelper.getFallbackChain('wrong'), []);
+		});
+	});
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+const localizationHelper = require('../../../lib/helpers/localizationHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/localizationHelper', () => {
+	describe('#isGroup', () => {
+		it('should determine groups of keys', () => {
+			assert.strictEqual(localizationHelper.isGroup({}), true);
+			assert.strictEqual(localizationHelper.isGroup([]), false);
+			assert.strictEqual(localizationHelper.isGroup(null), false);
+			assert.strictEqual(localizationHelper.isGroup('value'), false);
+		});
+	});
+
+	describe('#getValue', () => {
+		it('should get value by key or dotted path', () => {
+			const localization = {
+				TITLE: 'title',
+				'flat.key': 'flat',
+				cart: {
+					title: 'cart title',
+					items: ['item', 'items']
+				}
+			};
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'TITLE'), 'title'
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'flat.key'), 'flat'
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'cart.title'), 'cart title'
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'cart.items'),
+				localization.cart.items
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'cart'), localization.cart
+			);
+		});
+
+		it('should return undefined for absent keys', () => {
+			const localization = {
+				TITLE: 'title',
+				cart: {
+					title: 'cart title'
+				}
+			};
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'cart.absent'), undefined
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'TITLE.length'), undefined
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(localization, 'constructor'), undefined
+			);
+			assert.strictEqual(
+				localizationHelper.getValue(null, 'TITLE'), undefined
+			);
+		});
+	});
+
+	describe('#setValue', () => {
+		it('should set value creating absent groups', () => {
+			const localization = {
+				cart: 'not a group'
+			};
+			localizationHelper.setValue(localization, ['cart', 'title'], 'title');
+			localizationHelper.setValue(localization, ['cart', 'empty'], 'empty');
+			localizationHelper.setValue(localization, ['TITLE'], 'root');
+			assert.deepEqual(localization, {
+				TITLE: 'root',
+				cart: {
+					title: 'title',
+					empty: 'empty'
+				}
+			});
+		});
+	});
+
+	describe('#setValue (unsafe keys)', () => {
+		it('should throw error for unsafe keys', () => {
+			const setUnsafe = key => localizationHelper.setValue({}, ['cart', key, 'polluted'], 'yes');
+			assert.throws(() => setUnsafe('__proto__'), /^Error: Wrong localization key/);
+			assert.throws(() => setUnsafe('constructor'), /^Error: Wrong localization key/);
+			assert.throws(() => setUnsafe('prototype'), /^Error: Wrong localization key/);
+			assert.strictEqual(({}).polluted, undefined);
+		});
+
+		it('should not descend through inherited properties', () => {
+			const localization = Object.create({inherited: {}});
+			localizationHelper.setValue(localization, ['inherited', 'title'], 'title');
+			assert.strictEqual(Object.getPrototypeOf(localization).inherited.title, undefined);
+			assert.strictEqual(localization.inherited.title, 'title');
+		});
+	});
+
+	describe('#forEachLeaf', () => {
+		it('should skip unsafe keys', () => {
+			const leaves = [];
+			localizationHelper.forEachLeaf(JSON.parse(
+				'{"TITLE": "title", "__proto__": {"polluted": "yes"}, "cart": {"constructor": {"prototype": "yes"}}}'
+			), path => leaves.push(localizationHelper.pathToKey(path)));
+
+			assert.deepEqual(leaves, ['TITLE']);
+		});
+
+		it('should enumerate all leaf values with paths', () => {
+			const leaves = [];
+			localizationHelper.forEachLeaf({
+				TITLE: 'title',
+				cart: {
+					items: ['item', 'items'],
+					checkout: {
+						button: 'button'
+					}
+				}
+			}, (path, value) => leaves.push([
+				localizationHelper.pathToKey(path), value
+			]));
+
+			assert.deepEqual(leaves, [
+				['TITLE', 'title'],
+				['cart.items', ['item', 'items']],
+				['cart.checkout.button', 'button']
+			]);
+		});
+	});
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const pluralCategoryHelper = require('../../../lib/helpers/pluralCategoryHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/pluralCategoryHelper', () => {
+	describe('#isPluralObject', () => {
+		it('should detect objects with plural forms by categories', () => {
+			assert.strictEqual(
+				pluralCategoryHelper.isPluralObject({one: 'item', other: 'items'}), true
+			);
+			assert.strictEqual(pluralCategoryHelper.isPluralObject({other: 'items'}), true);
+			assert.strictEqual(
+				pluralCategoryHelper.isPluralObject({one: 'item', title: 'items'}), false
+			);
+			assert.strictEqual(pluralCategoryHelper.isPluralObject({one: 'item'}), false);
+			assert.strictEqual(pluralCategoryHelper.isPluralObject(['item', 'items']), false);
+			assert.strictEqual(pluralCategoryHelper.isPluralObject('items'), false);
+			assert.strictEqual(pluralCategoryHelper.isPluralObject(null), false);
+		});
+	});
+
+	describe('#getOperands', () => {
+		it('should get operands of integers and decimals', () => {
+			assert.deepEqual(pluralCategoryHelper.getOperands(5),
+				{n: 5, i: 5, v: 0, f: 0, t: 0});
+			assert.deepEqual(pluralCategoryHelper.getOperands(-1.25),
+				{n: 1.25, i: 1, v: 2, f: 25, t: 25});
+			assert.deepEqual(pluralCategoryHelper.getOperands('1.50'),
+				{n: 1.5, i: 1, v: 2, f: 50, t: 5});
+		});
+	});
+
+	describe('#getCategory', () => {
+		it('should get categories for English', () => {
+			assert.strictEqual(pluralCategoryHelper.getCategory('en', 1), 'one');
+			assert.strictEqual(pluralCategoryHelper.getCategory('en-US', 0), 'other');
+			assert.strictEqual(pluralCategoryHelper.getCategory('en', 1.5), 'other');
+			assert.strictEqual(pluralCategoryHelper.getCategory('en', '1.0'), 'other');
+		});
+
+		it('should get categories for Russian', () => {
+			const expected = {
+				1: 'one', 21: 'one', 2: 'few', 24: 'few', 0: 'many',
+				5: 'many', 11: 'many', 12: 'many', 111: 'many', 1.5: 'other'
+			};
+			Object.keys(expected)
+				.forEach(n => assert.strictEqual(
+					pluralCategoryHelper.getCategory('ru', Number(n)), expected[n], n
+				));
+		});
+
+		it('should get categories for Romanian', () => {
+			const expected = {
+				1: 'one', 0: 'few', 2: 'few', 19: 'few', 101: 'few', 119: 'few',
+				201: 'few', 1001: 'few', 20: 'other', 100: 'other', 120: 'other', 1.5: 'few'
+			};
+			Object.keys(expected)
+				.forEach(n => assert.strictEqual(
+					pluralCategoryHelper.getCategory('ro', Number(n)), expected[n], n
+				));
+			assert.strictEqual(pluralCategoryHelper.getCategory('mo', 101), 'few');
+		});
+
+		it('should get categories for languages with decimal rules', () => {
+			assert.strictEqual(pluralCategoryHelper.getCategory('fr', 1.5), 'one');
+			assert.strictEqual(pluralCategoryHelper.getCategory('fr', 2), 'other');
+			assert.strictEqual(pluralCategoryHelper.getCategory('cs', 3), 'few');
+			assert.strictEqual(pluralCategoryHelper.getCategory('cs', 1.5), 'many');
+			assert.strictEqual(pluralCategoryHelper.getCategory('lv', 0.1), 'one');
+			assert.strictEqual(pluralCategoryHelper.getCategory('ar', 0), 'zero');
+			assert.strictEqual(pluralCategoryHelper.getCategory('ar', 102), 'other');
+			assert.strictEqual(pluralCategoryHelper.getCategory('ar', 111), 'many');
+			assert.strictEqual(pluralCategoryHelper.getCategory('sl', 102), 'two');
+			assert.strictEqual(pluralCategoryHelper.getCategory('ja', 1), 'other');
+		});
+
+		it('should return null if there is no rule for the language', () => {
+			assert.strictEqual(pluralCategoryHelper.getCategory('oc', 1), null);
+			assert.strictEqual(pluralCategoryHelper.getCategory('wrong', 1), null);
+		});
+	});
+});
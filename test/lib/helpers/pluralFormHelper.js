@@ -0,0 +1,26 @@
+'use strict';
+
+const assert = require('assert');
+const pluralFormHelper = require('../../../lib/helpers/pluralFormHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/pluralFormHelper', () => {
+	describe('#getRule', () => {
+		it('should get pluralization rule of locale or its language', () => {
+			assert.strictEqual(pluralFormHelper.getRule('en-US'), '(n != 1)');
+			assert.strictEqual(pluralFormHelper.getRule('ja'), '0');
+			assert.strictEqual(pluralFormHelper.getRule('xx'), undefined);
+		});
+	});
+
+	describe('#getFormCount', () => {
+		it('should get number of forms of locale or its language', () => {
+			assert.strictEqual(pluralFormHelper.getFormCount('en'), 2);
+			assert.strictEqual(pluralFormHelper.getFormCount('ru-RU'), 3);
+			assert.strictEqual(pluralFormHelper.getFormCount('ja'), 1);
+			assert.strictEqual(pluralFormHelper.getFormCount('pt-br'), 2);
+			assert.strictEqual(pluralFormHelper.getFormCount('xx'), undefined);
+		});
+	});
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+const pluralRuleHelper = require('../../../lib/helpers/pluralRuleHelper');
+const pluralizationRules = require('../../../lib/pluralizationRules.json');
+
+/* eslint max-nested-callbacks: [2, 5]*/
+
+describe('lib/helpers/pluralRuleHelper', () => {
+	describe('#compile', () => {
+		it('should give the same results as JavaScript for all known rules', () => {
+			const numbers = [];
+			for (let n = 0; n <= 1100; n++) {
+				numbers.push(n);
+			}
+			numbers.push(0.5, 1.5, 2.25, 11.1, 101.7);
+
+			Object.keys(pluralizationRules)
+				.forEach(rule => {
+					/* eslint no-new-func: 0 */
+					const expected = new Function('n', `return Number(${rule});`);
+					const actual = pluralRuleHelper.compile(rule);
+					numbers.forEach(n => assert.strictEqual(
+						actual(n), expected(n), `Wrong result of ${rule} for ${n}`
+					));
+				});
+		});
+
+		it('should respect operator precedence and associativity', () => {
+			assert.strictEqual(pluralRuleHelper.compile('1 + 2 * 3')(0), 7);
+			assert.strictEqual(pluralRuleHelper.compile('10 - 4 - 3')(0), 3);
+			assert.strictEqual(pluralRuleHelper.compile('-n + !0')(5), -4);
+			assert.strictEqual(
+				pluralRuleHelper.compile('n < 2 ? 0 : n < 5 ? 1 : 2')(3), 1
+			);
+		});
+
+		it('should return the first form for an empty rule', () => {
+			assert.strictEqual(pluralRuleHelper.compile('')(5), 0);
+			assert.strictEqual(pluralRuleHelper.compile(undefined)(5), 0);
+		});
+
+		it('should throw error for wrong rules', () => {
+			assert.throws(() => pluralRuleHelper.compile('(n != 1'),
+				/Wrong pluralization rule, "\)" expected at position 7/);
+			assert.throws(() => pluralRuleHelper.compile('n ? 1'),
+				/":" expected/);
+			assert.throws(() => pluralRuleHelper.compile('n 1'),
+				/end of rule expected/);
+			assert.throws(() => pluralRuleHelper.compile('alert(1)'),
+				/unexpected character at position 0/);
+			assert.throws(() => pluralRuleHelper.compile('n; alert(1)'),
+				/unexpected character at position 1/);
+		});
+	});
+});
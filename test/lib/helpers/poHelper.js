@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const poHelper = require('../../../lib/helpers/poHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/poHelper', () => {
+	describe('#stringify', () => {
+		it('should stringify headers and entries', () => {
+			const content = poHelper.stringify({
+				headers: {
+					Language: 'ru'
+				},
+				entries: [
+					{
+						context: 'ITEMS',
+						id: '{count} item',
+						idPlural: '{count} items',
+						strings: ['{count} товар', '', ''],
+						references: ['l10n/en.json'],
+						flags: ['fuzzy']
+					},
+					{
+						context: 'HINT',
+						id: 'Say "hi"\nthen go',
+						strings: ['']
+					}
+				]
+			});
+			assert.strictEqual(content, [
+				'msgid ""',
+				'msgstr "Language: ru\\n"',
+				'',
+				'#: l10n/en.json',
+				'#, fuzzy',
+				'msgctxt "ITEMS"',
+				'msgid "{count} item"',
+				'msgid_plural "{count} items"',
+				'msgstr[0] "{count} товар"',
+				'msgstr[1] ""',
+				'msgstr[2] ""',
+				'',
+				'msgctxt "HINT"',
+				'msgid ""',
+				'"Say \\"hi\\"\\n"',
+				'"then go"',
+				'msgstr ""',
+				''
+			].join('\n'));
+		});
+	});
+
+	describe('#parse', () => {
+		it('should parse headers and entries', () => {
+			const catalog = poHelper.parse([
+				'# translator comment',
+				'msgid ""',
+				'msgstr ""',
+				'"Language: ru\\n"',
+				'"Plural-Forms: nplurals=3; plural=0;\\n"',
+				'',
+				'#: l10n/en.json',
+				'#, fuzzy, c-format',
+				'msgctxt "ITEMS"',
+				'msgid "{count} item"',
+				'msgid_plural "{count} items"',
+				'msgstr[0] "{count} товар"',
+				'msgstr[2] "{count} товаров"',
+				'msgctxt "HINT"',
+				'msgid "Say"',
+				'msgstr ""',
+				'"Скажи \\"привет\\"\\n"',
+				'"\\tи уходи"',
+				'',
+				'#~ msgid "Old"',
+				'#~ msgstr "Старый"'
+			].join('\r\n'));
+
+			assert.deepEqual(catalog.headers, {
+				Language: 'ru',
+				'Plural-Forms': 'nplurals=3; plural=0;'
+			});
+			assert.deepEqual(catalog.entries, [
+				{
+					context: 'ITEMS',
+					id: '{count} item',
+					idPlural: '{count} items',
+					strings: ['{count} товар', '', '{count} товаров'],
+					references: ['l10n/en.json'],
+					flags: ['fuzzy', 'c-format']
+				},
+				{
+					context: 'HINT',
+					id: 'Say',
+					idPlural: null,
+					strings: ['Скажи "привет"\n\tи уходи'],
+					references: [],
+					flags: []
+				}
+			]);
+		});
+
+		it('should throw error for wrong line', () => {
+			assert.throws(() => poHelper.parse('msgid "A"\nmsgstr B'),
+				/Wrong PO file line 2: msgstr B/);
+		});
+	});
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const xliffHelper = require('../../../lib/helpers/xliffHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+const DOCUMENT = {
+	sourceLocale: 'en',
+	targetLocale: 'ru',
+	files: [
+		{
+			id: 'application',
+			original: 'l10n',
+			units: [
+				{
+					key: 'ITEMS',
+					notes: ['Items in the cart'],
+					forms: [
+						{
+							key: 'ITEMS[0]',
+							notes: [],
+							source: 'item',
+							target: 'товар',
+							state: 'final'
+						},
+						{
+							key: 'ITEMS[1]',
+							notes: ['Check it'],
+							source: 'items',
+							target: null,
+							state: null
+						}
+					]
+				},
+				{
+					key: 'TITLE',
+					notes: [],
+					source: 'Shop',
+					target: 'Магазин',
+					state: 'translated'
+				}
+			]
+		}
+	]
+};
+
+describe('lib/helpers/xliffHelper', () => {
+	describe('#stringify', () => {
+		xliffHelper.VERSIONS.forEach(version => {
+			it(`should stringify XLIFF ${version} which is parsed back`, () => {
+				const document = Object.assign({}, DOCUMENT, {version});
+				const parsed = xliffHelper.parse(xliffHelper.stringify(document));
+				if (version === '1.2') {
+					parsed.files[0].id = 'application';
+				}
+				assert.deepEqual(parsed, document);
+			});
+		});
+
+		it('should throw error for unsupported version', () => {
+			assert.throws(() => xliffHelper.stringify(Object.assign({}, DOCUMENT, {version: '3.0'})),
+				/Unsupported XLIFF version 3.0/);
+		});
+	});
+
+	describe('#parse', () => {
+		it('should read units of nested groups and join segments', () => {
+			const document = xliffHelper.parse([
+				'<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en" trgLang="de">',
+				'<file id="f1">',
+				'<group id="g1">',
+				'<unit id="HINT">',
+				'<segment state="reviewed"><source>One.</source><target>Eins.</target></segment>',
+				'<ignorable><source> </source></ignorable>',
+				'<segment><source>Two.</source><target>Zwei.</target></segment>',
+				'</unit>',
+				'</group>',
+				'</file>',
+				'</xliff>'
+			].join(''));
+
+			assert.strictEqual(document.targetLocale, 'de');
+			assert.deepEqual(document.files[0].units, [
+				{
+					key: 'HINT',
+					notes: [],
+					source: 'One.Two.',
+					target: 'Eins.Zwei.',
+					state: 'reviewed'
+				}
+			]);
+		});
+
+		it('should throw error for inline elements of XLIFF 1.2', () => {
+			assert.throws(() => xliffHelper.parse(
+				'<xliff version="1.2"><file source-language="en" target-language="ru"><body>' +
+				'<trans-unit id="GREETING"><source>Hello, <g id="1">{name}</g>!</source></trans-unit>' +
+				'</body></file></xliff>'
+			), /^Error: Unit "GREETING" has inline element <g> which is not supported/);
+		});
+
+		it('should throw error for not XLIFF document', () => {
+			assert.throws(() => xliffHelper.parse('<xliff version="1.1"/>'),
+				/Unsupported XLIFF version 1.1/);
+		});
+	});
+
+	describe('#convertState', () => {
+		it('should convert states between versions', () => {
+			assert.strictEqual(xliffHelper.convertState('signed-off', '2.0'), 'reviewed');
+			assert.strictEqual(xliffHelper.convertState('needs-translation', '2.0'), 'initial');
+			assert.strictEqual(xliffHelper.convertState('final', '2.0'), 'final');
+			assert.strictEqual(xliffHelper.convertState('initial', '1.2'), 'new');
+			assert.strictEqual(xliffHelper.convertState('needs-review-l10n', '1.2'), 'needs-review-l10n');
+			assert.strictEqual(xliffHelper.convertState('x-custom', '1.2'), 'x-custom');
+			assert.strictEqual(xliffHelper.convertState('x-custom', '2.0'), null);
+			assert.strictEqual(xliffHelper.convertState(null, '2.0'), null);
+		});
+	});
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+const xmlHelper = require('../../../lib/helpers/xmlHelper');
+
+/* eslint max-nested-callbacks: [2, 4]*/
+
+describe('lib/helpers/xmlHelper', () => {
+	describe('#parse', () => {
+		it('should parse elements, attributes and text', () => {
+			const root = xmlHelper.parse([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<!DOCTYPE root>',
+				'<!-- comment -->',
+				'<root a="1 &amp; 2" b=\'&quot;x&quot;\'>',
+				'<empty/>',
+				'<text>&lt;b&gt; &#169;&#x41;<![CDATA[<raw> & ]]>end</text>',
+				'</root>'
+			].join('\n'));
+
+			assert.strictEqual(root.name, 'root');
+			assert.deepEqual(root.attributes, {a: '1 & 2', b: '"x"'});
+			assert.deepEqual(xmlHelper.children(root).map(child => child.name), ['empty', 'text']);
+			assert.deepEqual(xmlHelper.child(root, 'empty').children, []);
+			assert.strictEqual(xmlHelper.text(xmlHelper.child(root, 'text')), '<b> ©A<raw> & end');
+		});
+
+		it('should throw error for not well-formed document', () => {
+			assert.throws(() => xmlHelper.parse('<a><b></a>'), /Unexpected closing tag <\/a>/);
+			assert.throws(() => xmlHelper.parse('<a>'), /Tag <a> is not closed/);
+			assert.throws(() => xmlHelper.parse('<a/><b/>'), /exactly one root element/);
+		});
+	});
+
+	describe('#stringify', () => {
+		it('should stringify elements with indentation', () => {
+			const root = xmlHelper.element('root', {a: '<1>', b: null}, [
+				xmlHelper.element('text', null, ['a & "b"']),
+				xmlHelper.element('empty'),
+				null
+			]);
+			assert.strictEqual(xmlHelper.stringify(root), [
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<root a="&lt;1&gt;">',
+				'\t<text>a &amp; &quot;b&quot;</text>',
+				'\t<empty/>',
+				'</root>',
+				''
+			].join('\n'));
+		});
+	});
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const HttpSource = require('../../../lib/sources/HttpSource');
+
+/* eslint max-nested-callbacks: [2, 5]*/
+
+describe('lib/sources/HttpSource', () => {
+	let service = null;
+
+	beforeEach(() => createService().then(created => {
+		service = created;
+	}));
+
+	afterEach(() => new Promise(fulfill => service.server.close(fulfill)));
+
+	describe('#constructor', () => {
+		it('should throw error for wrong URL', () => {
+			assert.throws(() => new HttpSource({url: 'ftp://example.com/l10n'}),
+				/^Error: Wrong localization source URL ftp:\/\/example.com\/l10n \(HTTP or HTTPS URL expected\)$/);
+			assert.throws(() => new HttpSource({}),
+				/^Error: Wrong localization source URL {2}\(HTTP or HTTPS URL expected\)$/);
+		});
+	});
+
+	describe('#load', () => {
+		it('should load localizations of application and components', () => {
+			service.data = {
+				localizations: {
+					en: {TITLE: 'Shop'},
+					ru: {TITLE: 'Магазин'}
+				},
+				components: {
+					cart: {
+						en: {EMPTY: 'Cart is empty'}
+					}
+				}
+			};
+			const source = new HttpSource({
+				url: service.url,
+				headers: {Authorization: 'Token secret'}
+			});
+
+			return source.load()
+				.then(localizations => {
+					assert.deepEqual(localizations, [
+						{
+							path: `${service.url}#en`,
+							locale: 'en',
+							component: null,
+							object: {TITLE: 'Shop'}
+						},
+						{
+							path: `${service.url}#ru`,
+							locale: 'ru',
+							component: null,
+							object: {TITLE: 'Магазин'}
+						},
+						{
+							path: `${service.url}#cart/en`,
+							locale: 'en',
+							component: 'cart',
+							object: {EMPTY: 'Cart is empty'}
+						}
+					]);
+					assert.strictEqual(service.requests[0].headers.authorization, 'Token secret');
+				});
+		});
+
+		it('should reject if service responds with error', () => {
+			service.status = 500;
+			const source = new HttpSource({url: service.url});
+
+			return source.load()
+				.then(() => assert.fail('Should reject'), reason => {
+					assert.strictEqual(reason.message,
+						`Localization source ${service.url} responded with status 500`);
+				});
+		});
+	});
+
+	describe('#change', () => {
+		it('should emit "change" when service data is changed', () => {
+			service.data = {localizations: {en: {TITLE: 'Shop'}}};
+			const source = new HttpSource({url: service.url, pollInterval: 10});
+
+			return source.load()
+				.then(() => new Promise(fulfill => {
+					source.once('change', fulfill);
+					service.data = {localizations: {en: {TITLE: 'Store'}}};
+				}))
+				.then(() => source.load())
+				.then(localizations => {
+					source.close();
+					assert.deepEqual(localizations[0].object, {TITLE: 'Store'});
+					assert.strictEqual(service.requests.some(request =>
+						request.headers['if-none-match'] === '"1"'), true);
+				});
+		});
+
+		it('should emit "error" and keep polling if service fails', () => {
+			service.data = {localizations: {en: {TITLE: 'Shop'}}};
+			const source = new HttpSource({url: service.url, pollInterval: 10});
+			const errors = [];
+			source.on('error', error => errors.push(error));
+
+			return source.load()
+				.then(() => {
+					service.status = 500;
+					return new Promise(fulfill => setTimeout(fulfill, 50));
+				})
+				.then(() => new Promise(fulfill => {
+					source.once('change', fulfill);
+					service.status = 200;
+					service.data = {localizations: {en: {TITLE: 'Store'}}};
+				}))
+				.then(() => {
+					source.close();
+					assert.strictEqual(errors.length > 0, true);
+					assert.strictEqual(errors[0].message,
+						`Localization source ${service.url} responded with status 500`);
+				});
+		});
+
+		it('should keep polling if the first request fails', () => {
+			service.status = 503;
+			const source = new HttpSource({url: service.url, pollInterval: 10});
+			source.on('error', () => {});
+
+			return source.load()
+				.then(() => assert.fail('Should reject'), () => new Promise(fulfill => {
+					source.once('change', fulfill);
+					service.status = 200;
+					service.data = {localizations: {en: {TITLE: 'Shop'}}};
+				}))
+				.then(() => source.load())
+				.then(localizations => {
+					source.close();
+					assert.deepEqual(localizations[0].object, {TITLE: 'Shop'});
+				});
+		});
+
+		it('should not throw if there are no "error" listeners', () => {
+			const source = new HttpSource({url: service.url, pollInterval: 10});
+
+			return source.load()
+				.then(() => {
+					service.status = 500;
+					return new Promise(fulfill => setTimeout(fulfill, 50));
+				})
+				.then(() => source.close());
+		});
+
+		it('should not emit "change" if service data is the same', () => {
+			service.data = {localizations: {en: {TITLE: 'Shop'}}};
+			const source = new HttpSource({url: service.url, pollInterval: 10});
+			let changes = 0;
+			source.on('change', () => changes++);
+
+			return source.load()
+				.then(() => new Promise(fulfill => setTimeout(fulfill, 50)))
+				.then(() => {
+					source.close();
+					assert.strictEqual(changes, 0);
+					assert.strictEqual(service.requests.length > 1, true);
+				});
+		});
+	});
+});
+
+/**
+ * Creates in-process translation service which responds with its data.
+ * @returns {Promise<Object>} Promise for the service.
+ */
+function createService() {
+	const service = {
+		data: {},
+		status: 200,
+		requests: [],
+		server: null,
+		url: null
+	};
+	let version = 0;
+	let lastBody = null;
+
+	service.server = http.createServer((request, response) => {
+		service.requests.push(request);
+		// lets the server close without waiting for idle connections
+		response.setHeader('Connection', 'close');
+		if (service.status !== 200) {
+			response.writeHead(service.status);
+			response.end();
+			return;
+		}
+		const body = JSON.stringify(service.data);
+		if (body !== lastBody) {
+			lastBody = body;
+			version++;
+		}
+		const etag = `"${version}"`;
+		if (request.headers['if-none-match'] === etag) {
+			response.writeHead(304);
+			response.end();
+			return;
+		}
+		response.writeHead(200, {
+			'Content-Type': 'application/json',
+			ETag: etag
+		});
+		response.end(body);
+	});
+
+	return new Promise(fulfill => service.server.listen(0, '127.0.0.1', fulfill))
+		.then(() => {
+			service.url = `http://127.0.0.1:${service.server.address().port}/l10n`;
+			return service;
+		});
+}